@@ -11,14 +11,20 @@
  *   npx storybook-mcp-api --static                     # Auto-detect from angular.json
  *   npx storybook-mcp-api --static ./storybook-static  # Explicit path
  *   npx storybook-mcp-api --generate-api              # Generate static API files
+ *   npx storybook-mcp-api --stdio --static            # MCP over stdio (spawned by MCP clients)
+ *   npx storybook-mcp-api --source-only               # Index stories from source, no Storybook process
+ *
+ * With `sources` in storybook-mcp.config.js (and none of --static, --source-only, --storybook-url),
+ * serves every listed Storybook.
  */
 
 const { Command } = require('commander');
 const chalk = require('chalk');
 const path = require('path');
 const fs = require('fs');
-const { startServer, createToolHandlers } = require('./server');
+const { startServer, startStdioServer, createToolHandlers } = require('./server');
 const { detectStorybookVersion, findStorybookConfig, detectFramework } = require('./utils');
+const { loadConfig } = require('./config');
 
 /**
  * Auto-detect Storybook build output directory
@@ -61,7 +67,7 @@ function detectStorybookOutputDir(projectDir) {
  * This allows serving everything via nginx/CDN without a Node.js server
  * Uses the same tool handlers as dev mode for full documentation
  */
-async function generateStaticApi(staticDir, projectDir) {
+async function generateStaticApi(staticDir, projectDir, options = {}) {
   const indexJsonPath = path.join(staticDir, 'index.json');
   if (!fs.existsSync(indexJsonPath)) {
     throw new Error(`No index.json found in ${staticDir}`);
@@ -73,6 +79,8 @@ async function generateStaticApi(staticDir, projectDir) {
     storybookUrl: 'unused', // We use staticDir instead
     projectDir,
     staticDir,
+    parsers: options.parsers,
+    exclude: options.exclude,
   });
 
   // Create api directory
@@ -81,11 +89,6 @@ async function generateStaticApi(staticDir, projectDir) {
     fs.mkdirSync(apiDir, { recursive: true });
   }
 
-  // Read index.json
-  const indexData = JSON.parse(fs.readFileSync(indexJsonPath, 'utf8'));
-  const entries = indexData.entries || {};
-  const stories = Object.values(entries);
-
   // Generate /api/index.json (API info)
   const apiInfo = {
     success: true,
@@ -97,6 +100,8 @@ async function generateStaticApi(staticDir, projectDir) {
       'GET /api/stories.json': 'Get all stories',
       'GET /api/stories/{storyId}.json': 'Get story details',
       'GET /api/docs/{storyId}.json': 'Get story documentation',
+      'GET /api/docs/{storyId}.md': 'Get story documentation as markdown',
+      'GET /llms.txt': 'Index of markdown docs pages for LLMs',
     },
     note: 'This is a static API. MCP protocol requires a running server.',
   };
@@ -106,6 +111,7 @@ async function generateStaticApi(staticDir, projectDir) {
   // Generate /api/stories.json (all stories) - use handler for consistency
   const storiesResult = await handlers.listStories({});
   fs.writeFileSync(path.join(apiDir, 'stories.json'), JSON.stringify(storiesResult, null, 2));
+  const stories = storiesResult.stories || [];
   console.log(chalk.green('  ✓') + ` Generated /api/stories.json (${storiesResult.count} stories)`);
 
   // Create stories and docs subdirectories
@@ -127,12 +133,25 @@ async function generateStaticApi(staticDir, projectDir) {
     fs.writeFileSync(path.join(storiesDir, `${safeId}.json`), JSON.stringify(storyResult, null, 2));
     storyCount++;
 
-    // Generate /api/docs/{storyId}.json - uses handler for full documentation
+    // Generate /api/docs/{storyId}.json and .md - uses handler for full documentation
     const docsResult = await handlers.getStoryDocs({ storyId });
     fs.writeFileSync(path.join(docsDir, `${safeId}.json`), JSON.stringify(docsResult, null, 2));
+    const markdownResult = await handlers.getStoryDocs({ storyId, format: 'markdown' });
+    if (markdownResult.success) {
+      fs.writeFileSync(path.join(docsDir, `${safeId}.md`), markdownResult.markdown);
+    }
     docsCount++;
   }
 
+  // Generate /llms.txt and /llms-full.txt next to index.html, linking the markdown docs
+  for (const [file, full] of [['llms.txt', false], ['llms-full.txt', true]]) {
+    const llmsResult = await handlers.getLlmsTxt({ full, docsUrl: '/api/docs/{id}.md' });
+    if (llmsResult.success) {
+      fs.writeFileSync(path.join(staticDir, file), llmsResult.text);
+    }
+  }
+  console.log(chalk.green('  ✓') + ' Generated /llms.txt and /llms-full.txt');
+
   console.log(chalk.green('  ✓') + ` Generated ${storyCount} story files in /api/stories/`);
   console.log(chalk.green('  ✓') + ` Generated ${docsCount} docs files in /api/docs/`);
 
@@ -158,6 +177,7 @@ location /api/stories/ {
 location /api/docs/ {
     alias ${staticDir}/api/docs/;
     default_type application/json;
+    types { text/markdown md; }
     add_header Access-Control-Allow-Origin *;
 }
 `;
@@ -180,16 +200,49 @@ program
   .option('--static [path]', 'Serve a pre-built Storybook (auto-detects from angular.json or defaults)')
   .option('--generate-api [path]', 'Generate static API JSON files inside Storybook build (no server needed)')
   .option('-d, --dir <path>', 'Project directory (default: current directory)', process.cwd())
-  .action(async (options) => {
-    console.log('');
-    console.log(chalk.magenta('╔═══════════════════════════════════════════════════════════╗'));
-    console.log(chalk.magenta('║') + chalk.bold.white('        Storybook MCP API Server                          ') + chalk.magenta('║'));
-    console.log(chalk.magenta('║') + chalk.dim('        REST API + MCP Protocol • Single Port             ') + chalk.magenta('║'));
-    console.log(chalk.magenta('╚═══════════════════════════════════════════════════════════╝'));
-    console.log('');
+  .option('--no-watch', 'Disable file watching and MCP change notifications')
+  .option('--max-tokens <number>', 'Default token budget for MCP tool results (0 = unlimited)', '8000')
+  .option('--stdio', 'Serve MCP over stdin/stdout instead of HTTP (logs go to stderr)')
+  .option('--source-only', 'Index stories from the .storybook/main stories globs (no Storybook process or build)')
+  .option('--compodoc', 'Run Compodoc when starting an Angular Storybook (off by default)')
+  .option('-c, --config <path>', 'Config file (default: storybook-mcp.config.js/.json in the project or .storybook/)')
+  .action(async (options, command) => {
+    // stdout carries JSON-RPC messages in stdio mode
+    const log = options.stdio ? console.error : console.log;
+
+    log('');
+    log(chalk.magenta('╔═══════════════════════════════════════════════════════════╗'));
+    log(chalk.magenta('║') + chalk.bold.white('        Storybook MCP API Server                          ') + chalk.magenta('║'));
+    log(chalk.magenta('║') + chalk.dim('        REST API + MCP Protocol • Single Port             ') + chalk.magenta('║'));
+    log(chalk.magenta('╚═══════════════════════════════════════════════════════════╝'));
+    log('');
 
     const projectDir = options.dir;
+
+    // Config file settings are defaults: flags given on the command line win
+    let fileConfig;
+    try {
+      fileConfig = loadConfig(projectDir, options.config);
+    } catch (error) {
+      console.error(chalk.red('✗') + ` ${error.message}`);
+      process.exit(1);
+    }
+    if (fileConfig.configFile) {
+      log(chalk.green('✓') + ` Loaded config: ${chalk.dim(fileConfig.configFile)}`);
+      const defaults = { ...fileConfig, static: fileConfig.staticDir || fileConfig.static };
+      for (const name of ['port', 'storybookPort', 'storybookUrl', 'static', 'sourceOnly', 'proxy', 'watch', 'maxTokens', 'compodoc']) {
+        if (defaults[name] !== undefined && command.getOptionValueSource(name) !== 'cli') {
+          options[name] = defaults[name];
+        }
+      }
+    }
+
     const port = parseInt(options.port, 10);
+    if (!/^\d+$/.test(String(options.maxTokens))) {
+      console.error(chalk.red('✗') + ` Invalid --max-tokens: ${options.maxTokens} (use a whole number, 0 for no limit)`);
+      process.exit(1);
+    }
+    const maxTokens = Number(options.maxTokens);
     
     // Check for --generate-api mode (generate static files and exit)
     if (options.generateApi !== undefined) {
@@ -201,7 +254,7 @@ program
         const detected = detectStorybookOutputDir(projectDir);
         if (detected) {
           targetDir = detected.dir;
-          console.log(chalk.green('✓') + ` Auto-detected Storybook build: ${chalk.bold(targetDir)}`);
+          log(chalk.green('✓') + ` Auto-detected Storybook build: ${chalk.bold(targetDir)}`);
         } else {
           console.error(chalk.red('✗') + ' Could not auto-detect Storybook build directory');
           console.error(chalk.dim('  Build Storybook first: npx storybook build'));
@@ -209,29 +262,30 @@ program
         }
       }
       
-      console.log('');
-      console.log(chalk.blue('→') + ' Generating static API files...');
-      console.log('');
+      log('');
+      log(chalk.blue('→') + ' Generating static API files...');
+      log('');
       
       try {
-        const result = await generateStaticApi(targetDir, projectDir);
-        console.log('');
-        console.log(chalk.green('═══════════════════════════════════════════════════════════'));
-        console.log(chalk.green('  ✓ Static API generated successfully!'));
-        console.log(chalk.green('═══════════════════════════════════════════════════════════'));
-        console.log('');
-        console.log(`  ${chalk.bold('Output:')} ${result.apiDir}`);
-        console.log('');
-        console.log(`  ${chalk.bold('Files generated:')}`);
-        console.log(`    • /api/index.json`);
-        console.log(`    • /api/stories.json`);
-        console.log(`    • /api/stories/*.json (${result.storyCount} files)`);
-        console.log(`    • /api/docs/*.json (${result.docsCount} files)`);
-        console.log(`    • /api/nginx.conf.example`);
-        console.log('');
-        console.log(chalk.dim('  You can now serve everything with nginx or any static server.'));
-        console.log(chalk.dim('  See /api/nginx.conf.example for nginx configuration.'));
-        console.log('');
+        const result = await generateStaticApi(targetDir, projectDir, fileConfig);
+        log('');
+        log(chalk.green('═══════════════════════════════════════════════════════════'));
+        log(chalk.green('  ✓ Static API generated successfully!'));
+        log(chalk.green('═══════════════════════════════════════════════════════════'));
+        log('');
+        log(`  ${chalk.bold('Output:')} ${result.apiDir}`);
+        log('');
+        log(`  ${chalk.bold('Files generated:')}`);
+        log(`    • /api/index.json`);
+        log(`    • /api/stories.json`);
+        log(`    • /api/stories/*.json (${result.storyCount} files)`);
+        log(`    • /api/docs/*.json and *.md (${result.docsCount} each)`);
+        log(`    • /llms.txt, /llms-full.txt`);
+        log(`    • /api/nginx.conf.example`);
+        log('');
+        log(chalk.dim('  You can now serve everything with nginx or any static server.'));
+        log(chalk.dim('  See /api/nginx.conf.example for nginx configuration.'));
+        log('');
         process.exit(0);
       } catch (error) {
         console.error(chalk.red('✗') + ` Error: ${error.message}`);
@@ -239,6 +293,19 @@ program
       }
     }
     
+    // Several Storybooks from the config file, unless a flag picks a single one
+    let sources = [];
+    if (options.static === undefined && !options.sourceOnly && !options.storybookUrl) {
+      sources = fileConfig.sources || [];
+    }
+    if (sources.length > 0) {
+      log(chalk.green('✓') + ' Storybook sources from the config file:');
+      for (const source of sources) {
+        const location = source.storybookUrl || source.staticDir || source.projectDir;
+        log(chalk.dim(`  • ${source.id} (${source.type}): ${location}`));
+      }
+    }
+
     // Check for static mode (production)
     let staticDir = null;
     if (options.static !== undefined) {
@@ -250,8 +317,8 @@ program
         const detected = detectStorybookOutputDir(projectDir);
         if (detected) {
           staticDir = detected.dir;
-          console.log(chalk.green('✓') + ` Auto-detected Storybook build: ${chalk.bold(staticDir)}`);
-          console.log(chalk.dim(`  Source: ${detected.source}`));
+          log(chalk.green('✓') + ` Auto-detected Storybook build: ${chalk.bold(staticDir)}`);
+          log(chalk.dim(`  Source: ${detected.source}`));
         } else {
           console.error(chalk.red('✗') + ' Could not auto-detect Storybook build directory');
           console.error(chalk.dim('  Try one of:'));
@@ -275,8 +342,8 @@ program
         process.exit(1);
       }
       
-      console.log(chalk.green('✓') + ` Static mode: serving from ${chalk.bold(staticDir)}`);
-      console.log(chalk.cyan('  Production ready - no Storybook dev server'));
+      log(chalk.green('✓') + ` Static mode: serving from ${chalk.bold(staticDir)}`);
+      log(chalk.cyan('  Production ready - no Storybook dev server'));
     }
     
     // Only detect version/framework in non-static mode
@@ -284,37 +351,48 @@ program
     let framework = 'unknown';
     let configDir = null;
     
-    if (!staticDir) {
+    if (!staticDir && sources.length === 0) {
       // Detect Storybook version
       version = detectStorybookVersion(projectDir);
       if (version) {
-        console.log(chalk.green('✓') + ` Detected Storybook version: ${chalk.bold(version)}`);
+        log(chalk.green('✓') + ` Detected Storybook version: ${chalk.bold(version)}`);
       } else {
-        console.log(chalk.yellow('⚠') + ' Could not detect Storybook version');
+        log(chalk.yellow('⚠') + ' Could not detect Storybook version');
       }
 
       // Detect framework
       framework = detectFramework(projectDir);
       if (framework !== 'unknown') {
-        console.log(chalk.green('✓') + ` Detected framework: ${chalk.bold(framework)}`);
+        log(chalk.green('✓') + ` Detected framework: ${chalk.bold(framework)}`);
       } else {
-        console.log(chalk.yellow('⚠') + ' Could not detect framework');
+        log(chalk.yellow('⚠') + ' Could not detect framework');
       }
 
       // Find Storybook config
       configDir = findStorybookConfig(projectDir);
       if (configDir) {
-        console.log(chalk.green('✓') + ` Found Storybook config: ${chalk.dim(configDir)}`);
+        log(chalk.green('✓') + ` Found Storybook config: ${chalk.dim(configDir)}`);
       } else {
-        console.log(chalk.yellow('⚠') + ' Could not find .storybook directory');
+        log(chalk.yellow('⚠') + ' Could not find .storybook directory');
+      }
+
+      if (options.sourceOnly) {
+        if (!configDir) {
+          console.error(chalk.red('✗') + ' Source-only mode reads the stories globs from .storybook/main');
+          process.exit(1);
+        }
+        log(chalk.green('✓') + ' Source-only mode: indexing stories from source files');
+        log(chalk.cyan('  No Storybook process or build needed'));
       }
     }
 
-    console.log('');
-    console.log(chalk.blue('→') + ` Server will run on port ${chalk.bold(port)}`);
-    console.log(chalk.dim(`  • REST API:  /api/*`));
-    console.log(chalk.dim(`  • MCP HTTP:  /mcp`));
-    console.log(chalk.dim(`  • MCP SSE:   /sse`));
+    log('');
+    if (!options.stdio) {
+      log(chalk.blue('→') + ` Server will run on port ${chalk.bold(port)}`);
+      log(chalk.dim(`  • REST API:  /api/*`));
+      log(chalk.dim(`  • MCP HTTP:  /mcp`));
+      log(chalk.dim(`  • MCP SSE:   /sse`));
+    }
 
     const config = {
       port,
@@ -322,12 +400,37 @@ program
       storybookUrl: options.storybookUrl || `http://localhost:${options.storybookPort}`,
       projectDir,
       configDir,
-      proxy: staticDir ? false : (options.proxy !== false),
+      // Over stdio nothing is proxied: Storybook only needs starting when no URL is given
+      proxy: staticDir || options.sourceOnly || sources.length > 0 || (options.stdio && options.storybookUrl)
+        ? false
+        : (options.proxy !== false),
+      sourceOnly: !staticDir && !!options.sourceOnly,
       staticDir,  // New: serve static build
+      sources,
       version,
       framework,
+      watch: options.watch !== false,
+      maxTokens,
+      compodoc: !!options.compodoc,
+      // Settings only the config file can give
+      configFile: fileConfig.configFile,
+      detail: fileConfig.detail,
+      parsers: fileConfig.parsers,
+      prompts: fileConfig.prompts,
+      auth: fileConfig.auth,
+      exclude: fileConfig.exclude,
     };
 
+    if (options.stdio) {
+      try {
+        await startStdioServer(config);
+        process.exit(0);
+      } catch (error) {
+        console.error(chalk.red('Error starting stdio server:'), error.message);
+        process.exit(1);
+      }
+    }
+
     try {
       await startServer(config);
     } catch (error) {
@@ -0,0 +1,208 @@
+/**
+ * Compodoc (documentation.json) support for Angular projects
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Parsed documentation.json files, keyed by path and invalidated on mtime change
+const compodocCache = new Map();
+
+/**
+ * Read the output directory from `compodocArgs` in angular.json (`-d` / `--output`)
+ */
+function getAngularCompodocDirs(projectDir) {
+  const dirs = [];
+  const angularJsonPath = path.join(projectDir, 'angular.json');
+  if (!fs.existsSync(angularJsonPath)) {
+    return dirs;
+  }
+
+  try {
+    const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
+    for (const project of Object.values(angularJson.projects || {})) {
+      for (const target of Object.values(project.architect || {})) {
+        const compodocArgs = target?.options?.compodocArgs;
+        if (!Array.isArray(compodocArgs)) continue;
+
+        const outputIdx = compodocArgs.findIndex(arg => arg === '-d' || arg === '--output');
+        if (outputIdx !== -1 && compodocArgs[outputIdx + 1]) {
+          dirs.push(path.resolve(projectDir, project.root || '', compodocArgs[outputIdx + 1]));
+        }
+      }
+    }
+  } catch (error) {
+    // Ignore parse errors
+  }
+
+  return dirs;
+}
+
+/**
+ * Find the Compodoc documentation.json for a project
+ */
+function findCompodocJson(projectDir) {
+  if (!projectDir) return null;
+
+  const candidateDirs = [
+    ...getAngularCompodocDirs(projectDir),
+    projectDir,
+    path.join(projectDir, 'documentation'),
+    path.join(projectDir, '.storybook'),
+  ];
+
+  for (const dir of candidateDirs) {
+    const jsonPath = path.join(dir, 'documentation.json');
+    if (fs.existsSync(jsonPath)) {
+      return jsonPath;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Load and cache the Compodoc documentation.json for a project
+ */
+function loadCompodocJson(projectDir) {
+  const jsonPath = findCompodocJson(projectDir);
+  if (!jsonPath) return null;
+
+  try {
+    const { mtimeMs } = fs.statSync(jsonPath);
+    const cached = compodocCache.get(jsonPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.data;
+    }
+
+    const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
+    compodocCache.set(jsonPath, { mtimeMs, data });
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a component or directive entry by source file path and/or class name
+ */
+function findCompodocEntry(compodoc, { filePath, name } = {}) {
+  if (!compodoc) return null;
+
+  const entries = [...(compodoc.components || []), ...(compodoc.directives || [])];
+  const normalize = p => p.replace(/\\/g, '/').replace(/^\.\//, '');
+
+  // Compodoc paths are relative to where it ran, so match on the path suffix
+  if (filePath) {
+    const absolutePath = normalize(path.resolve(filePath));
+    const byFile = entries.filter(entry => entry.file && absolutePath.endsWith('/' + normalize(entry.file)));
+    if (byFile.length === 1 || (byFile.length > 1 && !name)) {
+      return byFile[0];
+    }
+    if (byFile.length > 1) {
+      return byFile.find(entry => entry.name === name) || byFile[0];
+    }
+  }
+
+  if (name) {
+    return entries.find(entry => entry.name === name) || null;
+  }
+
+  return null;
+}
+
+/**
+ * Plain-text description from a Compodoc member (rawdescription is the JSDoc text)
+ */
+function getDescription(member) {
+  if (member.rawdescription !== undefined) {
+    return member.rawdescription.trim();
+  }
+  return (member.description || '').replace(/<[^>]+>/g, '').trim();
+}
+
+function hasJsDocTag(member, tagName) {
+  return (member.jsdoctags || []).some(tag => tag.tagName?.escapedText === tagName || tag.tagName?.text === tagName);
+}
+
+/**
+ * Convert a Compodoc input/output into the `properties` shape used by the parsers
+ */
+function toProperty(member, kind) {
+  const property = {
+    description: getDescription(member),
+    type: kind,
+    required: member.required === true || hasJsDocTag(member, 'required'),
+  };
+
+  if (member.type) property.tsType = member.type;
+  if (member.defaultValue !== undefined) property.defaultValue = member.defaultValue;
+  if (member.deprecated) {
+    property.deprecated = true;
+    property.deprecationMessage = member.deprecationMessage || '';
+  }
+
+  return property;
+}
+
+/**
+ * Convert a Compodoc method into a serialisable method description
+ */
+function toMethod(member) {
+  const method = {
+    name: member.name,
+    description: getDescription(member),
+    args: (member.args || []).map(arg => ({
+      name: arg.name,
+      type: arg.type,
+      optional: !!arg.optional,
+    })),
+    returnType: member.returnType || 'void',
+  };
+
+  if (member.deprecated) {
+    method.deprecated = true;
+    method.deprecationMessage = member.deprecationMessage || '';
+  }
+
+  return method;
+}
+
+/**
+ * Build component docs (same shape as extractComponentDocs) from a Compodoc entry
+ */
+function compodocEntryToDocs(entry) {
+  const docs = {
+    properties: {},
+    description: getDescription(entry),
+    source: 'compodoc',
+  };
+
+  if (entry.selector) docs.selector = entry.selector;
+  if (entry.template) docs.template = entry.template.trim();
+  if (Array.isArray(entry.templateUrl) && entry.templateUrl.length > 0) {
+    docs.templateUrl = entry.templateUrl[0];
+  }
+  if (entry.deprecated) {
+    docs.deprecated = true;
+    docs.deprecationMessage = entry.deprecationMessage || '';
+  }
+
+  for (const input of entry.inputsClass || []) {
+    docs.properties[input.name] = toProperty(input, 'input');
+  }
+  for (const output of entry.outputsClass || []) {
+    docs.properties[output.name] = toProperty(output, 'output');
+  }
+
+  docs.methods = (entry.methodsClass || []).map(toMethod);
+
+  return docs;
+}
+
+module.exports = {
+  findCompodocJson,
+  loadCompodocJson,
+  findCompodocEntry,
+  compodocEntryToDocs,
+};
@@ -0,0 +1,154 @@
+/**
+ * Project configuration file
+ *
+ * `storybook-mcp.config.js` (or `.cjs` / `.json`) in the project root or `.storybook/` holds
+ * per-project defaults for the CLI flags and the settings flags cannot express: component
+ * parsers, prompts, several Storybooks (`sources`), an API token and excluded stories.
+ * It is validated on load; flags given on the command line override it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { z } = require('zod');
+const { DETAIL_LEVELS } = require('./response-shaping');
+const { RESERVED_SOURCE_IDS, resolveSources } = require('./sources');
+
+const CONFIG_FILES = ['storybook-mcp.config.js', 'storybook-mcp.config.cjs', 'storybook-mcp.config.json'];
+
+// Loaded config files, keyed by file path and invalidated on mtime change
+const configCache = new Map();
+
+const fn = z.custom(value => typeof value === 'function', { message: 'Expected a function' });
+
+const promptSchema = z.looseObject({
+  name: z.string().min(1),
+  description: z.string().optional(),
+  arguments: z.array(z.object({
+    name: z.string().min(1),
+    description: z.string().optional(),
+    required: z.boolean().optional(),
+  })).optional(),
+  template: z.string().optional(),
+  render: fn.optional(),
+}).refine(prompt => prompt.template !== undefined || prompt.render, 'Each prompt needs a template or render function');
+
+const sourceSchema = z.strictObject({
+  id: z.string().regex(/^[a-z0-9-]+$/, 'Use lowercase letters, digits and dashes')
+    .refine(id => !RESERVED_SOURCE_IDS.includes(id), `Reserved for the REST API (${RESERVED_SOURCE_IDS.join(', ')})`),
+  title: z.string().optional(),
+  url: z.string().min(1).optional(),
+  static: z.string().min(1).optional(),
+  dir: z.string().min(1).optional(),
+  refs: z.boolean().optional(),
+})
+  .refine(source => !(source.url && source.static), 'A source has either a url or a static build')
+  .refine(source => source.url || source.static || source.dir, 'A source needs a url, static or dir');
+
+const configSchema = z.strictObject({
+  // Defaults for the CLI flags
+  port: z.number().int().positive().optional(),
+  storybookPort: z.number().int().positive().optional(),
+  storybookUrl: z.string().min(1).optional(),
+  static: z.union([z.string().min(1), z.literal(true)]).optional(),
+  sourceOnly: z.boolean().optional(),
+  proxy: z.boolean().optional(),
+  watch: z.boolean().optional(),
+  maxTokens: z.number().int().min(0).optional(),
+  compodoc: z.boolean().optional(),
+  detail: z.enum(DETAIL_LEVELS).optional(),
+
+  // Component docs for files the built-in parsers do not handle (tried first, in order)
+  parsers: z.array(z.strictObject({
+    name: z.string().optional(),
+    test: z.union([z.instanceof(RegExp), fn]),
+    parse: fn,
+  })).optional(),
+  prompts: z.array(promptSchema).optional(),
+  sources: z.array(sourceSchema).min(1).optional()
+    .refine(sources => !sources || new Set(sources.map(source => source.id)).size === sources.length, 'Source ids must be unique'),
+  // Bearer token(s) required on /api, /mcp, /sse and llms.txt
+  auth: z.strictObject({
+    token: z.union([z.string().min(1), z.array(z.string().min(1)).min(1)]),
+  }).optional(),
+  // Story / docs IDs or title globs (`Internal/**`) left out of the index
+  exclude: z.array(z.string().min(1)).optional(),
+});
+
+/**
+ * Find the config file in the project root, then in `.storybook/`
+ */
+function findConfigFile(projectDir) {
+  if (!projectDir) return null;
+  const candidates = [projectDir, path.join(projectDir, '.storybook')]
+    .flatMap(dir => CONFIG_FILES.map(file => path.join(dir, file)));
+  return candidates.find(file => fs.existsSync(file)) || null;
+}
+
+/**
+ * Read and validate a config file (reloaded when it changes); null when there is none
+ *
+ * @param {string} projectDir - Where to look for the file
+ * @param {string} [configPath] - An explicit file instead
+ * @returns {{ configPath: string, config: Object }|null}
+ */
+function loadConfigFile(projectDir, configPath = findConfigFile(projectDir)) {
+  if (!configPath) return null;
+  if (!fs.existsSync(configPath)) {
+    throw new Error(`Config file not found: ${configPath}`);
+  }
+
+  const { mtimeMs } = fs.statSync(configPath);
+  const cached = configCache.get(configPath);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.result;
+  }
+
+  let config;
+  if (configPath.endsWith('.json')) {
+    config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } else {
+    delete require.cache[require.resolve(configPath)];
+    config = require(configPath);
+  }
+
+  const parsed = configSchema.safeParse(config ?? {});
+  if (!parsed.success) {
+    const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'config'}: ${issue.message}`);
+    throw new Error(`Invalid ${path.basename(configPath)}: ${issues.join('; ')}`);
+  }
+
+  const result = { configPath, config: parsed.data };
+  configCache.set(configPath, { mtimeMs, result });
+  return result;
+}
+
+/**
+ * Server config (for startServer / createApp) from the project's config file; paths in the file
+ * are relative to it. Returns `{ projectDir }` alone when there is no file.
+ *
+ * @param {string} projectDir - Project directory
+ * @param {string} [configFile] - An explicit config file instead of the one in the project
+ */
+function loadConfig(projectDir, configFile) {
+  const loaded = loadConfigFile(projectDir, configFile && path.resolve(configFile));
+  if (!loaded) return { projectDir };
+
+  const { configPath, config } = loaded;
+  const baseDir = path.dirname(configPath);
+  const { static: staticPath, sources, ...settings } = config;
+  return {
+    ...settings,
+    projectDir,
+    configFile: configPath,
+    ...(staticPath === true ? { static: true } : {}),
+    ...(typeof staticPath === 'string' ? { staticDir: path.resolve(baseDir, staticPath) } : {}),
+    ...(sources ? { sources: resolveSources(sources, baseDir) } : {}),
+  };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  findConfigFile,
+  loadConfigFile,
+  loadConfig,
+};
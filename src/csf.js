@@ -0,0 +1,530 @@
+/**
+ * AST-based Component Story Format (CSF) parser
+ *
+ * Static values (strings, numbers, objects, arrays...) are returned as plain JSON values.
+ * Anything that can't be evaluated without running the file (function calls, functions,
+ * imported identifiers, template literals with expressions) is returned as `{ $code: '<source>' }`.
+ */
+
+const { parse } = require('@babel/parser');
+
+/**
+ * Choose Babel parser plugins from the file extension
+ */
+function getParserPlugins(filePath = '') {
+  if (/\.tsx$/.test(filePath)) return ['typescript', 'jsx', 'decorators-legacy'];
+  if (/\.[mc]?ts$/.test(filePath)) return ['typescript', 'decorators-legacy'];
+  return ['jsx', 'decorators-legacy'];
+}
+
+/**
+ * Parse a JS/TS source file into a Babel AST
+ */
+function parseSource(content, filePath) {
+  return parse(content, {
+    sourceType: 'module',
+    errorRecovery: true,
+    plugins: getParserPlugins(filePath),
+  });
+}
+
+/**
+ * Strip TypeScript wrappers (`as`, `satisfies`, `!`) around an expression
+ */
+function unwrap(node) {
+  while (node && [
+    'TSAsExpression',
+    'TSSatisfiesExpression',
+    'TSNonNullExpression',
+    'TSTypeAssertion',
+    'ParenthesizedExpression',
+  ].includes(node.type)) {
+    node = node.expression;
+  }
+  return node;
+}
+
+/**
+ * Check whether a value is an unevaluated `{ $code }` placeholder
+ */
+function isCode(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && typeof value.$code === 'string';
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value) && !isCode(value);
+}
+
+/**
+ * Get the static name of an object property key
+ */
+function getKeyName(prop) {
+  if (prop.computed) {
+    return prop.key.type === 'StringLiteral' ? prop.key.value : null;
+  }
+  if (prop.key.type === 'Identifier') return prop.key.name;
+  if (prop.key.type === 'StringLiteral') return prop.key.value;
+  if (prop.key.type === 'NumericLiteral') return String(prop.key.value);
+  return null;
+}
+
+/**
+ * Text of the JSDoc block (`/** ... *\/`) directly preceding a node
+ */
+function getLeadingJsDoc(node) {
+  const comments = (node.leadingComments || []).filter(c => c.type === 'CommentBlock' && c.value.startsWith('*'));
+  if (comments.length === 0) return undefined;
+  return comments[comments.length - 1].value
+    .replace(/^\*/, '')
+    .replace(/^\s*\*\s?/gm, '')
+    .trim();
+}
+
+/**
+ * Create a static evaluator bound to a source file and its top-level bindings
+ */
+function createEvaluator(content, bindings) {
+  const code = node => ({ $code: content.slice(node.start, node.end) });
+  const resolving = new Set();
+
+  function evaluateIdentifier(node) {
+    if (node.name === 'undefined') return code(node);
+
+    const binding = bindings.get(node.name);
+    if (!binding || !binding.init || resolving.has(node.name)) {
+      return code(node);
+    }
+
+    resolving.add(node.name);
+    try {
+      if (binding.resolve) return binding.resolve();
+      return evaluate(binding.init);
+    } finally {
+      resolving.delete(node.name);
+    }
+  }
+
+  function evaluateObject(node) {
+    const result = {};
+    for (const prop of node.properties) {
+      if (prop.type === 'SpreadElement') {
+        const spread = evaluate(prop.argument);
+        if (isPlainObject(spread)) {
+          Object.assign(result, spread);
+        } else {
+          result[`...${content.slice(prop.argument.start, prop.argument.end)}`] = code(prop.argument);
+        }
+        continue;
+      }
+
+      const key = getKeyName(prop);
+      if (key === null) continue;
+      result[key] = prop.type === 'ObjectMethod' ? code(prop) : evaluate(prop.value);
+    }
+    return result;
+  }
+
+  function evaluateArray(node) {
+    const result = [];
+    for (const element of node.elements) {
+      if (!element) {
+        result.push(null);
+      } else if (element.type === 'SpreadElement') {
+        const spread = evaluate(element.argument);
+        if (Array.isArray(spread)) {
+          result.push(...spread);
+        } else {
+          result.push(code(element));
+        }
+      } else {
+        result.push(evaluate(element));
+      }
+    }
+    return result;
+  }
+
+  function evaluate(rawNode) {
+    const node = unwrap(rawNode);
+    if (!node) return undefined;
+
+    switch (node.type) {
+      case 'StringLiteral':
+      case 'NumericLiteral':
+      case 'BooleanLiteral':
+        return node.value;
+      case 'NullLiteral':
+        return null;
+      case 'TemplateLiteral':
+        return node.expressions.length === 0 ? node.quasis[0].value.cooked : code(node);
+      case 'UnaryExpression': {
+        const argument = evaluate(node.argument);
+        if (node.operator === '-' && typeof argument === 'number') return -argument;
+        if (node.operator === '+' && typeof argument === 'number') return argument;
+        if (node.operator === '!' && typeof argument === 'boolean') return !argument;
+        return code(node);
+      }
+      case 'Identifier':
+        return evaluateIdentifier(node);
+      case 'MemberExpression': {
+        const object = evaluate(node.object);
+        const property = node.computed
+          ? (node.property.type === 'StringLiteral' ? node.property.value : null)
+          : node.property.name;
+        if (isPlainObject(object) && property !== null && property in object) {
+          return object[property];
+        }
+        return code(node);
+      }
+      case 'ObjectExpression':
+        return evaluateObject(node);
+      case 'ArrayExpression':
+        return evaluateArray(node);
+      default:
+        return code(node);
+    }
+  }
+
+  return { evaluate, code };
+}
+
+/**
+ * Convert a string to a Storybook ID segment (same rules as @storybook/csf `sanitize`)
+ */
+function sanitize(string) {
+  return string
+    .toLowerCase()
+    .replace(/[ ’–—―′¿'`~!@#$%^&*()_|+\-=?;:'",.<>\{\}\[\]\\\/]/gi, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-+/, '')
+    .replace(/-+$/, '');
+}
+
+/**
+ * Story display name from its export name (same rules as @storybook/csf `storyNameFromExport`)
+ */
+function storyNameFromExport(exportName) {
+  return exportName
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .replace(/([a-zA-Z])(\d)/g, '$1 $2')
+    .replace(/(\d)([a-zA-Z])/g, '$1 $2')
+    .replace(/[^a-zA-Z\d]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+}
+
+/**
+ * Build a story ID from a title (or meta id) and a story name
+ */
+function toId(kind, name) {
+  return `${sanitize(kind)}${name ? `--${sanitize(name)}` : ''}`;
+}
+
+/**
+ * Check an export against meta `includeStories` / `excludeStories`
+ */
+function isExportStory(exportName, { includeStories, excludeStories } = {}) {
+  const matches = (matcher) => {
+    if (Array.isArray(matcher)) return matcher.includes(exportName);
+    if (isCode(matcher)) {
+      const regexMatch = matcher.$code.match(/^\/(.*)\/([a-z]*)$/);
+      return regexMatch ? new RegExp(regexMatch[1], regexMatch[2]).test(exportName) : false;
+    }
+    return false;
+  };
+
+  return exportName !== '__namedExportsOrder'
+    && (!includeStories || matches(includeStories))
+    && (!excludeStories || !matches(excludeStories));
+}
+
+// Story/meta fields kept as source code rather than evaluated
+const CODE_FIELDS = ['render', 'play', 'loaders', 'beforeEach'];
+
+/**
+ * Convert a single annotation value (args, decorators, play, ...) from its AST node
+ */
+function getAnnotationValue(key, valueNode, { evaluate, code }) {
+  if (CODE_FIELDS.includes(key) || valueNode.type === 'ObjectMethod') {
+    return code(valueNode).$code;
+  }
+  if (key === 'decorators') {
+    const decorators = unwrap(valueNode);
+    return decorators.type === 'ArrayExpression'
+      ? decorators.elements.filter(Boolean).map(el => code(el).$code)
+      : [code(valueNode).$code];
+  }
+  if (key === 'component' || key === 'subcomponents') {
+    const value = unwrap(valueNode);
+    return value.type === 'Identifier' ? value.name : evaluate(valueNode);
+  }
+  return evaluate(valueNode);
+}
+
+/**
+ * Read the CSF annotations (args, argTypes, parameters, ...) from an object expression
+ */
+function extractAnnotations(objectNode, evaluator, bindings) {
+  const annotations = {};
+  const properties = new Map();
+
+  const collect = (node) => {
+    for (const prop of node.properties) {
+      if (prop.type === 'SpreadElement') {
+        const argument = unwrap(prop.argument);
+        const binding = argument.type === 'Identifier' ? bindings.get(argument.name) : null;
+        const init = binding && unwrap(binding.init);
+        if (init && init.type === 'ObjectExpression') collect(init);
+        continue;
+      }
+      const key = getKeyName(prop);
+      if (key !== null) properties.set(key, prop.type === 'ObjectMethod' ? prop : prop.value);
+    }
+  };
+  collect(objectNode);
+
+  for (const [key, valueNode] of properties) {
+    annotations[key] = getAnnotationValue(key, valueNode, evaluator);
+  }
+
+  return annotations;
+}
+
+/**
+ * Get `Template` from a CSF2 `Template.bind({})` call, or null
+ */
+function getBoundTemplate(node) {
+  if (node?.type !== 'CallExpression') return null;
+  const callee = unwrap(node.callee);
+  if (callee.type !== 'MemberExpression' || callee.computed || callee.property.name !== 'bind') return null;
+  const template = unwrap(callee.object);
+  return template.type === 'Identifier' ? template.name : null;
+}
+
+function isFunctionNode(node) {
+  return ['ArrowFunctionExpression', 'FunctionExpression', 'FunctionDeclaration'].includes(node?.type);
+}
+
+/**
+ * Parse a CSF story file
+ *
+ * @param {string} content - Source code of the story file
+ * @param {string} [filePath] - Used to pick TypeScript/JSX parsing
+ * @returns {{ imports: Array, meta: Object|null, metaCode: string|null, stories: Object }}
+ */
+function parseCsf(content, filePath) {
+  const ast = parseSource(content, filePath);
+  const bindings = new Map();
+  const imports = [];
+  const storyExports = [];
+  const assignments = new Map();
+  let defaultExport = null;
+
+  for (const statement of ast.program.body) {
+    switch (statement.type) {
+      case 'ImportDeclaration':
+        imports.push({
+          source: statement.source.value,
+          code: content.slice(statement.start, statement.end),
+          specifiers: statement.specifiers.map(spec => ({
+            local: spec.local.name,
+            imported: spec.type === 'ImportDefaultSpecifier'
+              ? 'default'
+              : spec.type === 'ImportNamespaceSpecifier' ? '*' : (spec.imported.name || spec.imported.value),
+          })),
+        });
+        break;
+
+      case 'VariableDeclaration':
+        for (const decl of statement.declarations) {
+          if (decl.id.type === 'Identifier') {
+            bindings.set(decl.id.name, { init: decl.init, statement });
+          }
+        }
+        break;
+
+      case 'FunctionDeclaration':
+        if (statement.id) bindings.set(statement.id.name, { init: statement, statement });
+        break;
+
+      case 'ExpressionStatement': {
+        // Post-hoc story annotations: `Primary.args = {...}`, `Primary.storyName = '...'`
+        const expression = statement.expression;
+        if (expression.type !== 'AssignmentExpression' || expression.operator !== '=') break;
+        const target = expression.left;
+        if (target.type !== 'MemberExpression' || target.object.type !== 'Identifier') break;
+        const key = target.computed ? target.property.value : target.property.name;
+        if (typeof key !== 'string') break;
+
+        if (!assignments.has(target.object.name)) assignments.set(target.object.name, []);
+        assignments.get(target.object.name).push({ key, valueNode: expression.right, statement });
+        break;
+      }
+
+      case 'ExportNamedDeclaration':
+        if (statement.declaration?.type === 'FunctionDeclaration' && statement.declaration.id) {
+          const name = statement.declaration.id.name;
+          bindings.set(name, { init: statement.declaration, statement });
+          storyExports.push({ exportName: name, local: name, statement });
+        }
+        if (statement.declaration?.type === 'VariableDeclaration') {
+          for (const decl of statement.declaration.declarations) {
+            if (decl.id.type === 'Identifier') {
+              bindings.set(decl.id.name, { init: decl.init, statement });
+              storyExports.push({ exportName: decl.id.name, local: decl.id.name, statement });
+            }
+          }
+        }
+        for (const spec of statement.specifiers || []) {
+          const exported = spec.exported.name || spec.exported.value;
+          if (exported === 'default') {
+            defaultExport = { node: spec.local, statement };
+          } else {
+            storyExports.push({ exportName: exported, local: spec.local.name, statement });
+          }
+        }
+        break;
+
+      case 'ExportDefaultDeclaration':
+        defaultExport = { node: statement.declaration, statement };
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  const evaluator = createEvaluator(content, bindings);
+  const result = { imports, meta: null, metaCode: null, stories: {} };
+
+  // Meta (default export), either inline or through a local variable
+  if (defaultExport) {
+    let metaNode = unwrap(defaultExport.node);
+    let metaCode = content.slice(defaultExport.statement.start, defaultExport.statement.end);
+    if (metaNode?.type === 'Identifier' && bindings.has(metaNode.name)) {
+      const binding = bindings.get(metaNode.name);
+      metaCode = `${content.slice(binding.statement.start, binding.statement.end)}\n\n${metaCode}`;
+      metaNode = unwrap(binding.init);
+    }
+    if (metaNode?.type === 'ObjectExpression') {
+      result.meta = extractAnnotations(metaNode, evaluator, bindings);
+    }
+    result.metaCode = metaCode;
+  }
+
+  const meta = result.meta || {};
+  const title = meta.id || (typeof meta.title === 'string' ? meta.title : null);
+
+  // Story annotations are resolved lazily so stories can reference each other (`...Primary.args`).
+  // While a story is being resolved, references to it see the annotations collected so far.
+  const storyAnnotations = new Map();
+  const inProgress = new Map();
+
+  function resolveStoryAnnotations(local) {
+    if (storyAnnotations.has(local)) return storyAnnotations.get(local);
+    if (inProgress.has(local)) return inProgress.get(local);
+
+    const annotations = {};
+    inProgress.set(local, annotations);
+
+    const init = unwrap(bindings.get(local)?.init);
+    if (init?.type === 'ObjectExpression') {
+      Object.assign(annotations, extractAnnotations(init, evaluator, bindings));
+    }
+
+    for (const { key, valueNode } of assignments.get(local) || []) {
+      if (key === 'story' && unwrap(valueNode).type === 'ObjectExpression') {
+        // Legacy CSF `Primary.story = { name, parameters, ... }`
+        Object.assign(annotations, extractAnnotations(unwrap(valueNode), evaluator, bindings));
+      } else {
+        annotations[key] = getAnnotationValue(key, valueNode, evaluator);
+      }
+    }
+
+    inProgress.delete(local);
+    storyAnnotations.set(local, annotations);
+    return annotations;
+  }
+
+  for (const { local } of storyExports) {
+    const binding = bindings.get(local);
+    if (binding) binding.resolve = () => resolveStoryAnnotations(local);
+  }
+
+  for (const { exportName, local, statement } of storyExports) {
+    if (!isExportStory(exportName, meta)) continue;
+
+    const binding = bindings.get(local);
+    const init = unwrap(binding?.init);
+    const templateName = getBoundTemplate(init);
+    const template = templateName ? bindings.get(templateName) : null;
+
+    // CSF3 objects, CSF2 `Template.bind({})` and CSF1 function stories
+    let format;
+    if (init?.type === 'ObjectExpression') format = 'csf3';
+    else if (template) format = 'csf2';
+    else if (isFunctionNode(init)) format = 'csf1';
+    else continue;
+
+    const annotations = resolveStoryAnnotations(local);
+    const codeParts = [];
+    if (template) codeParts.push(content.slice(template.statement.start, template.statement.end), '');
+    codeParts.push(content.slice(statement.start, statement.end));
+    for (const assignment of assignments.get(local) || []) {
+      codeParts.push(content.slice(assignment.statement.start, assignment.statement.end));
+    }
+
+    const story = {
+      exportName,
+      name: annotations.name || annotations.storyName || storyNameFromExport(exportName),
+      format,
+      code: codeParts.join('\n'),
+      args: isPlainObject(annotations.args) ? annotations.args : {},
+    };
+    if (title) story.id = toId(title, storyNameFromExport(exportName));
+
+    const description = getLeadingJsDoc(statement);
+    if (description) story.description = description;
+
+    for (const key of ['argTypes', 'parameters', 'decorators', 'tags', 'render', 'play', 'loaders', 'beforeEach']) {
+      if (annotations[key] !== undefined) story[key] = annotations[key];
+    }
+
+    // The template (CSF2) or the function itself (CSF1) is the story's render function
+    if (!story.render && template?.init) {
+      story.render = content.slice(template.init.start, template.init.end);
+    } else if (!story.render && format === 'csf1') {
+      story.render = content.slice(init.start, init.end);
+    }
+
+    result.stories[exportName] = story;
+  }
+
+  return result;
+}
+
+/**
+ * Find the story in a parsed CSF file that matches a story ID
+ */
+function findStoryById(csf, storyId) {
+  const storyPart = storyId.split('--')[1];
+  if (!storyPart) return null;
+
+  return Object.values(csf.stories).find(story =>
+    story.id === storyId || sanitize(storyNameFromExport(story.exportName)) === storyPart
+  ) || null;
+}
+
+module.exports = {
+  parseSource,
+  parseCsf,
+  findStoryById,
+  isCode,
+  unwrap,
+  sanitize,
+  storyNameFromExport,
+  toId,
+};
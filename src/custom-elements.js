@@ -0,0 +1,159 @@
+/**
+ * Custom Elements Manifest (custom-elements.json) support for web components
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Parsed manifests, keyed by path and invalidated on mtime change
+const manifestCache = new Map();
+
+/**
+ * Find the custom-elements.json for a project
+ *
+ * The `customElements` field of package.json wins, then the usual output locations.
+ */
+function findCustomElementsManifest(projectDir) {
+  if (!projectDir) return null;
+
+  const candidates = [];
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(path.join(projectDir, 'package.json'), 'utf8'));
+    if (typeof packageJson.customElements === 'string') {
+      candidates.push(path.resolve(projectDir, packageJson.customElements));
+    }
+  } catch (error) {
+    // No package.json
+  }
+
+  candidates.push(
+    path.join(projectDir, 'custom-elements.json'),
+    path.join(projectDir, 'dist', 'custom-elements.json'),
+    path.join(projectDir, '.storybook', 'custom-elements.json'),
+  );
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Load and cache the custom-elements.json for a project
+ */
+function loadCustomElementsManifest(projectDir) {
+  const manifestPath = findCustomElementsManifest(projectDir);
+  if (!manifestPath) return null;
+
+  try {
+    const { mtimeMs } = fs.statSync(manifestPath);
+    const cached = manifestCache.get(manifestPath);
+    if (cached && cached.mtimeMs === mtimeMs) {
+      return cached.data;
+    }
+
+    const data = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifestCache.set(manifestPath, { mtimeMs, data });
+    return data;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Find a custom element declaration by source file, class name or tag name
+ */
+function findCustomElementDeclaration(manifest, { filePath, name } = {}) {
+  if (!manifest) return null;
+
+  const declarations = [];
+  for (const mod of manifest.modules || []) {
+    for (const declaration of mod.declarations || []) {
+      if (declaration.kind === 'class' && (declaration.customElement || declaration.tagName)) {
+        declarations.push({ path: mod.path, declaration });
+      }
+    }
+  }
+
+  const normalize = p => p.replace(/\\/g, '/').replace(/^\.\//, '');
+  const matchesName = ({ declaration }) => declaration.name === name || declaration.tagName === name;
+
+  // Manifest paths are relative to the package root, so match on the path suffix
+  if (filePath) {
+    const absolutePath = normalize(path.resolve(filePath));
+    const byFile = declarations.filter(entry => entry.path && absolutePath.endsWith('/' + normalize(entry.path)));
+    if (byFile.length > 0) {
+      return (byFile.find(matchesName) || byFile[0]).declaration;
+    }
+  }
+
+  if (name) {
+    return declarations.find(matchesName)?.declaration || null;
+  }
+
+  return null;
+}
+
+/**
+ * Build component docs (same shape as extractComponentDocs) from a manifest declaration
+ */
+function customElementToDocs(declaration) {
+  const docs = {
+    properties: {},
+    description: (declaration.description || declaration.summary || '').trim(),
+    source: 'custom-elements',
+  };
+
+  if (declaration.tagName) docs.selector = declaration.tagName;
+  if (declaration.deprecated) {
+    docs.deprecated = true;
+    docs.deprecationMessage = typeof declaration.deprecated === 'string' ? declaration.deprecated : '';
+  }
+
+  const attributes = declaration.attributes || [];
+  for (const member of declaration.members || []) {
+    if (member.kind !== 'field' || member.static || ['private', 'protected'].includes(member.privacy)) continue;
+    const attribute = attributes.find(attr => attr.fieldName === member.name);
+    docs.properties[member.name] = {
+      description: (member.description || '').trim(),
+      tsType: member.type?.text,
+      required: false,
+      attribute: attribute ? attribute.name : null,
+    };
+    if (member.default !== undefined) docs.properties[member.name].defaultValue = member.default;
+  }
+  // Attributes without a backing field are still settable from markup
+  for (const attribute of attributes) {
+    if (attribute.fieldName && docs.properties[attribute.fieldName]) continue;
+    docs.properties[attribute.fieldName || attribute.name] = {
+      description: (attribute.description || '').trim(),
+      tsType: attribute.type?.text,
+      required: false,
+      attribute: attribute.name,
+    };
+  }
+
+  docs.methods = (declaration.members || [])
+    .filter(member => member.kind === 'method' && !member.static && !['private', 'protected'].includes(member.privacy))
+    .map(member => ({
+      name: member.name,
+      description: (member.description || '').trim(),
+      args: (member.parameters || []).map(param => ({ name: param.name, type: param.type?.text, optional: !!param.optional })),
+      returnType: member.return?.type?.text || 'void',
+    }));
+  docs.events = (declaration.events || [])
+    .filter(event => event.name)
+    .map(event => ({ name: event.name, description: (event.description || '').trim(), tsType: event.type?.text }));
+  docs.slots = (declaration.slots || [])
+    .map(slot => ({ name: slot.name || 'default', description: (slot.description || '').trim() }));
+  docs.cssParts = (declaration.cssParts || [])
+    .map(part => ({ name: part.name, description: (part.description || '').trim() }));
+  docs.cssProperties = (declaration.cssProperties || [])
+    .map(prop => ({ name: prop.name, description: (prop.description || '').trim(), defaultValue: prop.default }));
+
+  return docs;
+}
+
+module.exports = {
+  findCustomElementsManifest,
+  loadCustomElementsManifest,
+  findCustomElementDeclaration,
+  customElementToDocs,
+};
@@ -7,17 +7,41 @@
  * const { createApp, startServer } = require('storybook-mcp-api');
  */
 
-const { createApp, createToolHandlers, createMCPRouter, startServer, startStorybookProcess } = require('./server');
+const {
+  createApp, createToolHandlers, createSources, createMCPRouter, createStdioTransport, startServer, startStdioServer,
+} = require('./server');
+const { startStorybookProcess, superviseStorybook, getStorybookCommand } = require('./storybook-process');
+const { loadConfig, loadConfigFile, findConfigFile } = require('./config');
 const { detectStorybookVersion, findStorybookConfig, detectFramework } = require('./utils');
 const { extractComponentDocs, extractStoryExamples, parseStoryFile, generateUsageExample } = require('./parsers');
+const { findCompodocJson, loadCompodocJson } = require('./compodoc');
+const { parseCsf, toId, storyNameFromExport } = require('./csf');
+const { extractReactDocgen } = require('./react-docgen');
+const { extractVueDocs } = require('./vue-docgen');
+const { extractSvelteDocs } = require('./svelte-docgen');
+const { extractLitDocs } = require('./lit-docgen');
+const { findCustomElementsManifest, loadCustomElementsManifest } = require('./custom-elements');
+const { loadStaticArtifacts } = require('./static-build');
+const { createIndexer } = require('./indexer');
 
 module.exports = {
   // Server
   createApp,
   createToolHandlers,
+  createSources,
   createMCPRouter,
+  createStdioTransport,
   startServer,
+  startStdioServer,
   startStorybookProcess,
+  superviseStorybook,
+  getStorybookCommand,
+  createIndexer,
+
+  // Config
+  loadConfig,
+  loadConfigFile,
+  findConfigFile,
   
   // Utils
   detectStorybookVersion,
@@ -29,6 +53,18 @@ module.exports = {
   extractStoryExamples,
   parseStoryFile,
   generateUsageExample,
+  parseCsf,
+  toId,
+  storyNameFromExport,
+  extractReactDocgen,
+  extractVueDocs,
+  extractSvelteDocs,
+  extractLitDocs,
+  findCompodocJson,
+  loadCompodocJson,
+  findCustomElementsManifest,
+  loadCustomElementsManifest,
+  loadStaticArtifacts,
 };
 
 
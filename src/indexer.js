@@ -0,0 +1,391 @@
+/**
+ * In-memory model of the Storybook index, parsed story files and component docs
+ *
+ * Parsed files are cached by mtime so only files that changed are parsed again,
+ * and handler results are cached on the index hash plus the mtimes of the files they read.
+ * With `watch` enabled, story, MDX and component directories are watched and
+ * a `change` event ({ added, removed, changed, files }) is emitted whenever
+ * stories appear, disappear or their files are edited.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+const { extractComponentDocs, extractStoryExamples, parseStoryFile } = require('./parsers');
+const { parseMdx } = require('./mdx');
+const { buildSourceIndex } = require('./source-index');
+const { findStorybookConfig, globToRegExp } = require('./utils');
+const { loadCompodocJson } = require('./compodoc');
+const { loadCustomElementsManifest } = require('./custom-elements');
+
+// Files whose creation should trigger an index refresh
+const STORY_FILE_PATTERN = /\.(stories|story)\.[cm]?[jt]sx?$|\.mdx$/;
+
+// Coalesce bursts of fs events (editors write files in several steps)
+const FILE_DEBOUNCE = 100;
+const INDEX_DEBOUNCE = 300;
+
+// Oldest handler results are dropped beyond this (search queries make keys unbounded)
+const MAX_CACHED_RESULTS = 500;
+
+function hashText(text) {
+  return crypto.createHash('sha1').update(text).digest('base64url').slice(0, 27);
+}
+
+function statMtime(filePath) {
+  try {
+    return fs.statSync(filePath).mtimeMs;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Story IDs added, removed or changed between two index.json payloads
+ */
+function diffEntries(previous = {}, next = {}) {
+  const added = Object.keys(next).filter(id => !previous[id]);
+  const removed = Object.keys(previous).filter(id => !next[id]);
+  const changed = Object.keys(next)
+    .filter(id => previous[id] && JSON.stringify(previous[id]) !== JSON.stringify(next[id]));
+  return { added, removed, changed };
+}
+
+/**
+ * Create an indexer
+ *
+ * @param {Object} config - { storybookUrl, projectDir, staticDir, sourceOnly, configDir, pollInterval, cacheTtl, parsers, exclude }
+ *   sourceOnly: build the index from the `.storybook/main` stories globs instead of fetching it;
+ *   cacheTtl: how long a fetched or built index is reused when not watching;
+ *   parsers: project component parsers; exclude: entry IDs or title globs dropped from the index
+ */
+function createIndexer(config) {
+  const { storybookUrl, projectDir, staticDir, sourceOnly, pollInterval = 5000, cacheTtl = 1000, parsers, exclude = [] } = config;
+  const excludeTitles = exclude.map(pattern => globToRegExp(pattern));
+  const indexer = new EventEmitter();
+
+  let index = null;
+  let indexHash = null;
+  let indexMtime = null;
+  let indexLoadedAt = 0;
+  let pendingLoad = null;
+  const fileCache = new Map();
+  const resultCache = new Map();
+  // Dependency collectors of in-flight cached() computations
+  const collectors = new Set();
+  const watchers = new Map();
+  const fileTimers = new Map();
+  let indexTimer = null;
+  let pollTimer = null;
+
+  /**
+   * Return a cached value while its files are unchanged and its references are the same objects
+   */
+  function memo(key, { files = [], refs = [] }, compute) {
+    collectors.forEach(collector => files.forEach(file => collector.add(file)));
+    const mtimes = files.map(statMtime);
+    const cached = fileCache.get(key);
+    if (cached
+      && cached.files.length === files.length
+      && cached.files.every((file, i) => file === files[i] && cached.mtimes[i] === mtimes[i])
+      && cached.refs.every((ref, i) => ref === refs[i])) {
+      return cached.value;
+    }
+    const value = compute();
+    fileCache.set(key, { files, mtimes, refs, value });
+    return value;
+  }
+
+  /**
+   * File path of an index.json importPath; null without a project directory (e.g. a composed remote Storybook)
+   */
+  function resolveImportPath(importPath) {
+    return projectDir ? path.join(projectDir, importPath.replace(/^\.\//, '')) : null;
+  }
+
+  /**
+   * Replace the in-memory index, emitting a change event when stories differ
+   */
+  function setIndex(text) {
+    const hash = hashText(text);
+    if (index && hash === indexHash) return index;
+
+    const data = JSON.parse(text);
+    if (exclude.length && data.entries) {
+      data.entries = Object.fromEntries(Object.entries(data.entries).filter(([id, entry]) =>
+        !exclude.includes(id) && !excludeTitles.some(pattern => pattern.test(entry.title || ''))));
+    }
+    const previous = index;
+    index = data;
+    indexHash = hash;
+    if (previous) {
+      const diff = diffEntries(previous.entries, data.entries);
+      if (diff.added.length || diff.removed.length || diff.changed.length) {
+        indexer.emit('change', { ...diff, files: [] });
+      }
+    }
+    if (indexer.watching) syncWatchers();
+    return data;
+  }
+
+  async function loadIndex() {
+    // Static mode: re-read index.json only when it changed on disk
+    if (staticDir) {
+      const indexPath = path.join(staticDir, 'index.json');
+      const mtime = statMtime(indexPath);
+      if (mtime === null) {
+        throw new Error('index.json not found in static directory');
+      }
+      if (index && mtime === indexMtime) return index;
+      indexMtime = mtime;
+      return setIndex(fs.readFileSync(indexPath, 'utf8'));
+    }
+
+    // Source-only mode: index the story files ourselves (parsed files come from the mtime cache)
+    if (sourceOnly) {
+      const configDir = config.configDir || findStorybookConfig(projectDir);
+      const data = buildSourceIndex({ projectDir, configDir }, { readFile, getStoryExamples, getMdx });
+      indexLoadedAt = Date.now();
+      return setIndex(JSON.stringify(data));
+    }
+
+    // Development mode: fetch from Storybook URL
+    const response = await fetch(`${storybookUrl}/index.json`);
+    if (!response.ok) {
+      throw new Error('Storybook is not ready');
+    }
+    const text = await response.text();
+    indexLoadedAt = Date.now();
+    return setIndex(text);
+  }
+
+  /**
+   * Current index.json data; while watching, the in-memory copy is kept fresh by the watchers
+   */
+  async function getIndex() {
+    if (index && !staticDir && (indexer.watching || Date.now() - indexLoadedAt < cacheTtl)) return index;
+    // Concurrent callers share one fetch
+    if (!pendingLoad) {
+      pendingLoad = loadIndex().finally(() => {
+        pendingLoad = null;
+      });
+    }
+    return pendingLoad;
+  }
+
+  function getStoryExamples(storyFilePath) {
+    if (!storyFilePath) return null;
+    const examples = memo(`examples:${storyFilePath}`, { files: [storyFilePath] }, () => extractStoryExamples(storyFilePath));
+    // Component files are only known once a story file is parsed
+    if (indexer.watching && examples?.componentFilePath) {
+      watchDirectory(path.dirname(examples.componentFilePath));
+    }
+    return examples;
+  }
+
+  function getStoryData(storyFilePath, storyId) {
+    if (!storyFilePath) return null;
+    const componentFilePath = getStoryExamples(storyFilePath)?.componentFilePath;
+    return memo(`story:${storyFilePath}#${storyId}`, {
+      files: [storyFilePath, componentFilePath].filter(Boolean),
+      refs: [loadCompodocJson(projectDir), loadCustomElementsManifest(projectDir)],
+    }, () => parseStoryFile(storyFilePath, storyId, projectDir, { parsers }));
+  }
+
+  /**
+   * Read a file (e.g. MDX docs) through the mtime cache; null when it does not exist
+   */
+  function readFile(filePath) {
+    if (!filePath) return null;
+    return memo(`file:${filePath}`, { files: [filePath] }, () => (
+      fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null
+    ));
+  }
+
+  /**
+   * Cache a computed result on the index hash, `refs` and the mtimes of every file read
+   * through this indexer while computing it. Unsuccessful results are not cached.
+   *
+   * @returns {Promise<{ value: *, etag: string }>}
+   */
+  async function cached(key, refs, compute) {
+    const entry = resultCache.get(key);
+    if (entry
+      && entry.hash === indexHash
+      && entry.refs.every((ref, i) => ref === refs[i])
+      && entry.files.every((file, i) => statMtime(file) === entry.mtimes[i])) {
+      // Results cached inside another computation are dependencies of it too
+      collectors.forEach(collector => entry.files.forEach(file => collector.add(file)));
+      return entry;
+    }
+
+    const collector = new Set();
+    collectors.add(collector);
+    let value;
+    try {
+      value = await compute();
+    } finally {
+      collectors.delete(collector);
+    }
+
+    const files = [...collector];
+    const result = {
+      value,
+      etag: `"${hashText(JSON.stringify(value) || '')}"`,
+      hash: indexHash,
+      refs,
+      files,
+      mtimes: files.map(statMtime),
+    };
+    if (value?.success !== false) {
+      resultCache.delete(key);
+      resultCache.set(key, result);
+      if (resultCache.size > MAX_CACHED_RESULTS) {
+        resultCache.delete(resultCache.keys().next().value);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Parsed MDX page (see mdx.js); null when the file does not exist
+   */
+  function getMdx(mdxFilePath) {
+    if (!mdxFilePath) return null;
+    return memo(`mdx:${mdxFilePath}`, { files: [mdxFilePath] }, () => {
+      const content = fs.existsSync(mdxFilePath) ? fs.readFileSync(mdxFilePath, 'utf8') : null;
+      return content === null ? null : parseMdx(content);
+    });
+  }
+
+  function getComponentDocs(componentFilePath, options = {}) {
+    return memo(`component:${componentFilePath}#${options.componentName}`, {
+      files: componentFilePath ? [componentFilePath] : [],
+      refs: [options.compodoc, options.customElements],
+    }, () => extractComponentDocs(componentFilePath, { ...options, parsers }));
+  }
+
+  /**
+   * Story IDs whose story file or component file is `filePath`
+   */
+  function findAffectedStories(filePath) {
+    const storyFiles = new Set([filePath]);
+    for (const [key, cached] of fileCache) {
+      if (key.startsWith('examples:') && cached.value?.componentFilePath === filePath) {
+        storyFiles.add(key.slice('examples:'.length));
+      }
+    }
+    return Object.values(index?.entries || {})
+      .filter(entry => entry.importPath && storyFiles.has(resolveImportPath(entry.importPath)))
+      .map(entry => entry.id);
+  }
+
+  function scheduleIndexRefresh() {
+    clearTimeout(indexTimer);
+    indexTimer = setTimeout(() => {
+      loadIndex().catch(() => {});
+    }, INDEX_DEBOUNCE);
+  }
+
+  function handleFileChange(filePath) {
+    if (staticDir && filePath === path.join(staticDir, 'index.json')) {
+      scheduleIndexRefresh();
+      return;
+    }
+
+    const changed = findAffectedStories(filePath);
+    if (changed.length > 0) {
+      indexer.emit('change', { added: [], removed: [], changed, files: [filePath] });
+    }
+    // Storybook re-indexes on save; pick up renamed, added or removed stories
+    if (!staticDir && (changed.length > 0 || STORY_FILE_PATTERN.test(filePath))) {
+      scheduleIndexRefresh();
+    }
+  }
+
+  function watchDirectory(dir) {
+    if (watchers.has(dir) || !fs.existsSync(dir)) return;
+    try {
+      const watcher = fs.watch(dir, (eventType, filename) => {
+        if (!filename) return;
+        const filePath = path.join(dir, filename.toString());
+        clearTimeout(fileTimers.get(filePath));
+        fileTimers.set(filePath, setTimeout(() => {
+          fileTimers.delete(filePath);
+          handleFileChange(filePath);
+        }, FILE_DEBOUNCE));
+      });
+      watcher.on('error', () => {
+        watcher.close();
+        watchers.delete(dir);
+      });
+      watcher.unref();
+      watchers.set(dir, watcher);
+    } catch (error) {
+      // Directory vanished or too many watchers; changes there are picked up by mtime checks
+    }
+  }
+
+  /**
+   * Watch every directory holding a story, MDX or component file (and the static build)
+   */
+  function syncWatchers() {
+    const dirs = new Set();
+    if (staticDir) dirs.add(staticDir);
+    for (const entry of Object.values(index?.entries || {})) {
+      if (entry.importPath && projectDir) dirs.add(path.dirname(resolveImportPath(entry.importPath)));
+    }
+    for (const [key, cached] of fileCache) {
+      if (key.startsWith('examples:') && cached.value?.componentFilePath) {
+        dirs.add(path.dirname(cached.value.componentFilePath));
+      }
+    }
+    dirs.forEach(watchDirectory);
+  }
+
+  /**
+   * Start watching; the index is loaded (and polled in development mode, to catch new directories)
+   */
+  function start() {
+    if (indexer.watching) return indexer;
+    indexer.watching = true;
+    loadIndex().catch(() => {}).finally(syncWatchers);
+    if (!staticDir && pollInterval > 0) {
+      pollTimer = setInterval(() => loadIndex().catch(() => {}), pollInterval);
+      pollTimer.unref();
+    }
+    return indexer;
+  }
+
+  function close() {
+    indexer.watching = false;
+    clearTimeout(indexTimer);
+    clearInterval(pollTimer);
+    fileTimers.forEach(timer => clearTimeout(timer));
+    fileTimers.clear();
+    watchers.forEach(watcher => watcher.close());
+    watchers.clear();
+  }
+
+  return Object.assign(indexer, {
+    watching: false,
+    getIndex,
+    getCurrentIndex: () => index,
+    getIndexHash: () => indexHash,
+    resolveImportPath,
+    readFile,
+    cached,
+    getStoryExamples,
+    getStoryData,
+    getComponentDocs,
+    getMdx,
+    start,
+    close,
+  });
+}
+
+module.exports = {
+  createIndexer,
+};
@@ -0,0 +1,231 @@
+/**
+ * Web component (Lit / HTMLElement) documentation from source
+ *
+ * Reads `@property()` decorators, `static properties`, constructor defaults,
+ * the tag name and JSDoc tags (`@fires`, `@slot`, `@csspart`, `@cssprop`).
+ * A custom-elements.json manifest, when present, is preferred (see custom-elements.js).
+ */
+
+const { parseSource, unwrap } = require('./csf');
+const { getJsDoc, parseJsDocTags } = require('./ts-types');
+
+// Runtime property types and the type they stand for
+const RUNTIME_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'boolean',
+  Array: 'array',
+  Object: 'object',
+};
+
+function getCalleeName(node) {
+  if (node?.type !== 'CallExpression') return node?.type === 'Identifier' ? node.name : null;
+  if (node.callee.type === 'Identifier') return node.callee.name;
+  if (node.callee.type === 'MemberExpression' && !node.callee.computed) return node.callee.property.name;
+  return null;
+}
+
+function getKeyName(node) {
+  if (node.computed || !node.key) return null;
+  return node.key.type === 'Identifier' ? node.key.name : node.key.value;
+}
+
+/**
+ * Create an extractor for one source file
+ */
+function createLitDocgen(content, body) {
+  const source = node => content.slice(node.start, node.end);
+
+  /**
+   * Read a Lit property options object: `{ type: Boolean, attribute: 'aria-label', reflect: true }`
+   */
+  function readPropertyOptions(node) {
+    const options = {};
+    node = unwrap(node);
+    if (node?.type !== 'ObjectExpression') return options;
+    for (const prop of node.properties) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const name = getKeyName(prop);
+      if (name === 'type' && prop.value.type === 'Identifier') {
+        options.type = RUNTIME_TYPES[prop.value.name] || prop.value.name;
+      }
+      if (name === 'attribute') {
+        if (prop.value.type === 'StringLiteral') options.attribute = prop.value.value;
+        if (prop.value.type === 'BooleanLiteral' && !prop.value.value) options.attribute = null;
+      }
+      if (name === 'state' && prop.value.type === 'BooleanLiteral') options.state = prop.value.value;
+    }
+    return options;
+  }
+
+  function toProperty(name, options, { description = '', tsType, defaultValue } = {}) {
+    const property = {
+      description,
+      tsType: tsType || options.type,
+      required: false,
+      // Lit reflects to the lowercased property name unless told otherwise
+      attribute: options.attribute === undefined ? name.toLowerCase() : options.attribute,
+    };
+    if (defaultValue !== undefined) property.defaultValue = defaultValue;
+    return property;
+  }
+
+  /**
+   * Document one custom element class
+   */
+  function document(classNode, docNode, tagName) {
+    const properties = {};
+    const defaults = new Map();
+    const staticOptions = new Map();
+
+    for (const member of classNode.body.body) {
+      const name = getKeyName(member);
+      if (!name) continue;
+
+      // static properties = { ... } / static get properties() { return { ... } }
+      if (member.static && name === 'properties') {
+        let value = member.value;
+        if (member.type === 'ClassMethod') {
+          value = member.body.body.find(statement => statement.type === 'ReturnStatement')?.argument;
+        }
+        for (const prop of unwrap(value)?.properties || []) {
+          if (prop.type !== 'ObjectProperty' || !getKeyName(prop)) continue;
+          staticOptions.set(getKeyName(prop), { options: readPropertyOptions(prop.value), docNode: prop });
+        }
+      }
+
+      // Defaults assigned in the constructor: this.label = 'Button'
+      if (member.type === 'ClassMethod' && member.kind === 'constructor') {
+        for (const statement of member.body.body) {
+          const expression = statement.expression;
+          if (expression?.type !== 'AssignmentExpression') continue;
+          const { left, right } = expression;
+          if (left.type === 'MemberExpression' && left.object.type === 'ThisExpression' && !left.computed) {
+            defaults.set(left.property.name, source(right));
+          }
+        }
+      }
+
+      // @property() label = 'Button'; (@state() fields are internal)
+      const decorator = (member.decorators || []).find(d => getCalleeName(d.expression) === 'property');
+      if (!decorator || member.static || ['private', 'protected'].includes(member.accessibility)) continue;
+      const options = readPropertyOptions(decorator.expression.arguments?.[0]);
+      if (options.state) continue;
+
+      properties[name] = toProperty(name, options, {
+        description: getJsDoc(member) || getJsDoc(decorator),
+        tsType: member.typeAnnotation ? source(member.typeAnnotation.typeAnnotation) : undefined,
+        defaultValue: member.value ? source(member.value) : undefined,
+      });
+    }
+
+    for (const [name, { options, docNode: propNode }] of staticOptions) {
+      if (options.state || properties[name]) continue;
+      properties[name] = toProperty(name, options, { description: getJsDoc(propNode) });
+    }
+
+    // Class fields declared without a decorator still carry the default and type
+    for (const member of classNode.body.body) {
+      const name = getKeyName(member);
+      if (member.type !== 'ClassProperty' || member.static || !properties[name]) continue;
+      if (member.value && properties[name].defaultValue === undefined) properties[name].defaultValue = source(member.value);
+      if (member.typeAnnotation && !staticOptions.get(name)?.options.type) {
+        properties[name].tsType = source(member.typeAnnotation.typeAnnotation);
+      }
+    }
+    for (const [name, value] of defaults) {
+      if (properties[name] && properties[name].defaultValue === undefined) properties[name].defaultValue = value;
+    }
+
+    const classCode = source(docNode);
+    const jsDoc = parseJsDocTags(getJsDoc(docNode) || getJsDoc(classNode) || getJsDoc(classNode.decorators?.[0]));
+    const tagsOf = (...names) => jsDoc.tags.filter(tag => names.includes(tag.tag));
+
+    const events = tagsOf('fires', 'event').map(tag => ({ name: tag.name, description: tag.description }));
+    const eventRegex = /new\s+(?:CustomEvent|Event)\s*(?:<[^>]*>)?\(\s*['"`]([^'"`]+)['"`]/g;
+    let match;
+    while ((match = eventRegex.exec(classCode)) !== null) {
+      if (!events.some(event => event.name === match[1])) events.push({ name: match[1], description: '' });
+    }
+
+    const slots = tagsOf('slot').map(tag => ({ name: tag.name || 'default', description: tag.description }));
+    const slotRegex = /<slot\b([^>]*)>/g;
+    while ((match = slotRegex.exec(classCode)) !== null) {
+      const name = match[1].match(/name\s*=\s*["']([^"']+)["']/)?.[1] || 'default';
+      if (!slots.some(slot => slot.name === name)) slots.push({ name, description: '' });
+    }
+
+    return {
+      displayName: classNode.id?.name,
+      description: jsDoc.description,
+      tagName,
+      properties,
+      events,
+      slots,
+      cssParts: tagsOf('csspart').map(tag => ({ name: tag.name, description: tag.description })),
+      cssProperties: tagsOf('cssprop', 'cssproperty').map(tag => ({ name: tag.name, description: tag.description })),
+      code: classCode,
+    };
+  }
+
+  /**
+   * Find every custom element class with its tag name
+   */
+  function findElements() {
+    const elements = [];
+    const definedTags = new Map();
+
+    for (const statement of body) {
+      // customElements.define('my-button', MyButton)
+      const expression = statement.type === 'ExpressionStatement' ? statement.expression : null;
+      if (expression?.type === 'CallExpression' && getCalleeName(expression) === 'define'
+        && expression.arguments[0]?.type === 'StringLiteral' && expression.arguments[1]?.type === 'Identifier') {
+        definedTags.set(expression.arguments[1].name, expression.arguments[0].value);
+      }
+
+      const isExport = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration';
+      const declaration = isExport ? statement.declaration : statement;
+      if (declaration?.type !== 'ClassDeclaration' || !declaration.superClass) continue;
+
+      const decorator = (declaration.decorators || []).find(d => getCalleeName(d.expression) === 'customElement');
+      const tagArg = decorator?.expression.arguments?.[0];
+      elements.push({
+        node: declaration,
+        docNode: statement,
+        tagName: tagArg?.type === 'StringLiteral' ? tagArg.value : null,
+      });
+    }
+
+    for (const element of elements) {
+      element.tagName = element.tagName || definedTags.get(element.node.id?.name) || null;
+    }
+    return elements;
+  }
+
+  return { findElements, document };
+}
+
+/**
+ * Extract web component docs from a Lit / HTMLElement source file
+ *
+ * @param {string} content - Component source
+ * @param {string} filePath - Used for TS parsing
+ * @param {string} [componentName] - Preferred class or tag name
+ * @returns {Object|null} { displayName, description, tagName, properties, events, slots, cssParts, cssProperties, code }
+ */
+function extractLitDocs(content, filePath, componentName) {
+  const ast = parseSource(content, filePath);
+  const docgen = createLitDocgen(content, ast.program.body);
+  const elements = docgen.findElements();
+  if (elements.length === 0) return null;
+
+  const element = elements.find(e => e.node.id?.name === componentName || e.tagName === componentName)
+    || elements.find(e => e.tagName)
+    || elements[0];
+
+  return docgen.document(element.node, element.docNode, element.tagName);
+}
+
+module.exports = {
+  extractLitDocs,
+};
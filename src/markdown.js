@@ -0,0 +1,159 @@
+/**
+ * Markdown rendering of component documentation for LLMs
+ *
+ * Turns getStoryDocs results into a readable page (description, import, props, usage per story,
+ * resolved MDX blocks) and builds llms.txt / llms-full.txt indexes of the whole library from those pages.
+ */
+
+// Code fence language for usage snippets
+const USAGE_LANGUAGES = { react: 'tsx', svelte: 'svelte' };
+
+/**
+ * Escape a value for a markdown table cell
+ */
+function cell(value) {
+  if (value === undefined || value === null || value === '') return '';
+  return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+}
+
+/**
+ * Props table: name (required), type, default and description
+ */
+function renderPropsTable(properties = {}) {
+  const props = Object.entries(properties);
+  if (props.length === 0) return '';
+  return [
+    '| Prop | Type | Default | Description |',
+    '|------|------|---------|-------------|',
+    ...props.map(([name, prop]) => (
+      `| ${name}${prop.required ? ' (required)' : ''} | ${cell(prop.tsType || prop.type)} | ${cell(prop.defaultValue)} | ${cell(prop.description)} |`
+    )),
+  ].join('\n');
+}
+
+/**
+ * Bullet list of events, slots or methods
+ */
+function renderMemberList(label, items) {
+  if (!items?.length) return '';
+  return [`${label}:`, ...items.map(item => `- \`${item.name}\`${item.description ? `: ${item.description}` : ''}`)].join('\n');
+}
+
+function fence(code, language = '') {
+  return `\`\`\`${language}\n${code.trim()}\n\`\`\``;
+}
+
+/**
+ * The import statement(s) of the component, from the story file's imports
+ */
+function componentImports(docs) {
+  if (!docs.component || !docs.imports) return [];
+  const name = new RegExp(`\\b${docs.component.replace(/[^\w$]/g, '')}\\b`);
+  return docs.imports.filter(line => name.test(line) && !/['"]@?storybook/.test(line));
+}
+
+/**
+ * Markdown for the resolved blocks of an MDX page (see mdx.js); unresolved doc blocks are left out
+ */
+function renderBlocks(blocks, language) {
+  return blocks.map((block) => {
+    switch (block.type) {
+      case 'heading':
+        return `${'#'.repeat(block.level)} ${block.text}`;
+      case 'prose':
+        return block.text;
+      case 'code':
+        return fence(block.code, block.language || '');
+      case 'story':
+        if (block.usage) return fence(block.usage, language);
+        return block.code ? fence(block.code, 'ts') : '';
+      case 'props':
+        return renderPropsTable(block.properties);
+      default:
+        return '';
+    }
+  }).filter(Boolean).join('\n\n');
+}
+
+/**
+ * Render a getStoryDocs result as a markdown page
+ *
+ * @param {Object} docs - `docs` from getStoryDocs
+ * @param {Object} [attached] - For MDX pages: docs of the stories the page documents
+ */
+function renderDocsMarkdown(docs, attached = null) {
+  const source = docs.blocks !== undefined ? { ...attached, ...docs } : docs;
+  const language = USAGE_LANGUAGES[source.framework] || 'html';
+  const sections = [`# ${source.component || docs.title}`];
+
+  if (source.component && docs.title) sections.push(`Storybook: ${docs.title}`);
+  if (source.deprecated) {
+    sections.push(`**Deprecated.** ${source.deprecationMessage || ''}`.trim());
+  }
+  const description = source.componentDescription || source.description;
+  if (description) sections.push(description);
+
+  const imports = componentImports(source);
+  if (imports.length > 0 || source.selector) {
+    sections.push('## Import');
+    if (imports.length > 0) sections.push(fence(imports.join('\n'), 'ts'));
+    if (source.selector) sections.push(`Selector: \`${source.selector}\``);
+  }
+
+  if (docs.blocks === undefined) {
+    const propsTable = renderPropsTable(source.properties);
+    if (propsTable) sections.push('## Props', propsTable);
+    for (const [label, items] of [['Events', source.events], ['Slots', source.slots], ['Methods', source.methods]]) {
+      const list = renderMemberList(label, items);
+      if (list) sections.push(list);
+    }
+
+    const stories = Object.entries(source.storyExamples || {});
+    if (stories.length > 0) {
+      sections.push('## Stories');
+      for (const [exportName, story] of stories) {
+        sections.push(`### ${story.name || exportName}`);
+        if (story.description) sections.push(story.description);
+        const usage = source.usageExamples?.[exportName];
+        sections.push(usage ? fence(usage, language) : fence(story.code || '', 'ts'));
+      }
+    }
+  } else {
+    const prose = renderBlocks(docs.blocks, language);
+    // Pages usually start with their own title
+    if (prose.startsWith('# ') && !source.component) sections.shift();
+    sections.push(prose);
+  }
+
+  return `${sections.filter(Boolean).join('\n\n')}\n`;
+}
+
+/**
+ * Build llms.txt (an index of links) or llms-full.txt (every page inline)
+ *
+ * @param {Object} library - { title, description, sections: [{ name, pages: [{ title, url, description, markdown }] }] }
+ * @param {Object} options - { full }
+ */
+function renderLlmsTxt({ title, description, sections }, { full = false } = {}) {
+  const lines = [`# ${title}`, '', `> ${description}`];
+  for (const { name, pages } of sections) {
+    if (pages.length === 0) continue;
+    if (full) {
+      lines.push(...pages.map(page => `\n---\n\n${page.markdown.trim()}`));
+      continue;
+    }
+    lines.push('', `## ${name}`, '');
+    for (const page of pages) {
+      const summary = page.description?.split(/(?<=\.)\s|\n/)[0];
+      lines.push(`- [${page.title}](${page.url})${summary ? `: ${summary}` : ''}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  renderPropsTable,
+  renderMemberList,
+  renderDocsMarkdown,
+  renderLlmsTxt,
+};
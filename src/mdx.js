@@ -0,0 +1,235 @@
+/**
+ * MDX docs parsing
+ *
+ * Splits an MDX page into headings, prose and code blocks, with Storybook doc blocks
+ * (`<Canvas of={...}>`, `<ArgTypes>`, `<Source>`, ...) kept as references for the handlers
+ * to resolve against story data. HTML and JSX in the prose are reduced to markdown.
+ */
+
+const { parse } = require('@babel/parser');
+
+const CODE_FENCE = /(^```[\s\S]*?^```[^\S\n]*$)/m;
+
+// JSX attributes of a tag; quoted and `{...}` values may contain `>`
+const ATTRIBUTES = String.raw`((?:[^>{}"']|\{(?:[^{}]|\{[^{}]*\})*\}|"[^"]*"|'[^']*')*?)`;
+
+// Storybook doc blocks, self-closing or with children
+const DOC_BLOCK = new RegExp(
+  `<(Meta|Canvas|Story|Stories|Primary|ArgTypes|Controls|Source|Title|Subtitle|Description|Markdown|Unstyled)\\b${ATTRIBUTES}\\s*(?:\\/>|>([\\s\\S]*?)<\\/\\1>)`,
+  'g',
+);
+const META = new RegExp(`<Meta\\b${ATTRIBUTES}\\s*\\/>`);
+
+const HTML_FORMATTING = {
+  strong: '**', b: '**', em: '_', i: '_', code: '`',
+};
+
+/**
+ * JSX attributes: quoted values as strings, `{...}` values as `{ expression }`, bare attributes as true
+ */
+function parseAttributes(text = '') {
+  const attributes = {};
+  const attributeRegex = /([\w-]+)(?:=(?:"([^"]*)"|'([^']*)'|\{((?:[^{}]|\{[^{}]*\})*)\}))?/g;
+  let match;
+  while ((match = attributeRegex.exec(text)) !== null) {
+    if (match[4] !== undefined) {
+      attributes[match[1]] = { expression: match[4].trim() };
+    } else {
+      attributes[match[1]] = match[2] ?? match[3] ?? true;
+    }
+  }
+  return attributes;
+}
+
+/**
+ * Import declarations of an ESM paragraph: [{ local, imported ('*', 'default' or a name), source }]
+ */
+function parseImports(text) {
+  try {
+    const ast = parse(text, { sourceType: 'module', plugins: ['typescript', 'jsx'] });
+    return ast.program.body
+      .filter(node => node.type === 'ImportDeclaration')
+      .flatMap(node => node.specifiers.map(specifier => ({
+        local: specifier.local.name,
+        imported: specifier.type === 'ImportNamespaceSpecifier' ? '*'
+          : specifier.type === 'ImportDefaultSpecifier' ? 'default'
+            : specifier.imported.name || specifier.imported.value,
+        source: node.source.value,
+      })));
+  } catch (error) {
+    return [];
+  }
+}
+
+/**
+ * Reduce HTML/JSX elements in prose to markdown (or their text)
+ */
+function htmlToMarkdown(text) {
+  const output = text
+    .replace(/\{\/\*[\s\S]*?\*\/\}/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<h([1-6])[^>]*>([\s\S]*?)<\/h\1>/g, (match, level, inner) => `\n\n${'#'.repeat(level)} ${inner.trim()}\n\n`)
+    .replace(/<a\s[^>]*?href=["']([^"']+)["'][^>]*>([\s\S]*?)<\/a>/g, (match, href, inner) => `[${inner.replace(/<[^>]+>/g, '').trim()}](${href})`)
+    .replace(/<img\s[^>]*?\/?>/g, (match) => {
+      const { src, alt } = parseAttributes(match.slice(4));
+      return typeof src === 'string' && /^(https?:)?\//.test(src) ? `![${alt || ''}](${src})` : '';
+    })
+    .replace(/<(strong|b|em|i|code)>([\s\S]*?)<\/\1>/g, (match, tag, inner) => `${HTML_FORMATTING[tag]}${inner}${HTML_FORMATTING[tag]}`)
+    .replace(/<li[^>]*>([\s\S]*?)<\/li>/g, (match, inner) => `\n- ${inner.trim()}`)
+    .replace(/<br\s*\/?>/g, '\n')
+    .replace(/<\/?(p|div|section|ul|ol)[^>]*>/g, '\n\n')
+    .replace(/<\/?[A-Za-z][\w.-]*(\s[^>]*)?\/?>/g, '');
+
+  // JSX indentation would turn prose into code blocks
+  return output.split('\n').map(line => line.trim()).join('\n');
+}
+
+/**
+ * Split converted prose into heading and prose blocks
+ */
+function proseBlocks(text) {
+  const blocks = [];
+  let paragraph = [];
+  const flush = () => {
+    const prose = paragraph.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    if (prose) blocks.push({ type: 'prose', text: prose });
+    paragraph = [];
+  };
+  for (const line of htmlToMarkdown(text).split('\n')) {
+    const heading = line.match(/^(#{1,6})\s+(.+)$/);
+    if (heading) {
+      flush();
+      blocks.push({ type: 'heading', level: heading[1].length, text: heading[2].trim() });
+    } else {
+      paragraph.push(line);
+    }
+  }
+  flush();
+  return blocks;
+}
+
+/**
+ * Block for a Storybook doc block tag (null for blocks without content of their own)
+ */
+function docBlock(tag, attributes, children, includes) {
+  const of = attributes.of?.expression;
+  switch (tag) {
+    case 'Canvas':
+    case 'Story': {
+      const ref = of || children?.match(/of=\{([^}]+)\}/)?.[1]?.trim();
+      return ref ? [{ type: 'story', of: ref }] : [];
+    }
+    case 'ArgTypes':
+    case 'Controls':
+      return [{ type: 'props', block: tag, ...(of ? { of } : {}) }];
+    case 'Source': {
+      const code = typeof attributes.code === 'string' ? attributes.code : attributes.code?.expression;
+      const language = typeof attributes.language === 'string' ? attributes.language : undefined;
+      if (typeof attributes.code === 'string' || /^`[\s\S]*`$/.test(code || '')) {
+        return [{ type: 'code', language, code: code.replace(/^`|`$/g, '') }];
+      }
+      if (code) return [{ type: 'source', codeRef: code, language }];
+      return of ? [{ type: 'source', of, language }] : [];
+    }
+    case 'Title':
+      return children ? [{ type: 'heading', level: 1, text: children.trim() }] : [];
+    case 'Subtitle':
+      return children ? [{ type: 'heading', level: 2, text: children.trim() }] : [];
+    case 'Description':
+    case 'Markdown':
+    case 'Unstyled':
+      return children ? parseProse(children, includes) : [];
+    default:
+      return [];
+  }
+}
+
+/**
+ * Blocks of a prose segment, in order: prose, doc blocks and included MDX/markdown files
+ */
+function parseProse(text, includes) {
+  const blocks = [];
+  let last = 0;
+  const tags = new RegExp(DOC_BLOCK.source, 'g');
+  const includeTag = includes.size > 0
+    ? new RegExp(`<(${[...includes].join('|')})\\s*/>`, 'g')
+    : null;
+
+  const pushProse = (prose) => {
+    if (!includeTag) {
+      blocks.push(...proseBlocks(prose));
+      return;
+    }
+    let offset = 0;
+    let match;
+    includeTag.lastIndex = 0;
+    while ((match = includeTag.exec(prose)) !== null) {
+      blocks.push(...proseBlocks(prose.slice(offset, match.index)), { type: 'include', name: match[1] });
+      offset = match.index + match[0].length;
+    }
+    blocks.push(...proseBlocks(prose.slice(offset)));
+  };
+
+  let match;
+  while ((match = tags.exec(text)) !== null) {
+    pushProse(text.slice(last, match.index));
+    blocks.push(...docBlock(match[1], parseAttributes(match[2]), match[3], includes));
+    last = match.index + match[0].length;
+  }
+  pushProse(text.slice(last));
+  return blocks;
+}
+
+/**
+ * Parse an MDX page
+ *
+ * @param {string} content - MDX source
+ * @returns {{ imports: Array, meta: Object|null, blocks: Array }}
+ *   meta: `<Meta of={...} title="..." name="..." />` as { of, title, name };
+ *   blocks: { type: 'heading', level, text } | { type: 'prose', text } | { type: 'code', language, code }
+ *     | { type: 'story', of } | { type: 'props', block, of } | { type: 'source', of | codeRef }
+ *     | { type: 'include', name } (an imported .md/.mdx file rendered as a component)
+ */
+function parseMdx(content) {
+  const segments = content.split(CODE_FENCE);
+  const imports = [];
+  let meta = null;
+
+  // ESM paragraphs first, so included files are known before the prose is read
+  const prose = segments.map((segment, i) => {
+    if (i % 2 === 1) return segment;
+    return segment.split(/\n[^\S\n]*\n/).filter((paragraph) => {
+      if (/^\s*import\s/.test(paragraph)) {
+        imports.push(...parseImports(paragraph));
+        return false;
+      }
+      return !/^\s*export\s/.test(paragraph);
+    }).join('\n\n');
+  });
+  const includes = new Set(imports.filter(item => /\.mdx?$/.test(item.source)).map(item => item.local));
+
+  const blocks = [];
+  prose.forEach((segment, i) => {
+    if (i % 2 === 1) {
+      const [, language, code] = segment.match(/^```([^\n]*)\n([\s\S]*?)\n?```[^\S\n]*$/) || [];
+      blocks.push({ type: 'code', language: language?.trim() || undefined, code: code ?? '' });
+      return;
+    }
+    const metaMatch = segment.match(META);
+    if (metaMatch && !meta) {
+      const attributes = parseAttributes(metaMatch[1]);
+      meta = {
+        ...(attributes.of ? { of: attributes.of.expression } : {}),
+        ...(typeof attributes.title === 'string' ? { title: attributes.title } : {}),
+        ...(typeof attributes.name === 'string' ? { name: attributes.name } : {}),
+      };
+    }
+    blocks.push(...parseProse(segment, includes));
+  });
+
+  return { imports, meta, blocks };
+}
+
+module.exports = {
+  parseMdx,
+};
@@ -4,22 +4,100 @@
 
 const fs = require('fs');
 const path = require('path');
+const { loadCompodocJson, findCompodocEntry, compodocEntryToDocs } = require('./compodoc');
+const { parseCsf, findStoryById, isCode } = require('./csf');
+const { extractReactDocgen, docgenToProperties } = require('./react-docgen');
+const { extractVueDocs } = require('./vue-docgen');
+const { extractSvelteDocs } = require('./svelte-docgen');
+const { extractLitDocs } = require('./lit-docgen');
+const { loadCustomElementsManifest, findCustomElementDeclaration, customElementToDocs } = require('./custom-elements');
+const { detectFramework } = require('./utils');
+
+/**
+ * Component docs from the first project parser ({ name, test, parse }) that accepts the file;
+ * `parse(content, filePath, { componentName, framework })` returns docs (properties, description, ...) or null
+ */
+function runProjectParsers(parsers = [], componentFilePath, content, options) {
+  for (const parser of parsers) {
+    const accepts = parser.test instanceof RegExp ? parser.test.test(componentFilePath) : parser.test(componentFilePath);
+    if (!accepts) continue;
+    const docs = parser.parse(content, componentFilePath, { componentName: options.componentName, framework: options.framework });
+    if (docs) {
+      return { properties: {}, description: '', ...docs, source: docs.source || parser.name || 'custom' };
+    }
+  }
+  return null;
+}
 
 /**
  * Extract JSDoc comments and metadata from component file
+ *
+ * When `options.compodoc` (a loaded documentation.json) describes the component,
+ * its inputs, outputs, methods and deprecation flags are used instead of the regex parser.
+ * React components (`options.framework === 'react'`, or .jsx/.tsx files) get react-docgen style props.
+ * Vue and Svelte single-file components and Lit / HTMLElement classes have their own extractors,
+ * and a custom-elements.json manifest (`options.customElements`) wins for web components.
+ * Project parsers (`options.parsers`, from the config file) are tried before the built-in ones.
  */
-function extractComponentDocs(componentFilePath) {
+function extractComponentDocs(componentFilePath, options = {}) {
   try {
-    if (!fs.existsSync(componentFilePath)) {
+    // Web components are often referenced by tag name only (`component: 'my-button'`)
+    const customElement = findCustomElementDeclaration(options.customElements, {
+      filePath: componentFilePath,
+      name: options.componentName,
+    });
+    if (customElement) {
+      return customElementToDocs(customElement);
+    }
+
+    if (!componentFilePath || !fs.existsSync(componentFilePath)) {
       return null;
     }
 
     const content = fs.readFileSync(componentFilePath, 'utf8');
+
+    const customDocs = runProjectParsers(options.parsers, componentFilePath, content, options);
+    if (customDocs) {
+      return customDocs;
+    }
+
+    // Single-file components (Vue, Svelte)
+    if (componentFilePath.endsWith('.vue') || componentFilePath.endsWith('.svelte')) {
+      const isVue = componentFilePath.endsWith('.vue');
+      const sfcDocs = isVue ? extractVueDocs(content, componentFilePath) : extractSvelteDocs(content, componentFilePath);
+      return {
+        properties: sfcDocs.properties,
+        description: sfcDocs.description,
+        events: sfcDocs.events,
+        slots: sfcDocs.slots,
+        models: sfcDocs.models,
+        template: sfcDocs.template || undefined,
+        componentCode: sfcDocs.script,
+        source: isVue ? 'vue-docgen' : 'svelte-docgen',
+      };
+    }
+
     const docs = {
       properties: {},
       description: '',
     };
 
+    const compodocEntry = findCompodocEntry(options.compodoc, {
+      filePath: componentFilePath,
+      name: options.componentName,
+    });
+
+    const isReact = options.framework === 'react' || /\.(jsx|tsx)$/.test(componentFilePath);
+    const reactDocgen = !compodocEntry && isReact && /\.[jt]sx?$/.test(componentFilePath)
+      ? extractReactDocgen(content, componentFilePath, options.componentName)
+      : null;
+
+    const isWebComponent = options.framework === 'web-components'
+      || /extends\s+(?:LitElement|HTMLElement)\b|@customElement\(/.test(content);
+    const litDocs = !compodocEntry && !reactDocgen && isWebComponent && /\.[jt]s$/.test(componentFilePath)
+      ? extractLitDocs(content, componentFilePath, options.componentName)
+      : null;
+
     // Extract class/component description
     const classDocMatch = content.match(/\/\*\*\s*([\s\S]*?)\s*\*\/\s*(?:@Component|export\s+(?:default\s+)?(?:function|class|const))/);
     if (classDocMatch) {
@@ -48,52 +126,74 @@ function extractComponentDocs(componentFilePath) {
       }
     }
 
-    // Extract Angular @Input/@Output properties
-    const propDocRegex = /\/\*\*\s*([\s\S]*?)\s*\*\/\s*@(Input|Output)\(\)\s*(\w+)/g;
-    let match;
-    while ((match = propDocRegex.exec(content)) !== null) {
-      const description = match[1].replace(/^\s*\*\s?/gm, '').trim();
-      const decorator = match[2];
-      const propertyName = match[3];
-      const isRequired = description.includes('@required');
-
-      docs.properties[propertyName] = {
-        description: description.replace(/@required/g, '').trim(),
-        type: decorator.toLowerCase(),
-        required: isRequired,
-      };
-    }
-
-    // Extract React props (from PropTypes or TypeScript interface)
-    const propsInterfaceMatch = content.match(/interface\s+\w*Props\s*\{([\s\S]*?)\}/);
-    if (propsInterfaceMatch) {
-      const propsStr = propsInterfaceMatch[1];
-      const propRegex = /\/\*\*\s*([\s\S]*?)\s*\*\/\s*(\w+)(\?)?:\s*([^;]+)/g;
-      while ((match = propRegex.exec(propsStr)) !== null) {
+    if (compodocEntry) {
+      const compodocDocs = compodocEntryToDocs(compodocEntry);
+      Object.assign(docs, compodocDocs, { template: docs.template || compodocDocs.template });
+    } else if (litDocs) {
+      docs.description = litDocs.description || docs.description;
+      docs.properties = litDocs.properties;
+      docs.events = litDocs.events;
+      docs.slots = litDocs.slots;
+      docs.cssParts = litDocs.cssParts;
+      docs.cssProperties = litDocs.cssProperties;
+      if (litDocs.tagName) docs.selector = litDocs.tagName;
+      docs.componentCode = litDocs.code;
+      docs.source = 'lit-docgen';
+    } else if (reactDocgen) {
+      const { code, ...docgen } = reactDocgen;
+      docs.description = docgen.description || docs.description;
+      docs.properties = docgenToProperties(docgen);
+      docs.docgen = docgen;
+      docs.componentCode = code;
+      docs.source = 'react-docgen';
+    } else {
+      // Fallback: extract Angular @Input/@Output properties
+      const propDocRegex = /\/\*\*\s*([\s\S]*?)\s*\*\/\s*@(Input|Output)\(\)\s*(\w+)/g;
+      let match;
+      while ((match = propDocRegex.exec(content)) !== null) {
         const description = match[1].replace(/^\s*\*\s?/gm, '').trim();
-        const propName = match[2];
-        const optional = !!match[3];
-        const propType = match[4].trim();
-
-        docs.properties[propName] = {
-          description,
-          tsType: propType,
-          required: !optional,
+        const decorator = match[2];
+        const propertyName = match[3];
+        const isRequired = description.includes('@required');
+
+        docs.properties[propertyName] = {
+          description: description.replace(/@required/g, '').trim(),
+          type: decorator.toLowerCase(),
+          required: isRequired,
         };
       }
-    }
 
-    // Extract TypeScript property types
-    const propTypeRegex = /(\w+)(?:\?)?:\s*([^=;]+)(?:\s*=\s*([^;]+))?;/g;
-    while ((match = propTypeRegex.exec(content)) !== null) {
-      const propertyName = match[1];
-      const type = match[2].trim();
-      const defaultValue = match[3] ? match[3].trim() : undefined;
-
-      if (docs.properties[propertyName]) {
-        docs.properties[propertyName].tsType = type;
-        if (defaultValue) {
-          docs.properties[propertyName].defaultValue = defaultValue;
+      // Extract React props (from PropTypes or TypeScript interface)
+      const propsInterfaceMatch = content.match(/interface\s+\w*Props\s*\{([\s\S]*?)\}/);
+      if (propsInterfaceMatch) {
+        const propsStr = propsInterfaceMatch[1];
+        const propRegex = /\/\*\*\s*([\s\S]*?)\s*\*\/\s*(\w+)(\?)?:\s*([^;]+)/g;
+        while ((match = propRegex.exec(propsStr)) !== null) {
+          const description = match[1].replace(/^\s*\*\s?/gm, '').trim();
+          const propName = match[2];
+          const optional = !!match[3];
+          const propType = match[4].trim();
+
+          docs.properties[propName] = {
+            description,
+            tsType: propType,
+            required: !optional,
+          };
+        }
+      }
+
+      // Extract TypeScript property types
+      const propTypeRegex = /(\w+)(?:\?)?:\s*([^=;]+)(?:\s*=\s*([^;]+))?;/g;
+      while ((match = propTypeRegex.exec(content)) !== null) {
+        const propertyName = match[1];
+        const type = match[2].trim();
+        const defaultValue = match[3] ? match[3].trim() : undefined;
+
+        if (docs.properties[propertyName]) {
+          docs.properties[propertyName].tsType = type;
+          if (defaultValue) {
+            docs.properties[propertyName].defaultValue = defaultValue;
+          }
         }
       }
     }
@@ -116,65 +216,68 @@ function extractComponentDocs(componentFilePath) {
   }
 }
 
+/**
+ * Parse a story file with the CSF parser, returning null if it can't be read
+ */
+function readCsf(storyFilePath) {
+  if (!fs.existsSync(storyFilePath)) {
+    return null;
+  }
+  return parseCsf(fs.readFileSync(storyFilePath, 'utf8'), storyFilePath);
+}
+
+/**
+ * Resolve the source file of the component referenced by `meta.component`
+ */
+function resolveComponentFile(storyFilePath, csf) {
+  const component = csf?.meta?.component;
+  if (typeof component !== 'string') return null;
+
+  const localName = component.split('.')[0];
+  const importDecl = csf.imports.find(imp => imp.specifiers.some(spec => spec.local === localName));
+  if (!importDecl) return null;
+  return resolveModulePath(storyFilePath, importDecl.source);
+}
+
+/**
+ * Resolve a relative import (extension and `/index` optional, query such as `?raw` ignored) to a file
+ */
+function resolveModulePath(fromFilePath, source) {
+  if (!source.startsWith('.')) return null;
+
+  const basePath = path.resolve(path.dirname(fromFilePath), source.replace(/\?.*$/, ''));
+  const extensions = ['.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
+  const candidates = [
+    basePath,
+    ...extensions.map(ext => basePath + ext),
+    ...extensions.map(ext => path.join(basePath, `index${ext}`)),
+  ];
+
+  return candidates.find(candidate => fs.existsSync(candidate) && fs.statSync(candidate).isFile()) || null;
+}
+
 /**
  * Extract story examples from story file
  */
 function extractStoryExamples(storyFilePath) {
   try {
-    if (!fs.existsSync(storyFilePath)) {
+    const csf = readCsf(storyFilePath);
+    if (!csf) {
       return null;
     }
 
-    const content = fs.readFileSync(storyFilePath, 'utf8');
     const examples = {
       stories: {},
-      imports: [],
-      meta: null,
+      imports: csf.imports.map(imp => imp.code),
+      meta: csf.metaCode,
+      metaInfo: csf.meta,
+      componentFilePath: resolveComponentFile(storyFilePath, csf),
     };
 
-    // Extract imports
-    const importMatches = content.match(/^import\s+.*?;$/gm);
-    if (importMatches) {
-      examples.imports = importMatches;
-    }
-
-    // Extract meta/default export
-    const metaMatch = content.match(/const\s+meta[^=]*=\s*\{[\s\S]*?\};?\s*export\s+default\s+meta/);
-    if (metaMatch) {
-      examples.meta = metaMatch[0];
-    } else {
-      const altMetaMatch = content.match(/export\s+default\s+\{[\s\S]*?\}\s*(?:as|;)/);
-      if (altMetaMatch) {
-        examples.meta = altMetaMatch[0];
-      }
-    }
-
-    // Extract each story export
-    const storyRegex = /export\s+const\s+(\w+)(?::\s*\w+)?\s*=\s*\{([\s\S]*?)\};/g;
-    let match;
-    while ((match = storyRegex.exec(content)) !== null) {
-      const storyName = match[1];
-      const storyContent = match[2];
-
-      const argsMatch = storyContent.match(/args:\s*\{([\s\S]*?)\}/);
-      let args = {};
-      if (argsMatch) {
-        const argsStr = argsMatch[1];
-        const argLines = argsStr.split(',');
-        argLines.forEach(line => {
-          const colonIdx = line.indexOf(':');
-          if (colonIdx > 0) {
-            const key = line.substring(0, colonIdx).trim();
-            let value = line.substring(colonIdx + 1).trim().replace(/,\s*$/, '');
-            if (key) args[key] = value;
-          }
-        });
-      }
-
-      examples.stories[storyName] = {
-        code: `export const ${storyName} = {${storyContent}};`,
-        args,
-      };
+    for (const [exportName, story] of Object.entries(csf.stories)) {
+      const example = { ...story };
+      delete example.exportName;
+      examples.stories[exportName] = example;
     }
 
     return examples;
@@ -185,75 +288,57 @@ function extractStoryExamples(storyFilePath) {
 
 /**
  * Parse story file and extract metadata
+ *
+ * @param {Object} [options] - { parsers }: project component parsers
  */
-function parseStoryFile(filePath, storyId, projectDir) {
+function parseStoryFile(filePath, storyId, projectDir, options = {}) {
   try {
-    if (!fs.existsSync(filePath)) return null;
+    const csf = readCsf(filePath);
+    if (!csf) return null;
 
-    const content = fs.readFileSync(filePath, 'utf8');
+    const meta = csf.meta || {};
     const storyData = { id: storyId, filePath };
 
     // Extract component reference
-    const componentMatch = content.match(/component:\s*(\w+)/);
-    if (componentMatch) {
-      storyData.component = componentMatch[1];
-
-      // Find component file
-      const importMatch = content.match(new RegExp(`import\\s*\\{[^}]*${componentMatch[1]}[^}]*\\}\\s*from\\s*['"]([^'"]+)['"]`));
-      if (importMatch) {
-        const storyDir = path.dirname(filePath);
-        let componentFilePath = path.resolve(storyDir, importMatch[1]);
-        
-        // Try different extensions
-        const extensions = ['.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
-        for (const ext of extensions) {
-          const fullPath = componentFilePath.endsWith(ext) ? componentFilePath : componentFilePath + ext;
-          if (fs.existsSync(fullPath)) {
-            const componentDocs = extractComponentDocs(fullPath);
-            if (componentDocs) {
-              storyData.componentDocs = componentDocs;
-            }
-            break;
-          }
-        }
+    if (typeof meta.component === 'string') {
+      storyData.component = meta.component;
+
+      // Tag-name components (web components) have no file but may be in custom-elements.json
+      const componentFilePath = resolveComponentFile(filePath, csf);
+      if (componentFilePath) {
+        storyData.componentFilePath = componentFilePath;
+      }
+      const componentDocs = extractComponentDocs(componentFilePath, {
+        compodoc: loadCompodocJson(projectDir),
+        customElements: loadCustomElementsManifest(projectDir),
+        componentName: meta.component,
+        framework: detectFramework(projectDir),
+        parsers: options.parsers,
+      });
+      if (componentDocs) {
+        storyData.componentDocs = componentDocs;
       }
     }
 
-    // Extract argTypes
-    const argTypesBlockMatch = content.match(/argTypes:\s*\{([\s\S]*?)\},?\s*(?:\/\/|args:|tags:|$)/);
-    if (argTypesBlockMatch) {
-      storyData.argTypes = {};
-      const propRegex = /(\w+):\s*\{([^{}]*)\}/g;
-      let match;
-      while ((match = propRegex.exec(argTypesBlockMatch[1])) !== null) {
-        const controlMatch = match[2].match(/control:\s*['"]([^'"]+)['"]/);
-        if (controlMatch) {
-          storyData.argTypes[match[1]] = { control: controlMatch[1] };
-        }
-      }
+    const story = findStoryById(csf, storyId);
+
+    // Merge meta-level and story-level argTypes
+    const argTypes = { ...(meta.argTypes || {}) };
+    for (const [name, argType] of Object.entries(story?.argTypes || {})) {
+      argTypes[name] = { ...(argTypes[name] || {}), ...argType };
+    }
+    if (Object.keys(argTypes).length > 0) {
+      storyData.argTypes = argTypes;
     }
 
-    // Extract story-specific args
-    const storyName = storyId.split('--')[1];
-    if (storyName && storyName !== 'docs') {
-      const pascalName = storyName.split('-').map(p => p.charAt(0).toUpperCase() + p.slice(1).toLowerCase()).join('');
-      const storyPattern = new RegExp(`export\\s+const\\s+${pascalName}[^=]*=\\s*\\{[^}]*args:\\s*\\{([^}]+)\\}`, 's');
-      const storyMatch = content.match(storyPattern);
-
-      if (storyMatch) {
-        storyData.args = {};
-        const argLines = storyMatch[1].split(',');
-        argLines.forEach(line => {
-          const colonIdx = line.indexOf(':');
-          if (colonIdx > 0) {
-            const key = line.substring(0, colonIdx).trim();
-            let value = line.substring(colonIdx + 1).trim().replace(/,\s*$/, '').replace(/^['"]|['"]$/g, '');
-            if (value === 'true') value = true;
-            else if (value === 'false') value = false;
-            else if (!isNaN(value) && value !== '') value = Number(value);
-            if (key) storyData.args[key] = value;
-          }
-        });
+    // Story-specific args, plus the initial args Storybook composes from meta + story
+    if (story) {
+      storyData.exportName = story.exportName;
+      storyData.args = story.args;
+      storyData.initialArgs = { ...(meta.args || {}), ...story.args };
+
+      for (const key of ['description', 'parameters', 'decorators', 'tags', 'render', 'play']) {
+        if (story[key] !== undefined) storyData[key] = story[key];
       }
     }
 
@@ -263,28 +348,124 @@ function parseStoryFile(filePath, storyId, projectDir) {
   }
 }
 
+/**
+ * Format a parsed arg value as a JavaScript expression
+ */
+function toJsLiteral(value) {
+  if (isCode(value)) return value.$code;
+  if (typeof value === 'string') return `'${value.replace(/\\/g, '\\\\').replace(/'/g, "\\'")}'`;
+  if (Array.isArray(value)) return `[${value.map(toJsLiteral).join(', ')}]`;
+  if (value && typeof value === 'object') {
+    const entries = Object.entries(value).map(([key, val]) => {
+      const safeKey = /^[A-Za-z_$][\w$]*$/.test(key) ? key : `'${key}'`;
+      return `${safeKey}: ${toJsLiteral(val)}`;
+    });
+    return entries.length > 0 ? `{ ${entries.join(', ')} }` : '{}';
+  }
+  return String(value);
+}
+
+/**
+ * Event bound by an `onX` arg (Storybook passes listeners as `onClick` / `onUpdate:modelValue`)
+ *
+ * @returns {{ name: string, known: boolean }|null} Name from the component's events when documented
+ */
+function argToEvent(key, events = []) {
+  const match = key.match(/^on([A-Z].*)$/);
+  if (!match) return null;
+  const camelName = match[1].charAt(0).toLowerCase() + match[1].slice(1);
+  const kebabName = camelName.replace(/([a-z\d])([A-Z])/g, '$1-$2').toLowerCase();
+  const event = events.find(e => [camelName, kebabName, camelName.toLowerCase()].includes(e.name));
+  return event ? { name: event.name, known: true } : { name: kebabName, known: false };
+}
+
+/**
+ * Vue template attribute for one arg: `label="x"`, `:count="3"`, `@click="onClick"`, `v-model="modelValue"`
+ */
+function toVueAttribute(key, value, { events = [], models = [] }) {
+  if (models.some(model => model.name === key)) {
+    return key === 'modelValue' ? `v-model="${key}"` : `v-model:${key}="${key}"`;
+  }
+  const event = argToEvent(key, events);
+  if (event && (event.known || isCode(value))) {
+    if (models.some(model => `update:${model.name}` === event.name || `update:${model.name.toLowerCase()}` === event.name)) return null;
+    return `@${event.name}="${key}"`;
+  }
+  if (typeof value === 'string') {
+    return `${key}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  return `:${key}="${toJsLiteral(value).replace(/"/g, "'")}"`;
+}
+
+/**
+ * Svelte attribute for one arg: `label="x"`, `count={3}`, `bind:value={value}`, `on:select={onSelect}`
+ */
+function toSvelteAttribute(key, value, { events = [], models = [] }) {
+  if (models.some(model => model.name === key)) {
+    return `bind:${key}={${key}}`;
+  }
+  // Svelte 4 dispatcher events; Svelte 5 callback props stay plain props
+  const event = argToEvent(key, events);
+  if (event?.known) {
+    return `on:${event.name}={${key}}`;
+  }
+  if (typeof value === 'string') {
+    return `${key}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  return `${key}={${toJsLiteral(value)}}`;
+}
+
+/**
+ * lit-html binding for one arg: `label="x"`, `?disabled=${true}`, `.items=${[...]}`, `@change=${onChange}`
+ */
+function toLitAttribute(key, value, { events = [], properties = {} }) {
+  const event = argToEvent(key, events);
+  if (event && (event.known || isCode(value))) {
+    return `@${event.name}=\${${key}}`;
+  }
+  // Properties without an attribute (`attribute: false`) can only be set as properties
+  const attribute = properties[key] ? properties[key].attribute : key;
+  if (typeof value === 'string' && attribute) {
+    return `${attribute}="${value.replace(/"/g, '&quot;')}"`;
+  }
+  if (typeof value === 'boolean' && attribute) {
+    return `?${attribute}=\${${value}}`;
+  }
+  return `.${key}=\${${toJsLiteral(value)}}`;
+}
+
 /**
  * Generate HTML usage example
+ *
+ * @param {Object} [options] - { events, models, properties } from the component docs
+ *   (Angular outputs, Vue, Svelte, web components)
  */
-function generateUsageExample(selector, args, storyName, framework = 'angular') {
+function generateUsageExample(selector, args, storyName, framework = 'angular', options = {}) {
   if (!selector) return null;
 
   const attrs = Object.entries(args || {})
+    .filter(([, value]) => value !== undefined)
     .map(([key, value]) => {
-      if (value === 'true' || value === true) {
-        return framework === 'angular' ? `[${key}]="true"` : `${key}={true}`;
+      if (framework === 'vue') {
+        return toVueAttribute(key, value, options);
+      }
+      if (framework === 'svelte') {
+        return toSvelteAttribute(key, value, options);
       }
-      if (value === 'false' || value === false) {
-        return framework === 'angular' ? `[${key}]="false"` : `${key}={false}`;
+      if (framework === 'web-components') {
+        return toLitAttribute(key, value, options);
+      }
+      // Angular outputs (@Output / Compodoc outputsClass) are event bindings, whatever the arg holds
+      if (framework === 'angular' && options.properties?.[key]?.type === 'output') {
+        return `(${key})="${key}($event)"`;
       }
       if (typeof value === 'string') {
-        if (value.startsWith("'") || value.startsWith('"')) {
-          return `${key}=${value}`;
-        }
-        return `${key}="${value}"`;
+        return `${key}="${value.replace(/"/g, '&quot;')}"`;
       }
-      return framework === 'angular' ? `[${key}]="${value}"` : `${key}={${value}}`;
+      const expression = toJsLiteral(value);
+      return framework === 'angular' ? `[${key}]="${expression.replace(/"/g, "'")}"` : `${key}={${expression}}`;
     })
+    .filter(Boolean)
     .join('\n    ');
 
   return `<!-- ${storyName} Example -->\n<${selector}\n    ${attrs}>\n</${selector}>`;
@@ -294,6 +475,8 @@ module.exports = {
   extractComponentDocs,
   extractStoryExamples,
   parseStoryFile,
+  resolveComponentFile,
+  resolveModulePath,
   generateUsageExample,
 };
 
@@ -0,0 +1,302 @@
+/**
+ * MCP prompts for common design-system tasks
+ *
+ * Built-in prompts are pre-filled with component documentation from the tool handlers.
+ * Projects add their own (or override built-ins by name) under `prompts` in the config file
+ * (see config.js).
+ */
+
+const chalk = require('chalk');
+const { renderPropsTable, renderMemberList } = require('./markdown');
+const { loadConfigFile } = require('./config');
+
+// Components documented in one prompt at most, to keep prompts within context limits
+const MAX_PROMPT_COMPONENTS = 10;
+
+// Last valid prompts per config file, kept while the file is being edited into an invalid state
+const lastUserPrompts = new Map();
+
+/**
+ * Render component docs (from handlers.getComponent) as markdown
+ */
+function formatComponentDocs(component) {
+  const lines = [`## ${component.name}`];
+  if (component.deprecated) {
+    lines.push('', `**Deprecated.** ${component.deprecationMessage || ''}`.trim());
+  }
+  if (component.description) lines.push('', component.description);
+  if (component.selector) lines.push('', `Selector: \`${component.selector}\``);
+  if (component.imports?.length) {
+    lines.push('', '```ts', ...component.imports, '```');
+  }
+
+  for (const section of [
+    renderPropsTable(component.properties),
+    renderMemberList('Events', component.events),
+    renderMemberList('Slots', component.slots),
+  ]) {
+    if (section) lines.push('', section);
+  }
+
+  const examples = Object.values(component.usageExamples || {}).filter(Boolean).slice(0, 3);
+  if (examples.length > 0) {
+    lines.push('', 'Usage:', '```html', ...examples, '```');
+  }
+  return lines.join('\n');
+}
+
+/**
+ * Prompts from the config file (reloaded when it changes), or given programmatically.
+ * While the file is invalid the last valid prompts are kept and the error is logged once.
+ */
+function loadUserPrompts(config) {
+  const key = config.configFile || config.projectDir || '';
+  try {
+    const prompts = loadConfigFile(config.projectDir, config.configFile)?.config.prompts || config.prompts || [];
+    lastUserPrompts.set(key, { prompts });
+    return prompts;
+  } catch (error) {
+    const last = lastUserPrompts.get(key);
+    if (last?.error !== error.message) {
+      // stderr: stdout may carry MCP messages
+      console.error(chalk.yellow('⚠') + ` Keeping the previous prompts: ${error.message}`);
+      lastUserPrompts.set(key, { prompts: last?.prompts || config.prompts || [], error: error.message });
+    }
+    return lastUserPrompts.get(key).prompts;
+  }
+}
+
+/**
+ * Split a comma-separated argument into names
+ */
+function splitList(value) {
+  return String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Create the prompt registry
+ *
+ * @param {Object} handlers - From createToolHandlers
+ * @param {Object} config - { projectDir, configFile, prompts }
+ */
+function createPrompts(handlers, config = {}) {
+  /**
+   * Markdown docs for the named components (unknown names are listed as such)
+   */
+  async function describeComponents(names) {
+    const sections = [];
+    for (const name of names.slice(0, MAX_PROMPT_COMPONENTS)) {
+      const result = await handlers.getComponent({ name });
+      sections.push(result.success ? formatComponentDocs(result.component) : `## ${name}\n\n(No documentation found.)`);
+    }
+    return sections.join('\n\n');
+  }
+
+  /**
+   * Names of all components that have stories
+   */
+  async function listComponentNames() {
+    const result = await handlers.listComponents({});
+    return result.success ? result.components.map(component => component.name) : [];
+  }
+
+  // Selectors of the components, computed once per index version (the listComponents ETag)
+  let selectors = null;
+
+  async function getSelectors(list) {
+    const version = handlers.getETag(list) || list;
+    if (selectors?.version !== version) {
+      const byName = new Map();
+      for (const { name } of list.components) {
+        const selector = (await handlers.getComponent({ name })).component?.selector;
+        if (selector) byName.set(name, selector);
+      }
+      selectors = { version, byName };
+    }
+    return selectors.byName;
+  }
+
+  /**
+   * Components written in the markup as `<Name` or `<selector`
+   */
+  async function findComponentsInMarkup(markup) {
+    const list = await handlers.listComponents({});
+    if (!list.success) return [];
+    const used = new Set([...String(markup).matchAll(/<([A-Za-z][\w.:-]*)/g)].map(match => match[1]));
+    const byName = list.components.map(component => component.name).filter(name => used.has(name));
+    // Selectors are only needed for tags that are not component names
+    if ([...used].every(tag => byName.includes(tag))) return byName;
+    const bySelector = [...(await getSelectors(list))]
+      .filter(([name, selector]) => !byName.includes(name) && used.has(selector))
+      .map(([name]) => name);
+    return [...byName, ...bySelector];
+  }
+
+  const helpers = { describeComponents, listComponentNames, formatComponentDocs, handlers };
+
+  const builtInPrompts = [
+    {
+      name: 'implement-ui',
+      description: 'Implement a UI using the design system\'s components',
+      arguments: [
+        { name: 'description', description: 'What to build (feature, screen or design description)', required: true },
+        { name: 'components', description: 'Comma-separated components to use (default: all available)' },
+      ],
+      async render(args) {
+        const names = splitList(args.components);
+        const available = await listComponentNames();
+        const docs = await describeComponents(names.length > 0 ? names : available);
+        return [
+          `Implement the following UI using our design-system components: ${args.description}`,
+          '',
+          'Prefer existing components over custom markup and follow their documented props, events and usage.',
+          available.length > 0 ? `Available components: ${available.join(', ')}` : '',
+          '',
+          '# Component documentation',
+          '',
+          docs,
+        ].join('\n');
+      },
+    },
+    {
+      name: 'write-story',
+      description: 'Write a new Storybook story for a component',
+      arguments: [
+        { name: 'component', description: 'Component name (as in meta.component)', required: true },
+        { name: 'scenario', description: 'The state or use case the story should show' },
+      ],
+      async render(args) {
+        const result = await handlers.getComponent({ name: args.component });
+        const lines = [
+          `Write a new Storybook story (CSF3) for ${args.component}${args.scenario ? ` showing: ${args.scenario}` : ''}.`,
+          '',
+          'Match the conventions of the existing stories below and only use documented props.',
+        ];
+        if (result.success) {
+          lines.push('', formatComponentDocs(result.component));
+          const story = result.component.stories[0];
+          const storyDocs = story ? await handlers.getStoryDocs({ storyId: story.id }) : null;
+          if (storyDocs?.success && storyDocs.docs.metaCode) {
+            const existing = Object.values(storyDocs.docs.storyExamples || {}).map(example => example.code);
+            lines.push('', '# Existing stories', '', '```ts', ...(storyDocs.docs.imports || []), '',
+              storyDocs.docs.metaCode, '', existing.join('\n\n'), '```');
+          }
+        } else {
+          lines.push('', `(No documentation found for ${args.component}.)`);
+        }
+        return lines.join('\n');
+      },
+    },
+    {
+      name: 'review-markup',
+      description: 'Review markup for design-system compliance',
+      arguments: [
+        { name: 'markup', description: 'The markup or component code to review', required: true },
+        { name: 'components', description: 'Comma-separated components to check against (default: those used in the markup)' },
+      ],
+      async render(args) {
+        let names = splitList(args.components);
+        if (names.length === 0) {
+          names = await findComponentsInMarkup(args.markup);
+        }
+        return [
+          'Review the following markup for design-system compliance. Flag custom markup that duplicates an existing',
+          'component, props that are not documented or have the wrong type, missing required props and deprecated components.',
+          'Suggest corrected code.',
+          '',
+          '```',
+          args.markup,
+          '```',
+          '',
+          '# Component documentation',
+          '',
+          names.length > 0 ? await describeComponents(names) : '(No design-system components recognised in the markup.)',
+        ].join('\n');
+      },
+    },
+    {
+      name: 'migrate-deprecated',
+      description: 'Migrate usages of a deprecated component',
+      arguments: [
+        { name: 'component', description: 'The deprecated component', required: true },
+        { name: 'replacement', description: 'The component to migrate to' },
+        { name: 'code', description: 'Code containing the usages to migrate' },
+      ],
+      async render(args) {
+        const names = [args.component, args.replacement].filter(Boolean);
+        return [
+          `Migrate usages of ${args.component}${args.replacement ? ` to ${args.replacement}` : ' to its documented replacement'}.`,
+          'Map every prop, event and slot to its equivalent and call out anything without one.',
+          ...(args.code ? ['', '```', args.code, '```'] : []),
+          '',
+          '# Component documentation',
+          '',
+          await describeComponents(names),
+        ].join('\n');
+      },
+    },
+  ];
+
+  /**
+   * Built-in prompts, overridden or extended by the project's config
+   */
+  function getPrompts() {
+    const prompts = new Map(builtInPrompts.map(prompt => [prompt.name, prompt]));
+    for (const prompt of loadUserPrompts(config)) {
+      prompts.set(prompt.name, prompt);
+    }
+    return [...prompts.values()];
+  }
+
+  /**
+   * prompts/list entries
+   */
+  function list() {
+    return getPrompts().map(({ name, description, arguments: promptArgs }) => ({
+      name,
+      description,
+      arguments: promptArgs || [],
+    }));
+  }
+
+  /**
+   * Render a prompt; `{{arg}}` placeholders in templates are filled from the arguments,
+   * and `{{componentDocs}}` with the docs of the `component` / `components` arguments
+   *
+   * @returns {Promise<Object>} prompts/get result ({ description, messages })
+   */
+  async function get(name, args = {}) {
+    const prompt = getPrompts().find(candidate => candidate.name === name);
+    if (!prompt) {
+      throw Object.assign(new Error(`Unknown prompt: ${name}`), { code: -32602 });
+    }
+    const missing = (prompt.arguments || []).filter(arg => arg.required && !args[arg.name]).map(arg => arg.name);
+    if (missing.length > 0) {
+      throw Object.assign(new Error(`Missing required arguments: ${missing.join(', ')}`), { code: -32602 });
+    }
+
+    let output;
+    if (typeof prompt.render === 'function') {
+      output = await prompt.render(args, helpers);
+    } else {
+      const componentNames = splitList(args.components || args.component);
+      const componentDocs = prompt.template.includes('{{componentDocs}}') ? await describeComponents(componentNames) : '';
+      output = prompt.template.replace(/\{\{\s*(\w+)\s*\}\}/g, (match, key) => (
+        key === 'componentDocs' ? componentDocs : String(args[key] ?? '')
+      ));
+    }
+
+    const messages = typeof output === 'string'
+      ? [{ role: 'user', content: { type: 'text', text: output } }]
+      : output;
+    return { description: prompt.description, messages };
+  }
+
+  return { list, get };
+}
+
+module.exports = {
+  createPrompts,
+  formatComponentDocs,
+  loadUserPrompts,
+};
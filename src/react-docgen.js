@@ -0,0 +1,283 @@
+/**
+ * React component prop extraction (react-docgen style)
+ *
+ * Produces the same shape Storybook attaches as `__docgenInfo`:
+ * { displayName, description, props: { [name]: { required, tsType|type, defaultValue, description } } }
+ */
+
+const { parseSource, unwrap } = require('./csf');
+const { getJsDoc, createTypeResolver, isStaticValue, typeToString } = require('./ts-types');
+
+// Wrappers whose first argument is the actual component
+const WRAPPERS = ['forwardRef', 'memo', 'observer', 'styled'];
+
+function isComponentName(name) {
+  return typeof name === 'string' && /^[A-Z]/.test(name);
+}
+
+/**
+ * Name of a (possibly namespaced) callee: `forwardRef`, `React.forwardRef` -> `forwardRef`
+ */
+function getCalleeName(callee) {
+  if (callee.type === 'Identifier') return callee.name;
+  if (callee.type === 'MemberExpression' && !callee.computed) return callee.property.name;
+  return null;
+}
+
+/**
+ * Create a docgen extractor for one source file
+ */
+function createDocgen(content, ast) {
+  const source = node => content.slice(node.start, node.end);
+  const { collectTypeMembers } = createTypeResolver(content, ast.program.body);
+  const assignments = new Map();
+
+  // Collect `X.propTypes = ...` style assignments
+  for (const statement of ast.program.body) {
+    if (statement.type === 'ExpressionStatement' && statement.expression.type === 'AssignmentExpression') {
+      const { left, right } = statement.expression;
+      if (left.type === 'MemberExpression' && left.object.type === 'Identifier' && !left.computed) {
+        const key = `${left.object.name}.${left.property.name}`;
+        assignments.set(key, right);
+      }
+    }
+  }
+
+  /**
+   * Read PropTypes definitions: `{ size: PropTypes.oneOf([...]).isRequired }`
+   */
+  function collectPropTypes(objectNode, members) {
+    if (objectNode?.type !== 'ObjectExpression') return;
+    for (const prop of objectNode.properties) {
+      if (prop.type !== 'ObjectProperty' || prop.computed) continue;
+      const name = prop.key.name || prop.key.value;
+      let value = prop.value;
+      let required = false;
+      if (value.type === 'MemberExpression' && !value.computed && value.property.name === 'isRequired') {
+        required = true;
+        value = value.object;
+      }
+
+      let typeName = source(value).replace(/^PropTypes\./, '');
+      let typeValue;
+      if (value.type === 'CallExpression') {
+        typeName = source(value.callee).replace(/^PropTypes\./, '');
+        typeValue = value.arguments[0] ? source(value.arguments[0]) : undefined;
+      }
+
+      const existing = members.get(name) || { description: getJsDoc(prop) };
+      members.set(name, {
+        ...existing,
+        required: existing.tsType ? existing.required : required,
+        type: typeValue === undefined ? { name: typeName } : { name: typeName, value: typeValue },
+        description: existing.description || getJsDoc(prop),
+      });
+    }
+  }
+
+  /**
+   * Read default values from `{ size = 'medium' }` destructuring or a defaultProps object
+   */
+  function collectDefaults(node, defaults) {
+    if (node?.type === 'ObjectPattern') {
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.value.type !== 'AssignmentPattern') continue;
+        const name = prop.key.name || prop.key.value;
+        const value = prop.value.right;
+        defaults.set(name, { value: source(value), computed: !isStaticValue(value) });
+      }
+    } else if (node?.type === 'ObjectExpression') {
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.computed) continue;
+        const name = prop.key.name || prop.key.value;
+        defaults.set(name, { value: source(prop.value), computed: !isStaticValue(prop.value) });
+      }
+    }
+  }
+
+  /**
+   * Unwrap forwardRef/memo calls, returning the inner function and any props type parameter
+   */
+  function unwrapComponent(node) {
+    let current = unwrap(node);
+    let propsType = null;
+    const wrappers = [];
+
+    while (current?.type === 'CallExpression' && WRAPPERS.includes(getCalleeName(current.callee))) {
+      const wrapper = getCalleeName(current.callee);
+      wrappers.push(wrapper);
+      const params = current.typeParameters?.params || [];
+      if (wrapper === 'forwardRef' && params[1]) propsType = propsType || params[1];
+      if (wrapper === 'memo' && params[0]) propsType = propsType || params[0];
+      current = unwrap(current.arguments[0]);
+    }
+
+    return { fn: current, propsType, wrappers };
+  }
+
+  /**
+   * Props type from a `React.FC<Props>` / `FunctionComponent<Props>` variable annotation
+   */
+  function getAnnotatedPropsType(id) {
+    const annotation = id?.typeAnnotation?.typeAnnotation;
+    if (annotation?.type !== 'TSTypeReference' || !annotation.typeParameters) return null;
+    const name = source(annotation.typeName).split('.').pop();
+    return ['FC', 'FunctionComponent', 'VFC', 'VoidFunctionComponent', 'ComponentType', 'ForwardRefRenderFunction'].includes(name)
+      ? annotation.typeParameters.params[name === 'ForwardRefRenderFunction' ? 1 : 0]
+      : null;
+  }
+
+  /**
+   * Build docgen info for a component definition
+   */
+  function document({ name, node, id, docNode, codeNode }) {
+    const members = new Map();
+    const defaults = new Map();
+    let methods = [];
+
+    if (node.type === 'ClassDeclaration' || node.type === 'ClassExpression') {
+      const superTypes = node.superTypeParameters?.params || [];
+      collectTypeMembers(superTypes[0], members);
+      for (const member of node.body.body) {
+        if (!member.static || member.type !== 'ClassProperty') continue;
+        if (member.key.name === 'propTypes') collectPropTypes(member.value, members);
+        if (member.key.name === 'defaultProps') collectDefaults(member.value, defaults);
+      }
+      methods = node.body.body
+        .filter(m => m.type === 'ClassMethod' && m.kind === 'method' && !m.static && !m.key.name?.startsWith('_')
+          && !['render', 'componentDidMount', 'componentDidUpdate', 'componentWillUnmount', 'shouldComponentUpdate'].includes(m.key.name))
+        .map(m => ({ name: m.key.name, docblock: getJsDoc(m) || null, params: m.params.map(p => ({ name: source(p) })) }));
+    } else {
+      const { fn, propsType, wrappers } = unwrapComponent(node);
+      const param = fn?.params?.[0];
+      const paramNode = param?.type === 'AssignmentPattern' ? param.left : param;
+
+      collectTypeMembers(propsType || getAnnotatedPropsType(id) || paramNode?.typeAnnotation, members);
+      collectDefaults(paramNode, defaults);
+      if (wrappers.length === 0 && !fn?.params) return null;
+    }
+
+    const propTypes = assignments.get(`${name}.propTypes`);
+    if (propTypes) collectPropTypes(propTypes, members);
+    const defaultProps = assignments.get(`${name}.defaultProps`);
+    if (defaultProps) collectDefaults(defaultProps, defaults);
+
+    const props = {};
+    for (const [propName, member] of members) {
+      const prop = { required: member.required };
+      if (member.tsType) prop.tsType = member.tsType;
+      if (member.type) prop.type = member.type;
+      prop.description = member.description || '';
+      if (defaults.has(propName)) prop.defaultValue = defaults.get(propName);
+      props[propName] = prop;
+    }
+    for (const [propName, defaultValue] of defaults) {
+      if (!props[propName]) props[propName] = { required: false, description: '', defaultValue };
+    }
+
+    const displayNameNode = assignments.get(`${name}.displayName`);
+    return {
+      displayName: displayNameNode?.type === 'StringLiteral' ? displayNameNode.value : name,
+      description: getJsDoc(docNode),
+      methods,
+      props,
+      code: source(codeNode),
+    };
+  }
+
+  /**
+   * Find every React component definition in the file
+   */
+  function findComponents() {
+    const components = [];
+    let defaultExportName = null;
+
+    for (const statement of ast.program.body) {
+      const isExport = statement.type === 'ExportNamedDeclaration' || statement.type === 'ExportDefaultDeclaration';
+      const declaration = isExport ? statement.declaration : statement;
+      if (!declaration) continue;
+
+      if (statement.type === 'ExportDefaultDeclaration' && declaration.type === 'Identifier') {
+        defaultExportName = declaration.name;
+        continue;
+      }
+
+      const exported = isExport;
+      const isDefault = statement.type === 'ExportDefaultDeclaration';
+
+      if (['FunctionDeclaration', 'ClassDeclaration'].includes(declaration.type)) {
+        const name = declaration.id?.name || (isDefault ? 'default' : null);
+        const isClassComponent = declaration.type === 'ClassDeclaration' && !!declaration.superClass;
+        if (isComponentName(name) || isDefault) {
+          if (declaration.type === 'ClassDeclaration' && !isClassComponent) continue;
+          components.push({ name, node: declaration, docNode: statement, codeNode: statement, exported, isDefault });
+        }
+      } else if (declaration.type === 'VariableDeclaration') {
+        for (const decl of declaration.declarations) {
+          if (decl.id.type !== 'Identifier' || !isComponentName(decl.id.name) || !decl.init) continue;
+          const init = unwrap(decl.init);
+          const isFunctionLike = ['ArrowFunctionExpression', 'FunctionExpression', 'ClassExpression'].includes(init.type)
+            || (init.type === 'CallExpression' && WRAPPERS.includes(getCalleeName(init.callee)));
+          if (!isFunctionLike) continue;
+          components.push({ name: decl.id.name, node: init, id: decl.id, docNode: statement, codeNode: statement, exported, isDefault: false });
+        }
+      } else if (isDefault && (declaration.type === 'CallExpression' || declaration.type === 'ArrowFunctionExpression')) {
+        components.push({ name: 'default', node: declaration, docNode: statement, codeNode: statement, exported, isDefault });
+      }
+    }
+
+    if (defaultExportName) {
+      const component = components.find(c => c.name === defaultExportName);
+      if (component) component.isDefault = true;
+    }
+
+    return components;
+  }
+
+  return { findComponents, document };
+}
+
+/**
+ * Extract react-docgen style info for a component file
+ *
+ * @param {string} content - Component source
+ * @param {string} filePath - Used for TS/JSX parsing and to guess the main component
+ * @param {string} [componentName] - Preferred component (e.g. `meta.component` from the story)
+ * @returns {Object|null} Docgen info for the best matching component
+ */
+function extractReactDocgen(content, filePath, componentName) {
+  const ast = parseSource(content, filePath);
+  const docgen = createDocgen(content, ast);
+  const components = docgen.findComponents();
+  if (components.length === 0) return null;
+
+  const baseName = filePath.split(/[\\/]/).pop().replace(/\.\w+$/, '').toLowerCase();
+  const component = components.find(c => c.name === componentName)
+    || components.find(c => c.isDefault)
+    || components.find(c => c.exported && c.name.toLowerCase() === baseName)
+    || components.find(c => c.exported)
+    || components[0];
+
+  return docgen.document(component);
+}
+
+/**
+ * Convert docgen props to the flat `properties` shape used by extractComponentDocs
+ */
+function docgenToProperties(docgen) {
+  const properties = {};
+  for (const [name, prop] of Object.entries(docgen.props || {})) {
+    properties[name] = {
+      description: prop.description,
+      tsType: typeToString(prop.tsType || prop.type),
+      required: !!prop.required,
+    };
+    if (prop.defaultValue) properties[name].defaultValue = prop.defaultValue.value;
+  }
+  return properties;
+}
+
+module.exports = {
+  extractReactDocgen,
+  docgenToProperties,
+};
@@ -0,0 +1,206 @@
+/**
+ * Token-budget-aware shaping of MCP tool results
+ *
+ * Results are rendered as compact YAML-like text instead of pretty-printed JSON (markdown
+ * results as they are).
+ * `detail` drops heavy fields up front; `maxTokens` then truncates the largest strings,
+ * lists and maps until the text fits. Everything removed is listed at the end, so agents
+ * know what to ask for again.
+ */
+
+// Rough token estimate for English text and code
+const CHARS_PER_TOKEN = 4;
+
+// Fields dropped below `full` detail (matched by key at any depth)
+const OMITTED_FIELDS = {
+  standard: ['componentCode', 'docgen', 'metaCode'],
+  summary: [
+    'componentCode', 'docgen', 'metaCode', 'template', 'code', 'render', 'storyCode', 'blocks',
+    'content', 'imports', 'parameters', 'decorators', 'play', 'loaders', 'beforeEach', 'argTypes',
+  ],
+};
+
+const DETAIL_LEVELS = ['summary', 'standard', 'full'];
+
+// Strings, lists and maps are never cut below these sizes
+const MIN_STRING_LENGTH = 200;
+const MIN_COLLECTION_SIZE = 3;
+
+function estimateTokens(text) {
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function isScalar(value) {
+  return value === null || typeof value !== 'object';
+}
+
+function formatScalar(value) {
+  if (typeof value === 'string') {
+    return value === '' || /^[\s\-[{]|[:#]\s|\s$/.test(value) ? JSON.stringify(value) : value;
+  }
+  return String(value);
+}
+
+/**
+ * Render a value as indented `key: value` lines (multi-line strings as `|` blocks)
+ */
+function renderLines(value, indent, lines) {
+  const pad = ' '.repeat(indent);
+
+  const renderEntry = (prefix, item) => {
+    if (item === undefined) return;
+    if (typeof item === 'string' && item.includes('\n')) {
+      lines.push(`${prefix} |`);
+      item.split('\n').forEach(line => lines.push(`${pad}  ${line}`));
+    } else if (isScalar(item)) {
+      lines.push(`${prefix} ${formatScalar(item)}`);
+    } else if (Array.isArray(item) && item.every(isScalar)) {
+      lines.push(`${prefix} ${JSON.stringify(item)}`);
+    } else if (Object.keys(item).length === 0) {
+      lines.push(`${prefix} ${Array.isArray(item) ? '[]' : '{}'}`);
+    } else {
+      lines.push(prefix);
+      renderLines(item, indent + 2, lines);
+    }
+  };
+
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      if (isScalar(item) || Array.isArray(item)) {
+        renderEntry(`${pad}-`, item);
+        continue;
+      }
+      // First key on the dash line, the rest aligned below it
+      const nested = [];
+      renderLines(item, indent + 2, nested);
+      if (nested.length === 0) {
+        lines.push(`${pad}- {}`);
+      } else {
+        lines.push(`${pad}- ${nested[0].slice(indent + 2)}`, ...nested.slice(1));
+      }
+    }
+    return lines;
+  }
+
+  for (const [key, item] of Object.entries(value)) {
+    renderEntry(`${pad}${key}:`, item);
+  }
+  return lines;
+}
+
+/**
+ * Render a tool result as compact text
+ */
+function toCompactText(value) {
+  if (isScalar(value)) return formatScalar(value);
+  return renderLines(value, 0, []).join('\n');
+}
+
+/**
+ * Visit every nested value with its path, parent and key
+ */
+function walk(value, visit, pathParts = []) {
+  if (isScalar(value)) return;
+  for (const [key, item] of Object.entries(value)) {
+    const itemPath = [...pathParts, key];
+    visit(item, itemPath, value, key);
+    if (!isScalar(item)) walk(item, visit, itemPath);
+  }
+}
+
+/**
+ * Lists, and maps whose values all have the same type (storyExamples, properties), can lose
+ * entries; records with distinct fields (a story, its docs) cannot
+ */
+function isCollection(value) {
+  if (Array.isArray(value)) return true;
+  const types = new Set(Object.values(value).map(item => (isScalar(item) ? typeof item : 'object')));
+  return types.size === 1;
+}
+
+/**
+ * Cut markdown to a token budget at a line break, closing an open code fence
+ */
+function truncateMarkdown(markdown, maxTokens) {
+  if (!maxTokens || estimateTokens(markdown) <= maxTokens) return { text: markdown, elided: [] };
+  const limit = maxTokens * CHARS_PER_TOKEN;
+  const lineEnd = markdown.lastIndexOf('\n', limit);
+  let text = markdown.slice(0, lineEnd > limit / 2 ? lineEnd : limit);
+  if ((text.match(/^```/gm) || []).length % 2 === 1) text += '\n```';
+  return {
+    text: `${text}\n\n… (truncated; call again with a larger maxTokens for the rest)`,
+    elided: [`markdown (truncated to ${text.length} of ${markdown.length} chars)`],
+  };
+}
+
+/**
+ * Shape a tool result to a detail level and token budget
+ *
+ * @param {Object} result - Handler result
+ * @param {Object} options - { detail: 'summary'|'standard'|'full', maxTokens: number (0 = unlimited) }
+ * @returns {{ text: string, value: Object, elided: string[] }}
+ */
+function shapeResult(result, { detail = 'standard', maxTokens = 0 } = {}) {
+  // Rendered pages are returned as they are, within the budget
+  if (typeof result.markdown === 'string') {
+    const { text, elided } = truncateMarkdown(result.markdown, maxTokens);
+    return { text, value: { ...result, markdown: text }, elided };
+  }
+
+  const value = JSON.parse(JSON.stringify(result));
+  const elided = [];
+
+  const omitted = OMITTED_FIELDS[detail] || [];
+  if (omitted.length > 0) {
+    walk(value, (item, itemPath, parent, key) => {
+      if (!Array.isArray(parent) && omitted.includes(key) && item !== undefined) {
+        delete parent[key];
+        elided.push(`${itemPath.join('.')} (omitted at ${detail} detail)`);
+      }
+    });
+  }
+
+  let text = toCompactText(value);
+  const truncated = new Map();
+  while (maxTokens > 0 && estimateTokens(text) > maxTokens) {
+    // Halve the largest string or collection still above its minimum size
+    let target = null;
+    walk(value, (item, itemPath, parent, key) => {
+      const length = typeof item === 'string' ? item.length : isScalar(item) ? 0 : Object.keys(item).length;
+      const cuttable = typeof item === 'string' ? length > MIN_STRING_LENGTH : length > MIN_COLLECTION_SIZE && isCollection(item);
+      const size = typeof item === 'string' ? length : JSON.stringify(item).length;
+      if (cuttable && (!target || size > target.size)) target = { item, itemPath, parent, key, length, size };
+    });
+    if (!target) break;
+
+    const { item, parent, key, length } = target;
+    const pathKey = target.itemPath.join('.');
+    const original = truncated.get(pathKey)?.original ?? length;
+    if (typeof item === 'string') {
+      const keep = Math.max(MIN_STRING_LENGTH, Math.floor(length / 2));
+      parent[key] = `${item.slice(0, keep - 1)}…`;
+      truncated.set(pathKey, { original, kept: keep, unit: 'chars' });
+    } else {
+      const keep = Math.max(MIN_COLLECTION_SIZE, Math.floor(length / 2));
+      parent[key] = Array.isArray(item) ? item.slice(0, keep) : Object.fromEntries(Object.entries(item).slice(0, keep));
+      truncated.set(pathKey, { original, kept: keep, unit: Array.isArray(item) ? 'items' : 'entries' });
+    }
+    text = toCompactText(value);
+  }
+  for (const [pathKey, { original, kept, unit }] of truncated) {
+    elided.push(`${pathKey} (truncated to ${kept} of ${original} ${unit})`);
+  }
+
+  if (elided.length > 0) {
+    text += `\n\nelided:\n${elided.map(item => `  - ${item}`).join('\n')}`
+      + '\n(call again with detail: "full" or a larger maxTokens to include them)';
+  }
+  return { text, value, elided };
+}
+
+module.exports = {
+  DETAIL_LEVELS,
+  estimateTokens,
+  toCompactText,
+  shapeResult,
+};
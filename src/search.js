@@ -0,0 +1,147 @@
+/**
+ * Ranked full-text search over stories and their component documentation
+ */
+
+// Relative importance of each searchable field
+const FIELD_WEIGHTS = {
+  title: 5,
+  name: 4,
+  component: 4,
+  tags: 3,
+  props: 2,
+  description: 1.5,
+  mdx: 1,
+};
+
+/**
+ * Split text into lowercase search tokens (also splits camelCase and PascalCase)
+ */
+function tokenize(text) {
+  if (!text) return [];
+  return String(text)
+    .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+    .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Levenshtein distance, stopping early once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How well a query token matches a document token (0 = no match, 1 = exact)
+ */
+function matchStrength(queryToken, token) {
+  if (token === queryToken) return 1;
+  if (token.startsWith(queryToken)) return 0.8;
+  if (queryToken.length >= 3 && token.includes(queryToken)) return 0.6;
+
+  // Typo tolerance: one edit for 4+ characters, two for 8+
+  const maxEdits = queryToken.length >= 8 ? 2 : queryToken.length >= 4 ? 1 : 0;
+  if (maxEdits > 0 && editDistance(queryToken, token, maxEdits) <= maxEdits) return 0.5;
+
+  return 0;
+}
+
+/**
+ * Build the searchable token sets for a document
+ *
+ * @param {Object} doc - { title, name, component, tags, props, description, mdx }
+ */
+function prepareDocument(doc) {
+  const fields = {};
+  for (const field of Object.keys(FIELD_WEIGHTS)) {
+    const value = doc[field];
+    const text = Array.isArray(value) ? value.join(' ') : value;
+    fields[field] = [...new Set(tokenize(text))];
+  }
+  return fields;
+}
+
+/**
+ * Rank documents against a free-text query
+ *
+ * @param {Array<Object>} documents - Items with searchable fields (see prepareDocument)
+ * @param {string} query - Free-text query
+ * @returns {Array<{ document: Object, score: number, matches: string[] }>} Best matches first
+ */
+function searchDocuments(documents, query, { limit = 20 } = {}) {
+  const queryTokens = [...new Set(tokenize(query))];
+  if (queryTokens.length === 0) return [];
+
+  const phrase = String(query).toLowerCase().trim();
+  const results = [];
+
+  for (const document of documents) {
+    const fields = prepareDocument(document);
+    const matchedFields = new Set();
+    let score = 0;
+    let matchedTokens = 0;
+
+    for (const queryToken of queryTokens) {
+      let best = 0;
+      for (const [field, tokens] of Object.entries(fields)) {
+        for (const token of tokens) {
+          const strength = matchStrength(queryToken, token);
+          if (strength === 0) continue;
+          const weighted = strength * FIELD_WEIGHTS[field];
+          if (weighted > best) best = weighted;
+          matchedFields.add(field);
+        }
+      }
+      if (best > 0) matchedTokens++;
+      score += best;
+    }
+
+    if (matchedTokens === 0) continue;
+
+    // Prefer documents matching every query word, and exact phrases in title/name
+    score *= matchedTokens / queryTokens.length;
+    if (matchedTokens === queryTokens.length) score += 2;
+    const titleText = `${document.title || ''} ${document.name || ''}`.toLowerCase();
+    if (phrase.length > 2 && titleText.includes(phrase)) score += 5;
+
+    results.push({ document, score: Math.round(score * 100) / 100, matches: [...matchedFields] });
+  }
+
+  return results
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Extract readable text from MDX (drops imports, exports and JSX tags)
+ */
+function mdxToText(content) {
+  return content
+    .replace(/^\s*(import|export)\s[\s\S]*?;?\s*$/gm, '')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/\{[^}]*\}/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+module.exports = {
+  tokenize,
+  searchDocuments,
+  mdxToText,
+};
@@ -5,6 +5,7 @@
  * - REST API at /api/*
  * - MCP Streamable HTTP at /mcp
  * - MCP SSE at /sse
+ * - MCP over stdio (`--stdio`)
  * 
  * Supports Storybook 8, 9, and 10
  */
@@ -12,15 +13,30 @@
 const express = require('express');
 const cors = require('cors');
 const { createProxyMiddleware } = require('http-proxy-middleware');
-const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
-const fetch = require('node-fetch');
+const crypto = require('crypto');
 const chalk = require('chalk');
+const { EventEmitter } = require('events');
+const readline = require('readline');
 const { v4: uuidv4 } = require('uuid');
 
-const { extractComponentDocs, extractStoryExamples, parseStoryFile, generateUsageExample } = require('./parsers');
-const { detectFramework } = require('./utils');
+const { generateUsageExample, resolveModulePath } = require('./parsers');
+const { detectFramework, encodeCursor, decodeCursor, decodeLimit, toList, globToRegExp } = require('./utils');
+const { loadCompodocJson } = require('./compodoc');
+const { loadCustomElementsManifest } = require('./custom-elements');
+const { loadStaticArtifacts, findStaticComponentDocs } = require('./static-build');
+const { createIndexer } = require('./indexer');
+const { superviseStorybook } = require('./storybook-process');
+const { createSourceHandlers, createSourceIndexer } = require('./sources');
+const { createPrompts } = require('./prompts');
+const { shapeResult } = require('./response-shaping');
+const { STORY_FIELDS, TOOLS, TOOL_DEFINITIONS, parseToolArguments } = require('./tool-schemas');
+const { searchDocuments, mdxToText } = require('./search');
+const { renderDocsMarkdown, renderLlmsTxt } = require('./markdown');
+
+// Default token budget for MCP tool results (config.maxTokens; 0 disables it)
+const DEFAULT_MAX_TOKENS = 8000;
 
 /**
  * MCP Tool Handlers - Core business logic shared between REST and MCP
@@ -28,268 +44,934 @@ const { detectFramework } = require('./utils');
 function createToolHandlers(config) {
   const { storybookUrl, projectDir, staticDir } = config;
   const framework = detectFramework(projectDir);
+  const indexer = config.indexer || createIndexer(config);
+  // ETags of cached results, for conditional REST requests
+  const resultETags = new WeakMap();
 
   /**
-   * Get index.json data - from static file or remote URL
+   * Get index.json data - from static file or remote URL (via the shared indexer)
    */
-  async function getIndexData() {
-    // Static mode: read from local file
-    if (staticDir) {
-      const indexPath = path.join(staticDir, 'index.json');
-      if (fs.existsSync(indexPath)) {
-        return JSON.parse(fs.readFileSync(indexPath, 'utf8'));
+  function getIndexData() {
+    return indexer.getIndex();
+  }
+
+  /**
+   * Serve a handler result from the indexer's result cache, which is keyed on the
+   * index hash, the loaded Compodoc / manifest / build metadata and the files read
+   */
+  async function cached(name, args = {}, compute) {
+    try {
+      await getIndexData();
+    } catch (error) {
+      return compute();
+    }
+    const refs = [loadCompodocJson(projectDir), loadCustomElementsManifest(projectDir), getStaticArtifacts()];
+    const { value, etag } = await indexer.cached(`${name}:${JSON.stringify(args)}`, refs, compute);
+    if (value && typeof value === 'object') resultETags.set(value, etag);
+    return value;
+  }
+
+  /**
+   * What to check when the story index cannot be loaded
+   */
+  function getIndexHint() {
+    if (staticDir) return `Make sure index.json exists in ${staticDir}`;
+    if (config.sourceOnly) return 'Make sure .storybook/main exports its `stories` as a static list';
+    return `Make sure Storybook is running at ${storybookUrl}`;
+  }
+
+  /**
+   * Docgen info and custom-elements.json harvested from the static build (static mode only)
+   */
+  function getStaticArtifacts() {
+    return staticDir ? loadStaticArtifacts(staticDir) : null;
+  }
+
+  /**
+   * Project file path to an index.json importPath (`./src/...`)
+   */
+  function toImportPath(filePath) {
+    return `./${path.relative(projectDir, filePath).split(path.sep).join('/')}`;
+  }
+
+  /**
+   * Resolve an MDX reference (`ButtonStories`, `ButtonStories.Primary` or a named import) to
+   * its stories file and story export (null for the meta)
+   */
+  function resolveMdxRef(mdxFilePath, imports, ref) {
+    const [local, member] = ref.split('.');
+    const imported = imports.find(item => item.local === local);
+    const filePath = imported ? resolveModulePath(mdxFilePath, imported.source) : null;
+    if (!filePath) return null;
+    if (imported.imported === '*') return { filePath, exportName: member || null };
+    return { filePath, exportName: imported.imported === 'default' ? null : imported.imported };
+  }
+
+  /**
+   * Parsed MDX page of a docs entry and the stories file it documents: `<Meta of={...} />`,
+   * or index.json `storiesImports`
+   */
+  function getEntryMdx(entry) {
+    if (!entry.importPath?.endsWith('.mdx')) return null;
+    const mdxFilePath = indexer.resolveImportPath(entry.importPath);
+    const mdx = indexer.getMdx(mdxFilePath);
+    if (!mdx) return null;
+    const meta = mdx.meta?.of ? resolveMdxRef(mdxFilePath, mdx.imports, mdx.meta.of) : null;
+    const storiesImport = meta ? toImportPath(meta.filePath) : entry.storiesImports?.[0];
+    return { mdx, mdxFilePath, storiesImport: storiesImport || null };
+  }
+
+  /**
+   * get_story_docs result for a stories file (via its first story), null when it is not indexed
+   */
+  async function getStoriesFileDocs(importPath) {
+    const data = await getIndexData();
+    const story = Object.values(data.entries || {}).find(entry => (
+      entry.importPath === importPath && entry.type !== 'docs'
+    ));
+    const result = story ? await handlers.getStoryDocs({ storyId: story.id }) : null;
+    return result?.success ? result.docs : null;
+  }
+
+  /**
+   * Resolve an MDX page's blocks against story data: stories get their args, usage and code,
+   * ArgTypes / Controls the component's props, Source its code and included files their blocks
+   */
+  async function resolveMdxBlocks({ mdx, mdxFilePath, storiesImport }) {
+    const fileDocs = new Map();
+    const docsFor = async (importPath) => {
+      if (!fileDocs.has(importPath)) fileDocs.set(importPath, await getStoriesFileDocs(importPath));
+      return fileDocs.get(importPath);
+    };
+    const resolveRef = async (ref) => {
+      const target = ref ? resolveMdxRef(mdxFilePath, mdx.imports, ref) : null;
+      const importPath = target ? toImportPath(target.filePath) : storiesImport;
+      const docs = importPath ? await docsFor(importPath) : null;
+      return { docs, exportName: target?.exportName };
+    };
+
+    const blocks = [];
+    for (const block of mdx.blocks) {
+      if (block.type === 'story') {
+        const { docs, exportName } = await resolveRef(block.of);
+        const example = exportName ? docs?.storyExamples?.[exportName] : null;
+        blocks.push(example ? {
+          ...block,
+          storyId: example.id,
+          name: example.name,
+          args: example.args,
+          usage: docs.usageExamples?.[exportName],
+          code: example.code,
+        } : block);
+      } else if (block.type === 'props') {
+        const { docs } = await resolveRef(block.of);
+        blocks.push(docs ? { ...block, component: docs.component, properties: docs.properties } : block);
+      } else if (block.type === 'source') {
+        if (block.codeRef) {
+          // `import code from './snippet.ts?raw'`
+          const imported = mdx.imports.find(item => item.local === block.codeRef && item.imported === 'default');
+          const filePath = imported?.source.endsWith('?raw') ? resolveModulePath(mdxFilePath, imported.source) : null;
+          const code = filePath ? indexer.readFile(filePath) : null;
+          if (code !== null) {
+            blocks.push({ type: 'code', language: block.language || path.extname(filePath).slice(1), code });
+          }
+        } else {
+          const { docs, exportName } = await resolveRef(block.of);
+          const code = exportName ? docs?.storyExamples?.[exportName]?.code : null;
+          if (code) blocks.push({ type: 'code', language: block.language || 'ts', code });
+        }
+      } else if (block.type === 'include') {
+        const imported = mdx.imports.find(item => item.local === block.name);
+        const filePath = imported ? resolveModulePath(mdxFilePath, imported.source) : null;
+        const included = filePath ? indexer.getMdx(filePath) : null;
+        if (included) blocks.push(...included.blocks.filter(item => ['heading', 'prose', 'code'].includes(item.type)));
+      } else {
+        blocks.push(block);
       }
-      throw new Error('index.json not found in static directory');
     }
-    
-    // Development mode: fetch from Storybook URL
-    const response = await fetch(`${storybookUrl}/index.json`);
-    if (!response.ok) {
-      throw new Error('Storybook is not ready');
+    return blocks;
+  }
+
+  /**
+   * Copy component docs (from source, Compodoc, a manifest or the build) onto a get_story_docs result
+   */
+  function applyComponentDocs(docs, componentDocs) {
+    docs.selector = componentDocs.selector;
+    docs.template = componentDocs.template;
+    docs.componentCode = componentDocs.componentCode;
+    docs.properties = componentDocs.properties;
+    docs.componentDescription = componentDocs.description;
+    if (componentDocs.methods) docs.methods = componentDocs.methods;
+    if (componentDocs.deprecated) {
+      docs.deprecated = true;
+      docs.deprecationMessage = componentDocs.deprecationMessage;
     }
-    return response.json();
+    if (componentDocs.docgen) docs.docgen = componentDocs.docgen;
+    if (componentDocs.events) docs.events = componentDocs.events;
+    if (componentDocs.slots) docs.slots = componentDocs.slots;
+    if (componentDocs.models) docs.models = componentDocs.models;
+    if (componentDocs.cssParts) docs.cssParts = componentDocs.cssParts;
+    if (componentDocs.cssProperties) docs.cssProperties = componentDocs.cssProperties;
+    if (componentDocs.source) docs.docsSource = componentDocs.source;
   }
 
-  return {
-    /**
-     * List all stories
-     */
-    async listStories(args = {}) {
-      try {
-        const data = await getIndexData();
-        let stories = Object.values(data.entries || {}).map(entry => ({
+  /**
+   * Collect searchable component/MDX text for a story file
+   */
+  function getFileSearchInfo(importPath) {
+    const filePath = indexer.resolveImportPath(importPath);
+    if (!filePath) return {};
+    if (filePath.endsWith('.mdx')) {
+      const mdx = indexer.readFile(filePath);
+      return mdx === null ? {} : { mdx: mdxToText(mdx) };
+    }
+    if (!fs.existsSync(filePath)) return {};
+
+    const storyExamples = indexer.getStoryExamples(filePath);
+    const component = storyExamples?.metaInfo?.component;
+    if (typeof component !== 'string') return {};
+
+    const info = { componentName: component, component: [component] };
+    const componentDocs = indexer.getComponentDocs(storyExamples.componentFilePath, {
+      compodoc: loadCompodocJson(projectDir),
+      customElements: loadCustomElementsManifest(projectDir),
+      componentName: component,
+      framework,
+    });
+    if (componentDocs) {
+      info.description = componentDocs.description;
+      info.props = Object.keys(componentDocs.properties || {});
+      if (componentDocs.selector) info.component.push(componentDocs.selector);
+    }
+    return info;
+  }
+
+  /**
+   * Component name of a story entry: `meta.component`, or the component file name from a static build
+   */
+  function getEntryComponent(entry) {
+    if (!entry.importPath || entry.importPath.endsWith('.mdx')) return null;
+    const storyFilePath = indexer.resolveImportPath(entry.importPath);
+    const component = indexer.getStoryExamples(storyFilePath)?.metaInfo?.component;
+    if (typeof component === 'string') return component;
+    if (entry.componentPath) return path.basename(entry.componentPath).replace(/\.[^.]+$/, '');
+    return null;
+  }
+
+  /**
+   * Group index entries by component name; MDX pages join the component of the stories file
+   * in their `<Meta of={...} />`, other entries without `meta.component` the component that
+   * shares their title
+   */
+  function collectComponents(data) {
+    const components = new Map();
+    const titleComponents = new Map();
+    const fileComponents = new Map();
+    const unassigned = [];
+    for (const entry of Object.values(data.entries || {})) {
+      const name = getEntryComponent(entry);
+      if (!name) {
+        unassigned.push(entry);
+        continue;
+      }
+      if (!components.has(name)) components.set(name, []);
+      components.get(name).push(entry);
+      if (!titleComponents.has(entry.title)) titleComponents.set(entry.title, name);
+      fileComponents.set(entry.importPath, name);
+    }
+    for (const entry of unassigned) {
+      const storiesImport = getEntryMdx(entry)?.storiesImport;
+      const name = fileComponents.get(storiesImport) || titleComponents.get(entry.title);
+      if (name) components.get(name).push(entry);
+    }
+    return components;
+  }
+
+  /**
+   * Find a component group by name (case-insensitive fallback)
+   */
+  function findComponent(components, name) {
+    if (components.has(name)) return name;
+    return [...components.keys()].find(component => component.toLowerCase() === String(name).toLowerCase()) || null;
+  }
+
+  /**
+   * Merge a component's stories, docs pages and component docs (one getStoryDocs per story file)
+   *
+   * @returns {Promise<{ component: Object, storyDocs: Map<string, Object> }|null>}
+   */
+  async function buildComponent(name) {
+    const data = await getIndexData();
+    const components = collectComponents(data);
+    const key = findComponent(components, name);
+    if (!key) return null;
+
+    const entries = components.get(key);
+    const storyEntries = entries.filter(entry => entry.type !== 'docs');
+    const docsEntries = entries.filter(entry => entry.type === 'docs');
+
+    const storyDocs = new Map();
+    for (const entry of storyEntries) {
+      if (storyDocs.has(entry.importPath)) continue;
+      const result = await handlers.getStoryDocs({ storyId: entry.id });
+      if (result.success) storyDocs.set(entry.importPath, result.docs);
+    }
+    const docs = storyDocs.values().next().value || {};
+
+    // Source path: resolved from the story file's import, or index.json's componentPath (Storybook 8+)
+    const firstStoryFile = storyEntries[0]?.importPath;
+    const componentFilePath = firstStoryFile
+      ? indexer.getStoryExamples(indexer.resolveImportPath(firstStoryFile))?.componentFilePath
+      : null;
+    const sourcePath = componentFilePath
+      ? `./${path.relative(projectDir, componentFilePath).split(path.sep).join('/')}`
+      : entries.find(entry => entry.componentPath)?.componentPath;
+
+    const findExample = (entry) => {
+      const examples = Object.entries(storyDocs.get(entry.importPath)?.storyExamples || {});
+      return examples.find(([, example]) => example.id === entry.id)
+        || examples.find(([, example]) => example.name === entry.name)
+        || [];
+    };
+
+    const component = {
+      name: key,
+      title: entries[0].title,
+      titles: [...new Set(entries.map(entry => entry.title))],
+      selector: docs.selector,
+      description: docs.componentDescription,
+      sourcePath,
+      storyFiles: [...new Set(storyEntries.map(entry => entry.importPath))],
+      properties: docs.properties,
+      methods: docs.methods,
+      events: docs.events,
+      slots: docs.slots,
+      models: docs.models,
+      cssParts: docs.cssParts,
+      cssProperties: docs.cssProperties,
+      deprecated: docs.deprecated,
+      deprecationMessage: docs.deprecationMessage,
+      docsSource: docs.docsSource,
+      imports: docs.imports,
+      usageExamples: docs.usageExamples,
+      stories: storyEntries.map((entry) => {
+        const [exportName, example] = findExample(entry);
+        return {
           id: entry.id,
           name: entry.name,
           title: entry.title,
-          kind: entry.kind || entry.title,
-          importPath: entry.importPath,
           tags: entry.tags || [],
-          type: entry.type,
-        }));
+          args: example?.args,
+          usage: exportName ? storyDocs.get(entry.importPath)?.usageExamples?.[exportName] : undefined,
+        };
+      }),
+      docsPages: [],
+    };
+
+    // MDX pages as rendered markdown, with their stories and props resolved
+    for (const entry of docsEntries) {
+      const page = entry.importPath?.endsWith('.mdx')
+        ? await handlers.getStoryDocs({ storyId: entry.id, format: 'markdown' })
+        : null;
+      component.docsPages.push({
+        id: entry.id,
+        name: entry.name,
+        importPath: entry.importPath,
+        ...(page?.success ? { content: page.markdown } : {}),
+      });
+    }
+
+    return { component, storyDocs, findExample };
+  }
+
+  const handlers = {
+    /**
+     * ETag of a result returned by one of these handlers (undefined for uncached results)
+     */
+    getETag(result) {
+      return result && typeof result === 'object' ? resultETags.get(result) : undefined;
+    },
 
-        if (args.kind) {
-          stories = stories.filter(s => s.kind === args.kind || s.title === args.kind);
+    /**
+     * List all stories
+     */
+    async listStories(args = {}) {
+      return cached('listStories', args, async () => {
+        // Filters: tags ('dev', '!autodocs'), type, title prefix or glob; then fields and paging
+        const tags = toList(args.tags);
+        const includeTags = tags.filter(tag => !tag.startsWith('!'));
+        const excludeTags = tags.filter(tag => tag.startsWith('!')).map(tag => tag.slice(1));
+        const fields = toList(args.fields);
+        const unknownFields = fields.filter(field => !STORY_FIELDS.includes(field));
+        if (unknownFields.length > 0) {
+          return { success: false, error: `Unknown fields: ${unknownFields.join(', ')} (available: ${STORY_FIELDS.join(', ')})` };
+        }
+        const offset = args.cursor ? decodeCursor(args.cursor) : 0;
+        if (offset === null) {
+          return { success: false, error: 'Invalid cursor' };
+        }
+        const limit = decodeLimit(args.limit);
+        if (limit === null) {
+          return { success: false, error: 'Invalid limit' };
         }
+        const titlePattern = args.title && /[*?]/.test(args.title) ? globToRegExp(args.title) : null;
+        const titlePrefix = args.title && !titlePattern ? String(args.title).toLowerCase() : null;
 
-        return {
-          success: true,
-          count: stories.length,
-          stories,
-        };
-      } catch (error) {
-        return { 
-          success: false, 
-          error: error.message,
-          hint: staticDir 
-            ? `Make sure index.json exists in ${staticDir}` 
-            : `Make sure Storybook is running at ${storybookUrl}`,
-        };
-      }
+        try {
+          const data = await getIndexData();
+          let stories = Object.values(data.entries || {}).map(entry => ({
+            id: entry.id,
+            name: entry.name,
+            title: entry.title,
+            kind: entry.kind || entry.title,
+            importPath: entry.importPath,
+            tags: entry.tags || [],
+            type: entry.type,
+          }));
+
+          if (args.kind) {
+            stories = stories.filter(s => s.kind === args.kind || s.title === args.kind);
+          }
+          if (args.type) {
+            stories = stories.filter(s => s.type === args.type);
+          }
+          if (includeTags.length > 0) {
+            stories = stories.filter(s => includeTags.some(tag => s.tags.includes(tag)));
+          }
+          if (excludeTags.length > 0) {
+            stories = stories.filter(s => !excludeTags.some(tag => s.tags.includes(tag)));
+          }
+          if (titlePattern) {
+            stories = stories.filter(s => titlePattern.test(s.title));
+          } else if (titlePrefix) {
+            stories = stories.filter(s => s.title.toLowerCase().startsWith(titlePrefix));
+          }
+
+          const total = stories.length;
+          const end = limit > 0 ? offset + limit : total;
+          stories = stories.slice(offset, end);
+          if (fields.length > 0) {
+            const keep = ['id', ...fields];
+            stories = stories.map(story => Object.fromEntries(keep.map(field => [field, story[field]])));
+          }
+
+          return {
+            success: true,
+            count: stories.length,
+            total,
+            stories,
+            ...(end < total ? { nextCursor: encodeCursor(end) } : {}),
+          };
+        } catch (error) {
+          return { 
+            success: false, 
+            error: error.message,
+            hint: getIndexHint(),
+          };
+        }
+      });
     },
 
     /**
      * Get story details
      */
     async getStory(args) {
-      try {
-        const { storyId } = args;
-        const data = await getIndexData();
-        const entry = data.entries?.[storyId];
-
-        if (!entry) {
-          return { success: false, error: `Story "${storyId}" not found` };
-        }
+      return cached('getStory', args, async () => {
+        try {
+          const { storyId } = args;
+          const data = await getIndexData();
+          const entry = data.entries?.[storyId];
+
+          if (!entry) {
+            return { success: false, error: `Story "${storyId}" not found` };
+          }
 
-        const story = {
-          id: entry.id,
-          name: entry.name,
-          title: entry.title,
-          kind: entry.kind || entry.title,
-          importPath: entry.importPath,
-          tags: entry.tags || [],
-          type: entry.type,
-        };
+          const story = {
+            id: entry.id,
+            name: entry.name,
+            title: entry.title,
+            kind: entry.kind || entry.title,
+            importPath: entry.importPath,
+            tags: entry.tags || [],
+            type: entry.type,
+          };
 
-        // Parse story file for additional details
-        if (entry.importPath) {
-          const cleanPath = entry.importPath.replace(/^\.\//, '');
-          const storyFilePath = path.join(projectDir, cleanPath);
-          const parsed = parseStoryFile(storyFilePath, storyId, projectDir);
-          if (parsed) {
-            story.component = parsed.component;
-            story.args = parsed.args || {};
-            story.argTypes = parsed.argTypes || {};
-            if (parsed.componentDocs) {
-              story.docs = parsed.componentDocs;
+          // Parse story file for additional details
+          if (entry.importPath) {
+            const storyFilePath = indexer.resolveImportPath(entry.importPath);
+            const parsed = indexer.getStoryData(storyFilePath, storyId);
+            if (parsed) {
+              story.component = parsed.component;
+              story.args = parsed.args || {};
+              story.initialArgs = parsed.initialArgs || story.args;
+              story.argTypes = parsed.argTypes || {};
+              for (const key of ['description', 'parameters', 'decorators', 'render', 'play']) {
+                if (parsed[key] !== undefined) story[key] = parsed[key];
+              }
+              if (parsed.componentDocs) {
+                story.docs = parsed.componentDocs;
+              }
             }
           }
-        }
 
-        return { success: true, story };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
+          return { success: true, story };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
     },
 
     /**
      * Get story documentation
      */
     async getStoryDocs(args) {
-      try {
-        const { storyId } = args;
-        const data = await getIndexData();
-        const entry = data.entries?.[storyId];
+      const { format = 'json', ...docsArgs } = args;
+      if (format === 'markdown') {
+        return cached('getStoryDocs', args, async () => {
+          const result = await handlers.getStoryDocs(docsArgs);
+          if (!result.success) return result;
+          const attached = result.docs.of ? await getStoriesFileDocs(result.docs.of) : null;
+          return { success: true, storyId: result.docs.storyId, markdown: renderDocsMarkdown(result.docs, attached) };
+        });
+      }
+      if (format !== 'json') {
+        return { success: false, error: `Unknown format "${format}" (available: json, markdown)` };
+      }
 
-        if (!entry) {
-          return { success: false, error: `Story "${storyId}" not found` };
-        }
+      return cached('getStoryDocs', docsArgs, async () => {
+        try {
+          const { storyId } = docsArgs;
+          const data = await getIndexData();
+          const entry = data.entries?.[storyId];
 
-        const docs = {
-          storyId,
-          title: entry.title,
-          name: entry.name,
-          type: entry.type,
-          framework,
-        };
+          if (!entry) {
+            return { success: false, error: `Story "${storyId}" not found` };
+          }
 
-        if (entry.importPath && !entry.importPath.endsWith('.mdx')) {
-          const cleanPath = entry.importPath.replace(/^\.\//, '');
-          const storyFilePath = path.join(projectDir, cleanPath);
-
-          if (fs.existsSync(storyFilePath)) {
-            const content = fs.readFileSync(storyFilePath, 'utf8');
-
-            // Get component info
-            const componentMatch = content.match(/component:\s*(\w+)/);
-            if (componentMatch) {
-              docs.component = componentMatch[1];
-
-              const importMatch = content.match(new RegExp(`import\\s*\\{[^}]*${componentMatch[1]}[^}]*\\}\\s*from\\s*['"]([^'"]+)['"]`));
-              if (importMatch) {
-                const storyDir = path.dirname(storyFilePath);
-                let componentFilePath = path.resolve(storyDir, importMatch[1]);
-                
-                const extensions = ['', '.ts', '.tsx', '.js', '.jsx', '.vue', '.svelte'];
-                for (const ext of extensions) {
-                  const fullPath = componentFilePath + ext;
-                  if (fs.existsSync(fullPath)) {
-                    const componentDocs = extractComponentDocs(fullPath);
-                    if (componentDocs) {
-                      docs.selector = componentDocs.selector;
-                      docs.template = componentDocs.template;
-                      docs.componentCode = componentDocs.componentCode;
-                      docs.properties = componentDocs.properties;
-                      docs.componentDescription = componentDocs.description;
-                    }
-                    break;
-                  }
-                }
-              }
-            }
+          const docs = {
+            storyId,
+            title: entry.title,
+            name: entry.name,
+            type: entry.type,
+            framework,
+          };
+
+          if (entry.importPath && !entry.importPath.endsWith('.mdx')) {
+            const storyFilePath = indexer.resolveImportPath(entry.importPath);
 
-            // Get story examples
-            const storyExamples = extractStoryExamples(storyFilePath);
+            // Get story examples (parsed from the CSF AST)
+            const storyExamples = indexer.getStoryExamples(storyFilePath);
             if (storyExamples) {
+              // Get component info
+              const component = storyExamples.metaInfo?.component;
+              if (typeof component === 'string') {
+                docs.component = component;
+
+                const componentDocs = indexer.getComponentDocs(storyExamples.componentFilePath, {
+                  compodoc: loadCompodocJson(projectDir),
+                  customElements: loadCustomElementsManifest(projectDir) || getStaticArtifacts()?.customElements,
+                  componentName: component,
+                  framework,
+                }) || findStaticComponentDocs(getStaticArtifacts(), {
+                  name: component,
+                  componentPath: entry.componentPath,
+                  title: entry.title,
+                });
+                if (componentDocs) applyComponentDocs(docs, componentDocs);
+              }
+
               docs.imports = storyExamples.imports;
               docs.metaCode = storyExamples.meta;
+              docs.meta = storyExamples.metaInfo;
               docs.storyExamples = storyExamples.stories;
 
-              if (docs.selector && storyExamples.stories) {
+              // Angular and web components use the selector / tag name; React, Vue and Svelte use the component name
+              const isTagName = framework === 'web-components' && docs.component?.includes('-');
+              const usageTag = docs.selector || (['react', 'vue', 'svelte'].includes(framework) || isTagName ? docs.component : null);
+              if (usageTag && storyExamples.stories) {
                 docs.usageExamples = {};
+                // Args as Storybook composes them: meta-level args (e.g. `onClick: fn()`) under the story's
+                const metaArgs = storyExamples.metaInfo?.args || {};
                 Object.entries(storyExamples.stories).forEach(([name, story]) => {
-                  docs.usageExamples[name] = generateUsageExample(docs.selector, story.args, name, framework);
+                  docs.usageExamples[name] = generateUsageExample(usageTag, { ...metaArgs, ...story.args }, name, framework, {
+                    events: docs.events,
+                    models: docs.models,
+                    properties: docs.properties,
+                  });
                 });
               }
+            } else if (staticDir) {
+              // Source tree absent (e.g. a CDN deployment): use metadata embedded in the build
+              const componentDocs = findStaticComponentDocs(getStaticArtifacts(), {
+                componentPath: entry.componentPath,
+                title: entry.title,
+              });
+              if (componentDocs) {
+                docs.component = componentDocs.displayName;
+                applyComponentDocs(docs, componentDocs);
+              }
+            }
+          } else if (entry.importPath && entry.importPath.endsWith('.mdx')) {
+            const page = getEntryMdx(entry);
+            if (page) {
+              if (page.storiesImport) {
+                docs.of = page.storiesImport;
+                const storiesDocs = await getStoriesFileDocs(page.storiesImport);
+                if (storiesDocs?.component) docs.component = storiesDocs.component;
+              }
+              docs.blocks = await resolveMdxBlocks(page);
             }
           }
-        } else if (entry.importPath && entry.importPath.endsWith('.mdx')) {
-          const cleanPath = entry.importPath.replace(/^\.\//, '');
-          const mdxPath = path.join(projectDir, cleanPath);
-          if (fs.existsSync(mdxPath)) {
-            docs.mdxContent = fs.readFileSync(mdxPath, 'utf8');
-          }
+
+          return { success: true, docs };
+        } catch (error) {
+          return { success: false, error: error.message };
         }
+      });
+    },
 
-        return { success: true, docs };
-      } catch (error) {
-        return { success: false, error: error.message };
-      }
+    /**
+     * Search stories by title, name, tags, component, props and MDX text
+     */
+    async searchStories(args = {}) {
+      return cached('searchStories', args, async () => {
+        try {
+          const { query, type } = args;
+          if (!query || !String(query).trim()) {
+            return { success: false, error: 'Missing search query' };
+          }
+          const limit = args.limit === undefined ? 20 : decodeLimit(args.limit);
+          if (!limit) {
+            return { success: false, error: 'Invalid limit' };
+          }
+
+          const data = await getIndexData();
+          const fileInfo = new Map();
+          const documents = Object.values(data.entries || {})
+            .filter(entry => !type || entry.type === type)
+            .map(entry => {
+              if (entry.importPath && !fileInfo.has(entry.importPath)) {
+                fileInfo.set(entry.importPath, getFileSearchInfo(entry.importPath));
+              }
+              return {
+                entry,
+                title: entry.title,
+                name: entry.name,
+                tags: entry.tags || [],
+                ...(fileInfo.get(entry.importPath) || {}),
+              };
+            });
+
+          const results = searchDocuments(documents, query, { limit })
+            .map(({ document, score, matches }) => ({
+              id: document.entry.id,
+              name: document.entry.name,
+              title: document.entry.title,
+              type: document.entry.type,
+              importPath: document.entry.importPath,
+              tags: document.entry.tags || [],
+              component: document.componentName,
+              score,
+              matches,
+            }));
+
+          return { success: true, query, count: results.length, results };
+        } catch (error) {
+          return {
+            success: false,
+            error: error.message,
+            hint: getIndexHint(),
+          };
+        }
+      });
     },
 
     /**
      * Get stories by kind
      */
     async getStoriesByKind(args) {
-      try {
-        const { kind } = args;
-        const data = await getIndexData();
-        const stories = Object.values(data.entries || {})
-          .filter(entry => entry.kind === kind || entry.title === kind)
-          .map(entry => ({
-            id: entry.id,
-            name: entry.name,
-            title: entry.title,
-            kind: entry.kind || entry.title,
-            type: entry.type,
+      return cached('getStoriesByKind', args, async () => {
+        try {
+          const { kind } = args;
+          const data = await getIndexData();
+          const stories = Object.values(data.entries || {})
+            .filter(entry => entry.kind === kind || entry.title === kind)
+            .map(entry => ({
+              id: entry.id,
+              name: entry.name,
+              title: entry.title,
+              kind: entry.kind || entry.title,
+              type: entry.type,
+            }));
+
+          return { success: true, count: stories.length, kind, stories };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    },
+
+    /**
+     * List components that have stories
+     */
+    async listComponents(args = {}) {
+      return cached('listComponents', args, async () => {
+        try {
+          const data = await getIndexData();
+          const components = [...collectComponents(data)].map(([name, entries]) => ({
+            name,
+            title: entries[0].title,
+            stories: entries.filter(entry => entry.type !== 'docs').map(entry => entry.id),
+            docs: entries.filter(entry => entry.type === 'docs').map(entry => entry.id),
           }));
 
-        return { success: true, count: stories.length, kind, stories };
+          return { success: true, count: components.length, components };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    },
+
+    /**
+     * Get a component by name (as used in `meta.component`): props, stories, docs pages,
+     * usage examples and source path merged
+     */
+    async getComponent(args) {
+      return cached('getComponent', args, async () => {
+        try {
+          const built = await buildComponent(args.name);
+          if (!built) {
+            return { success: false, error: `Component "${args.name}" not found` };
+          }
+          return { success: true, component: built.component };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    },
+
+    /**
+     * How to use a component: imports, required props and a usage snippet per story
+     */
+    async getComponentUsage(args) {
+      return cached('getComponentUsage', args, async () => {
+        try {
+          const { name, storyId } = args;
+          const built = await buildComponent(name);
+          if (!built) {
+            return { success: false, error: `Component "${name}" not found` };
+          }
+
+          const { component } = built;
+          const stories = component.stories.filter(story => !storyId || story.id === storyId);
+          if (storyId && stories.length === 0) {
+            return { success: false, error: `Story "${storyId}" not found for component "${component.name}"` };
+          }
+
+          const data = await getIndexData();
+          const examples = stories.map((story) => {
+            const [, example] = built.findExample(data.entries[story.id]);
+            return {
+              storyId: story.id,
+              name: story.name,
+              args: story.args,
+              usage: story.usage,
+              storyCode: example?.code,
+            };
+          });
+
+          return {
+            success: true,
+            component: component.name,
+            selector: component.selector,
+            sourcePath: component.sourcePath,
+            imports: component.imports,
+            requiredProps: Object.entries(component.properties || {})
+              .filter(([, prop]) => prop.required)
+              .map(([propName]) => propName),
+            examples,
+          };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    },
+
+    /**
+     * Markdown docs pages for llms.txt: one per component (its stories file) and per MDX page
+     *
+     * @param {Object} args - { docsUrl: page URL template with `{id}` }
+     * @returns {Promise<{ success: true, title: string, description: string, sections: Array<{ name, pages }> }>}
+     */
+    async getDocsPages(args = {}) {
+      return cached('getDocsPages', args, async () => {
+        const { docsUrl = '/api/docs/{id}?format=markdown' } = args;
+        try {
+          const data = await getIndexData();
+
+          // One page per file: its docs entry when there is one, else its first story
+          const pagesByFile = new Map();
+          for (const entry of Object.values(data.entries || {})) {
+            const key = entry.importPath || entry.id;
+            if (!pagesByFile.has(key) || (entry.type === 'docs' && pagesByFile.get(key).type !== 'docs')) {
+              pagesByFile.set(key, entry);
+            }
+          }
+
+          const sections = [{ name: 'Components', pages: [] }, { name: 'Docs', pages: [] }];
+          for (const entry of pagesByFile.values()) {
+            const [docsResult, markdownResult] = await Promise.all([
+              handlers.getStoryDocs({ storyId: entry.id }),
+              handlers.getStoryDocs({ storyId: entry.id, format: 'markdown' }),
+            ]);
+            if (!markdownResult.success) continue;
+            const isMdx = entry.importPath?.endsWith('.mdx');
+            sections[isMdx ? 1 : 0].pages.push({
+              title: isMdx ? entry.title : docsResult.docs.component || entry.title,
+              url: docsUrl.replace('{id}', encodeURIComponent(entry.id)),
+              description: docsResult.docs.componentDescription || docsResult.docs.description,
+              markdown: markdownResult.markdown,
+            });
+          }
+
+          const packageJson = indexer.readFile(projectDir && path.join(projectDir, 'package.json'));
+          let title = 'Storybook';
+          try {
+            title = (packageJson && JSON.parse(packageJson).name) || title;
+          } catch (error) {
+            // Keep the default title
+          }
+          const [components, docsPages] = sections.map(section => section.pages.length);
+          const description = `Component documentation from Storybook (${components} component pages, ${docsPages} docs pages) `
+            + 'with props, usage examples and stories.';
+          return { success: true, title, description, sections };
+        } catch (error) {
+          return { success: false, error: error.message };
+        }
+      });
+    },
+
+    /**
+     * llms.txt (links to a markdown page per component and docs page) or llms-full.txt (all pages inline)
+     *
+     * @param {Object} args - { full, docsUrl: page URL template with `{id}` }
+     */
+    async getLlmsTxt(args = {}) {
+      const { full = false, ...pagesArgs } = args;
+      const result = await handlers.getDocsPages(pagesArgs);
+      if (!result.success) return result;
+      return cached('getLlmsTxt', args, async () => ({ success: true, text: renderLlmsTxt(result, { full }) }));
+    },
+
+    /**
+     * Source of an MDX page Storybook indexed, by path relative to the project (never arbitrary files)
+     */
+    async getMdxSource(args = {}) {
+      const mdxPath = String(args.path || '').replace(/^\.\//, '');
+      try {
+        const data = await getIndexData();
+        const indexed = mdxPath.endsWith('.mdx') && Object.values(data.entries || {})
+          .some(entry => entry.importPath?.replace(/^\.\//, '') === mdxPath);
+        const text = indexed ? indexer.readFile(indexer.resolveImportPath(mdxPath)) : null;
+        if (text === null) {
+          return { success: false, error: `MDX page "${mdxPath}" not found` };
+        }
+        return { success: true, path: mdxPath, text };
       } catch (error) {
         return { success: false, error: error.message };
       }
     },
   };
+
+  return handlers;
+}
+
+/**
+ * Indexer and tool handlers over several Storybooks (`sources` from loadConfig), each with its own
+ * indexer and handlers
+ *
+ * @param {Array} sources - [{ id, title, type, storybookUrl, staticDir, projectDir, sourceOnly }]
+ * @param {Object} [options] - { pollInterval, cacheTtl, parsers, exclude } for the sources' indexers;
+ *   namespaced IDs in `exclude` (`design_button--primary`) apply to their own source
+ * @returns {{ indexer: EventEmitter, handlers: Object }}
+ */
+function createSources(sources, options = {}) {
+  const built = sources.map((source) => {
+    const exclude = (options.exclude || []).map(pattern =>
+      pattern.startsWith(`${source.id}_`) ? pattern.slice(source.id.length + 1) : pattern);
+    const sourceConfig = {
+      ...source,
+      pollInterval: options.pollInterval,
+      cacheTtl: options.cacheTtl,
+      parsers: options.parsers,
+      exclude,
+    };
+    const indexer = createIndexer(sourceConfig);
+    return { ...source, indexer, handlers: createToolHandlers({ ...sourceConfig, indexer }) };
+  });
+  return { indexer: createSourceIndexer(built), handlers: createSourceHandlers(built) };
 }
 
+// MCP protocol revisions this server speaks, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-11-25', '2025-06-18', '2025-03-26', '2024-11-05'];
+
 /**
  * MCP Protocol Handler
  */
 function createMCPHandler(config) {
-  const handlers = createToolHandlers(config);
+  const indexer = config.indexer || createIndexer(config);
+  const handlers = config.handlers || createToolHandlers({ ...config, indexer });
+  const prompts = createPrompts(handlers, config);
   const framework = detectFramework(config.projectDir);
+  const maxTokens = config.maxTokens ?? DEFAULT_MAX_TOKENS;
+  const detail = config.detail || 'standard';
+
+  // Server-initiated notifications ({ jsonrpc, method }), forwarded to clients by the transports
+  const notifications = new EventEmitter();
 
   // MCP Server Info
   const serverInfo = {
     name: 'storybook-mcp-api',
     version: '1.1.0',
-    protocolVersion: '2024-11-05',
+    protocolVersion: SUPPORTED_PROTOCOL_VERSIONS[0],
   };
 
-  // MCP Tools Definition
-  const tools = [
-    {
-      name: 'list_stories',
-      description: 'List all available Storybook stories',
-      inputSchema: {
-        type: 'object',
-        properties: {
-          kind: { type: 'string', description: 'Filter stories by kind/category' },
-        },
-      },
-    },
-    {
-      name: 'get_story',
-      description: 'Get detailed information about a specific story',
-      inputSchema: {
-        type: 'object',
-        properties: {
-          storyId: { type: 'string', description: 'The story ID (e.g., example-button--primary)' },
-        },
-        required: ['storyId'],
-      },
-    },
-    {
-      name: 'get_story_docs',
-      description: 'Get full documentation for a story including code examples',
-      inputSchema: {
-        type: 'object',
-        properties: {
-          storyId: { type: 'string', description: 'The story ID (e.g., example-button--docs)' },
-        },
-        required: ['storyId'],
-      },
-    },
-  ];
+  // Story kinds offered as an enum on list_stories (omitted for large Storybooks)
+  const MAX_KIND_ENUM = 50;
+
+  function getKinds() {
+    const entries = Object.values(indexer.getCurrentIndex()?.entries || {});
+    const kinds = [...new Set(entries.map(entry => entry.title).filter(Boolean))].sort();
+    return kinds.length > 0 && kinds.length <= MAX_KIND_ENUM ? kinds : null;
+  }
+
+  // Source IDs offered as an enum with several Storybooks; without, the `source` argument is not published
+  const sourceIds = handlers.sources?.map(source => source.id) || null;
+
+  // MCP Tools Definition (schemas in tool-schemas.js), with known kinds and sources offered as enums
+  function getTools() {
+    const kinds = getKinds();
+    return TOOL_DEFINITIONS.map((tool) => {
+      if (!tool.inputSchema.properties.kind && !tool.inputSchema.properties.source) return tool;
+      const properties = { ...tool.inputSchema.properties };
+      if (kinds && properties.kind) {
+        properties.kind = { ...properties.kind, enum: kinds };
+      }
+      if (properties.source && sourceIds) {
+        properties.source = { ...properties.source, enum: sourceIds };
+      } else {
+        delete properties.source;
+      }
+      return { ...tool, inputSchema: { ...tool.inputSchema, properties } };
+    });
+  }
+
+  /**
+   * Resource path of an indexed MDX page: relative to the project, prefixed by its source with several Storybooks
+   */
+  function getMdxResourcePath(entry) {
+    return [entry.source, entry.importPath.replace(/^\.\//, '')].filter(Boolean).join('/');
+  }
 
   // MCP Resources Definition
   const resources = [
@@ -301,99 +983,362 @@ function createMCPHandler(config) {
     },
   ];
 
+  // Every story, doc page, component and MDX file, addressable by URI
+  const resourceTemplates = [
+    {
+      uriTemplate: 'storybook://story/{storyId}',
+      name: 'Story',
+      description: 'Story details: args, parameters and source',
+      mimeType: 'application/json',
+    },
+    {
+      uriTemplate: 'storybook://docs/{storyId}',
+      name: 'Story documentation',
+      description: 'Full documentation for a story or docs page, including component props and code examples',
+      mimeType: 'application/json',
+    },
+    {
+      uriTemplate: 'storybook://component/{name}',
+      name: 'Component',
+      description: 'Component documentation (props, events, slots, usage) by component name',
+      mimeType: 'application/json',
+    },
+    {
+      uriTemplate: 'storybook://mdx/{path}',
+      name: 'MDX page',
+      description: sourceIds
+        ? 'Source of an MDX docs page, by source ID and path relative to its project (e.g. core/src/Intro.mdx)'
+        : 'Source of an MDX docs page, by path relative to the project',
+      mimeType: 'text/markdown',
+    },
+  ];
+
+  // Entries per resources/list page
+  const RESOURCE_PAGE_SIZE = 100;
+
+  /**
+   * Concrete resources: the story list, then every story, docs page, component and MDX file
+   */
+  async function listAllResources() {
+    // Storybook not reachable yet: only the story list itself
+    const storiesResult = await handlers.listStories({});
+    if (!storiesResult.success) {
+      return [...resources];
+    }
+    const componentsResult = await handlers.listComponents({});
+
+    const all = [...resources];
+    for (const story of storiesResult.stories) {
+      all.push({
+        uri: `storybook://${story.type === 'docs' ? 'docs' : 'story'}/${story.id}`,
+        name: `${story.title} / ${story.name}`,
+        mimeType: 'application/json',
+      });
+    }
+    for (const component of componentsResult.components || []) {
+      all.push({
+        uri: `storybook://component/${encodeURIComponent(component.name)}`,
+        name: component.name,
+        description: `${component.title} component documentation`,
+        mimeType: 'application/json',
+      });
+    }
+    const mdxPaths = new Set(storiesResult.stories
+      .filter(story => story.importPath?.endsWith('.mdx'))
+      .map(getMdxResourcePath));
+    for (const mdxPath of mdxPaths) {
+      all.push({
+        uri: `storybook://mdx/${mdxPath}`,
+        name: mdxPath,
+        mimeType: 'text/markdown',
+      });
+    }
+    return all;
+  }
+
+  /**
+   * Read a resource by URI; returns null when it does not exist
+   */
+  async function readResource(uri) {
+    const match = String(uri).match(/^storybook:\/\/(stories|story|docs|component|mdx)(?:\/(.+))?$/);
+    if (!match || (match[1] === 'stories') !== !match[2]) return null;
+    const [, kind, rawArg] = match;
+    // Malformed percent-encoding names no resource
+    let arg;
+    try {
+      arg = rawArg && decodeURIComponent(rawArg);
+    } catch (error) {
+      return null;
+    }
+    const json = value => ({ uri, mimeType: 'application/json', text: JSON.stringify(value, null, 2) });
+
+    switch (kind) {
+      case 'stories':
+        return json(await handlers.listStories({}));
+      case 'story': {
+        const result = await handlers.getStory({ storyId: arg });
+        return result.success ? json(result.story) : null;
+      }
+      case 'docs': {
+        const result = await handlers.getStoryDocs({ storyId: arg });
+        return result.success ? json(result.docs) : null;
+      }
+      case 'component': {
+        const result = await handlers.getComponent({ name: arg });
+        return result.success ? json(result.component) : null;
+      }
+      case 'mdx': {
+        // Only MDX files Storybook indexed, never arbitrary project files
+        const result = await handlers.getMdxSource({ path: arg });
+        return result.success ? { uri, mimeType: 'text/markdown', text: result.text } : null;
+      }
+      default:
+        return null;
+    }
+  }
+
+  // Resource URI -> IDs of the sessions subscribed to it
+  const subscriptions = new Map();
+
+  /**
+   * URIs of the resources an index or file change affects
+   */
+  async function getUpdatedUris({ added, removed, changed }) {
+    const uris = new Set();
+    if (added.length > 0 || removed.length > 0 || changed.length > 0) {
+      uris.add('storybook://stories');
+    }
+    const entries = indexer.getCurrentIndex()?.entries || {};
+    for (const storyId of changed) {
+      uris.add(`storybook://story/${storyId}`);
+      uris.add(`storybook://docs/${storyId}`);
+      if (entries[storyId]?.importPath?.endsWith('.mdx')) {
+        uris.add(`storybook://mdx/${getMdxResourcePath(entries[storyId])}`);
+      }
+    }
+    if ([...subscriptions.keys()].some(uri => uri.startsWith('storybook://component/'))) {
+      const { components = [] } = await handlers.listComponents({});
+      for (const component of components) {
+        if (component.stories.some(storyId => changed.includes(storyId))) {
+          uris.add(`storybook://component/${encodeURIComponent(component.name)}`);
+        }
+      }
+    }
+    return uris;
+  }
+
+  /**
+   * Send notifications/resources/updated to the sessions subscribed to changed resources
+   */
+  async function notifySubscribers(change) {
+    for (const uri of await getUpdatedUris(change)) {
+      const sessionIds = subscriptions.get(uri);
+      if (sessionIds && sessionIds.size > 0) {
+        notifications.emit('notification', {
+          jsonrpc: '2.0',
+          method: 'notifications/resources/updated',
+          params: { uri },
+        }, [...sessionIds]);
+      }
+    }
+  }
+
+  /**
+   * Drop a closed session's subscriptions
+   */
+  function closeSession(sessionId) {
+    for (const [uri, sessionIds] of subscriptions) {
+      sessionIds.delete(sessionId);
+      if (sessionIds.size === 0) subscriptions.delete(uri);
+    }
+  }
+
+  // Tell clients when stories come and go (new resources, new list_stories kinds)
+  let lastTools = JSON.stringify(getTools());
+  indexer.on('change', (change) => {
+    const { added, removed } = change;
+    if (added.length > 0 || removed.length > 0) {
+      notifications.emit('notification', { jsonrpc: '2.0', method: 'notifications/resources/list_changed' });
+    }
+    const tools = JSON.stringify(getTools());
+    if (tools !== lastTools) {
+      lastTools = tools;
+      notifications.emit('notification', { jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+    }
+    if (subscriptions.size > 0) {
+      notifySubscribers(change).catch(() => {});
+    }
+  });
+
   /**
    * Handle MCP JSON-RPC request
+   *
+   * @param {Object} request - JSON-RPC message
+   * @param {Object} [context] - { sessionId } of the transport session, needed for subscriptions
    */
-  async function handleRequest(request) {
+  async function handleRequest(request, context = {}) {
     const { method, params, id } = request;
 
     switch (method) {
       case 'initialize':
+        // Answer with the client's version when we speak it, otherwise our latest
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: {
+            protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(params?.protocolVersion)
+              ? params.protocolVersion
+              : serverInfo.protocolVersion,
+            capabilities: {
+              tools: { listChanged: indexer.watching },
+              resources: { subscribe: indexer.watching, listChanged: indexer.watching },
+              prompts: { listChanged: false },
+            },
+            serverInfo: {
+              name: serverInfo.name,
+              version: serverInfo.version,
+            },
+          },
+        };
+
+      case 'initialized':
+      case 'notifications/initialized':
+        return { jsonrpc: '2.0', id, result: {} };
+
+      case 'tools/list':
+        return {
+          jsonrpc: '2.0',
+          id,
+          result: { tools: getTools() },
+        };
+
+      case 'tools/call': {
+        const tool = TOOLS.find(candidate => candidate.name === params?.name);
+        if (!tool) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: -32601, message: `Unknown tool: ${params?.name}` },
+          };
+        }
+
+        // Invalid arguments and failed lookups are tool errors the model can act on
+        const toolError = text => ({ jsonrpc: '2.0', id, result: { content: [{ type: 'text', text }], isError: true } });
+        const parsed = parseToolArguments(tool, params.arguments);
+        if (!parsed.success) {
+          return toolError(parsed.error);
+        }
+        const { maxTokens: callMaxTokens, detail: callDetail, ...args } = parsed.data;
+        const result = await handlers[tool.handler](args);
+        if (!result.success) {
+          return toolError([result.error, result.hint].filter(Boolean).join('\n'));
+        }
+
+        const shaped = shapeResult(result, {
+          detail: callDetail || detail,
+          maxTokens: callMaxTokens ?? maxTokens,
+        });
         return {
           jsonrpc: '2.0',
           id,
           result: {
-            protocolVersion: serverInfo.protocolVersion,
-            capabilities: {
-              tools: { listChanged: false },
-              resources: { subscribe: false, listChanged: false },
-            },
-            serverInfo: {
-              name: serverInfo.name,
-              version: serverInfo.version,
-            },
+            content: [{ type: 'text', text: shaped.text }],
+            structuredContent: shaped.elided.length > 0 ? { ...shaped.value, elided: shaped.elided } : shaped.value,
           },
         };
+      }
 
-      case 'initialized':
-        return { jsonrpc: '2.0', id, result: {} };
-
-      case 'tools/list':
+      case 'resources/list': {
+        const offset = params?.cursor ? decodeCursor(params.cursor) : 0;
+        if (offset === null) {
+          return { jsonrpc: '2.0', id, error: { code: -32602, message: 'Invalid cursor' } };
+        }
+        const all = await listAllResources();
+        const next = offset + RESOURCE_PAGE_SIZE;
         return {
           jsonrpc: '2.0',
           id,
-          result: { tools },
+          result: {
+            resources: all.slice(offset, next),
+            ...(next < all.length ? { nextCursor: encodeCursor(next) } : {}),
+          },
         };
+      }
 
-      case 'tools/call':
-        const { name, arguments: args } = params;
-        let result;
-
-        switch (name) {
-          case 'list_stories':
-            result = await handlers.listStories(args || {});
-            break;
-          case 'get_story':
-            result = await handlers.getStory(args);
-            break;
-          case 'get_story_docs':
-            result = await handlers.getStoryDocs(args);
-            break;
-          default:
-            return {
-              jsonrpc: '2.0',
-              id,
-              error: { code: -32601, message: `Unknown tool: ${name}` },
-            };
-        }
-
+      case 'resources/templates/list':
         return {
           jsonrpc: '2.0',
           id,
-          result: {
-            content: [{ type: 'text', text: JSON.stringify(result, null, 2) }],
-          },
+          result: { resourceTemplates },
         };
 
-      case 'resources/list':
+      case 'resources/read': {
+        const { uri } = params || {};
+        const content = await readResource(uri);
+        if (!content) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: -32002, message: `Resource not found: ${uri}`, data: { uri } },
+          };
+        }
         return {
           jsonrpc: '2.0',
           id,
-          result: { resources },
+          result: { contents: [content] },
         };
+      }
 
-      case 'resources/read':
-        const { uri } = params;
-        if (uri === 'storybook://stories') {
-          const storiesResult = await handlers.listStories({});
+      case 'resources/subscribe':
+      case 'resources/unsubscribe': {
+        const { uri } = params || {};
+        if (!context.sessionId) {
           return {
             jsonrpc: '2.0',
             id,
-            result: {
-              contents: [{
-                uri,
-                mimeType: 'application/json',
-                text: JSON.stringify(storiesResult, null, 2),
-              }],
-            },
+            error: { code: -32600, message: 'Resource subscriptions require a session (Mcp-Session-Id or an /sse connection)' },
+          };
+        }
+        if (method === 'resources/unsubscribe') {
+          subscriptions.get(uri)?.delete(context.sessionId);
+          if (subscriptions.get(uri)?.size === 0) subscriptions.delete(uri);
+          return { jsonrpc: '2.0', id, result: {} };
+        }
+        // Reading also parses the story file, so edits to its component are tracked
+        if (!(await readResource(uri))) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: -32002, message: `Resource not found: ${uri}`, data: { uri } },
           };
         }
+        if (!subscriptions.has(uri)) subscriptions.set(uri, new Set());
+        subscriptions.get(uri).add(context.sessionId);
+        return { jsonrpc: '2.0', id, result: {} };
+      }
+
+      case 'prompts/list':
         return {
           jsonrpc: '2.0',
           id,
-          error: { code: -32602, message: `Unknown resource: ${uri}` },
+          result: { prompts: prompts.list() },
         };
 
+      case 'prompts/get':
+        try {
+          return {
+            jsonrpc: '2.0',
+            id,
+            result: await prompts.get(params?.name, params?.arguments || {}),
+          };
+        } catch (error) {
+          return {
+            jsonrpc: '2.0',
+            id,
+            error: { code: error.code || -32603, message: error.message },
+          };
+        }
+
       case 'ping':
         return { jsonrpc: '2.0', id, result: {} };
 
@@ -409,60 +1354,409 @@ function createMCPHandler(config) {
   return {
     handleRequest,
     serverInfo,
-    tools,
+    get tools() {
+      return getTools();
+    },
     resources,
+    resourceTemplates,
+    prompts,
     framework,
+    notifications,
+    closeSession,
+    indexer,
+  };
+}
+
+/**
+ * Write a JSON-RPC message as an SSE event
+ */
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Open a Server-Sent Events response
+ */
+function openEventStream(res) {
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
+  res.flushHeaders();
+}
+
+/**
+ * MCP Streamable HTTP transport, mounted at /mcp
+ *
+ * - POST: JSON-RPC messages (single or batched); answered as JSON, or as an SSE stream
+ *   when the client only accepts text/event-stream. `initialize` starts a session
+ *   and returns its `Mcp-Session-Id`.
+ * - GET: with `Accept: text/event-stream`, a stream of server notifications
+ *   (list_changed, ...); otherwise discovery JSON.
+ * - DELETE: ends a session.
+ */
+function createMCPRouter(mcpHandler) {
+  const router = express.Router();
+
+  // Mcp-Session-Id -> { protocolVersion, createdAt }
+  const sessions = new Map();
+  // Once a session was issued, requests other than initialize must name theirs
+  let sessionsIssued = false;
+  // Open GET streams: { res, sessionId }
+  const streams = new Set();
+
+  // Broadcast, or only to the sessions a notification is addressed to
+  mcpHandler.notifications.on('notification', (notification, sessionIds) => {
+    streams.forEach((stream) => {
+      if (!sessionIds || sessionIds.includes(stream.sessionId)) writeEvent(stream.res, notification);
+    });
+  });
+
+  function sendError(res, status, code, message, id = null) {
+    res.status(status).json({ jsonrpc: '2.0', id, error: { code, message } });
+  }
+
+  /**
+   * Check the Mcp-Session-Id and MCP-Protocol-Version headers; sends an error and returns false when invalid.
+   * The protocol version must match the one negotiated for the session.
+   */
+  function checkHeaders(req, res, { isInitialize = false } = {}) {
+    const sessionId = req.get('mcp-session-id');
+    if (sessionId && !sessions.has(sessionId)) {
+      sendError(res, 404, -32001, 'Session not found');
+      return false;
+    }
+    if (!sessionId && sessionsIssued && !isInitialize) {
+      sendError(res, 400, -32600, 'Missing Mcp-Session-Id header');
+      return false;
+    }
+    const protocolVersion = req.get('mcp-protocol-version');
+    if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+      sendError(res, 400, -32600, `Unsupported protocol version: ${protocolVersion} (supported: ${SUPPORTED_PROTOCOL_VERSIONS.join(', ')})`);
+      return false;
+    }
+    const negotiated = sessionId && sessions.get(sessionId).protocolVersion;
+    if (protocolVersion && negotiated && protocolVersion !== negotiated) {
+      sendError(res, 400, -32600, `MCP-Protocol-Version ${protocolVersion} does not match the session's ${negotiated}`);
+      return false;
+    }
+    return true;
+  }
+
+  async function handleMessage(message, sessionId) {
+    try {
+      return await mcpHandler.handleRequest(message, { sessionId });
+    } catch (error) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32603, message: error.message } };
+    }
+  }
+
+  // POST /mcp - JSON-RPC messages
+  router.post('/', async (req, res) => {
+    const isBatch = Array.isArray(req.body);
+    const messages = isBatch ? req.body : [req.body];
+    if (messages.length === 0 || messages.some(message => !message || typeof message !== 'object' || message.jsonrpc !== '2.0')) {
+      return sendError(res, 400, -32600, 'Invalid Request');
+    }
+    const isInitialize = messages.some(message => message.method === 'initialize');
+    if (isInitialize && isBatch) {
+      return sendError(res, 400, -32600, 'initialize must not be part of a batch');
+    }
+    if (!checkHeaders(req, res, { isInitialize })) return;
+
+    // Notifications and client responses get no reply
+    const responses = [];
+    for (const message of messages) {
+      if (!message.method) continue;
+      const response = await handleMessage(message, req.get('mcp-session-id'));
+      if (message.id !== undefined && message.id !== null) responses.push(response);
+    }
+
+    if (isInitialize && responses[0]?.result) {
+      const sessionId = uuidv4();
+      sessions.set(sessionId, { protocolVersion: responses[0].result.protocolVersion, createdAt: Date.now() });
+      sessionsIssued = true;
+      res.setHeader('Mcp-Session-Id', sessionId);
+    }
+
+    if (responses.length === 0) {
+      return res.status(202).end();
+    }
+
+    const accept = req.get('accept') || '';
+    if (accept.includes('text/event-stream') && !accept.includes('application/json')) {
+      openEventStream(res);
+      responses.forEach(response => writeEvent(res, response));
+      return res.end();
+    }
+    res.json(isBatch ? responses : responses[0]);
+  });
+
+  // GET /mcp - Notification stream, or server info (for discovery)
+  router.get('/', (req, res) => {
+    if (!(req.get('accept') || '').includes('text/event-stream')) {
+      return res.json({
+        name: mcpHandler.serverInfo.name,
+        version: mcpHandler.serverInfo.version,
+        protocolVersion: mcpHandler.serverInfo.protocolVersion,
+        supportedProtocolVersions: SUPPORTED_PROTOCOL_VERSIONS,
+        description: 'Storybook MCP API Server - Streamable HTTP Transport',
+        framework: mcpHandler.framework,
+        transport: 'streamable-http',
+        endpoint: 'POST /mcp',
+        tools: mcpHandler.tools,
+        resources: mcpHandler.resources.map(r => ({ uri: r.uri, name: r.name })),
+        resourceTemplates: mcpHandler.resourceTemplates.map(t => ({ uriTemplate: t.uriTemplate, name: t.name })),
+        prompts: mcpHandler.prompts.list().map(p => ({ name: p.name, description: p.description })),
+      });
+    }
+    if (!checkHeaders(req, res)) return;
+
+    openEventStream(res);
+    const stream = { res, sessionId: req.get('mcp-session-id') };
+    streams.add(stream);
+
+    // Keep-alive ping every 30 seconds
+    const pingInterval = setInterval(() => res.write(': ping\n\n'), 30000);
+    req.on('close', () => {
+      clearInterval(pingInterval);
+      streams.delete(stream);
+    });
+  });
+
+  // DELETE /mcp - End a session
+  router.delete('/', (req, res) => {
+    const sessionId = req.get('mcp-session-id');
+    if (!sessionId) {
+      return sendError(res, 400, -32600, 'Missing Mcp-Session-Id header');
+    }
+    if (!sessions.has(sessionId)) {
+      return sendError(res, 404, -32001, 'Session not found');
+    }
+
+    sessions.delete(sessionId);
+    mcpHandler.closeSession(sessionId);
+    streams.forEach((stream) => {
+      if (stream.sessionId === sessionId) stream.res.end();
+    });
+    res.status(204).end();
+  });
+
+  return router;
+}
+
+/**
+ * MCP stdio transport, for clients that spawn the server: newline-delimited JSON-RPC
+ * messages (single or batched) on `input`, responses and notifications on `output`.
+ * The client on the other end is a single session.
+ *
+ * @returns {{ closed: Promise<void>, close: Function }} `closed` settles once input ends and pending requests are answered
+ */
+function createStdioTransport(mcpHandler, { input = process.stdin, output = process.stdout } = {}) {
+  const sessionId = 'stdio';
+  const pending = new Set();
+  const send = message => output.write(`${JSON.stringify(message)}\n`);
+
+  const onNotification = (notification, sessionIds) => {
+    if (!sessionIds || sessionIds.includes(sessionId)) send(notification);
+  };
+  mcpHandler.notifications.on('notification', onNotification);
+
+  async function handleMessage(message) {
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return { jsonrpc: '2.0', id: message?.id ?? null, error: { code: -32600, message: 'Invalid Request' } };
+    }
+    // Notifications and client responses get no reply
+    if (!message.method) return null;
+    try {
+      const response = await mcpHandler.handleRequest(message, { sessionId });
+      return message.id === undefined || message.id === null ? null : response;
+    } catch (error) {
+      return { jsonrpc: '2.0', id: message.id, error: { code: -32603, message: error.message } };
+    }
+  }
+
+  async function handleLine(line) {
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
+      return;
+    }
+    if (Array.isArray(message)) {
+      const responses = [];
+      for (const item of message) responses.push(await handleMessage(item));
+      const replies = responses.filter(Boolean);
+      if (replies.length > 0) send(replies);
+      return;
+    }
+    const response = await handleMessage(message);
+    if (response) send(response);
+  }
+
+  // Requests run concurrently; clients match responses by id
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  lines.on('line', (line) => {
+    if (!line.trim()) return;
+    const task = handleLine(line).finally(() => pending.delete(task));
+    pending.add(task);
+  });
+
+  const closed = new Promise(resolve => lines.once('close', resolve))
+    .then(() => Promise.all(pending))
+    .then(() => {
+      mcpHandler.notifications.off('notification', onNotification);
+      mcpHandler.closeSession(sessionId);
+    });
+
+  return {
+    closed,
+    close: () => lines.close(),
+  };
+}
+
+/**
+ * Send a handler result with ETag (from `handlers`) / Cache-Control headers, answering 304 when the client's
+ * copy is current; `body` ({ type, field }) sends one field of the result as text instead of the JSON
+ */
+function sendResult(handlers, req, res, result, errorStatus = 503, body = null) {
+  if (!result.success) {
+    res.set('Cache-Control', 'no-store');
+    return res.status(errorStatus).json(result);
+  }
+
+  // Clients may keep responses but must revalidate; revalidation is a cheap 304
+  res.set('Cache-Control', 'no-cache');
+  const etag = handlers.getETag(result);
+  if (etag) {
+    res.set('ETag', etag);
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  }
+  if (body) {
+    return res.type(`${body.type}; charset=utf-8`).send(result[body.field]);
+  }
+  res.json(result);
+}
+
+/**
+ * REST routes over a set of tool handlers (mounted at /api, and at /api/:source per Storybook)
+ */
+function createRestRouter(handlers) {
+  const router = express.Router();
+
+  // Get all stories
+  router.get('/stories', async (req, res) => {
+    const result = await handlers.listStories(req.query);
+    const isBadRequest = /^Invalid (cursor|limit)$/.test(result.error) || /^Unknown (fields|source)/.test(result.error);
+    sendResult(handlers, req, res, result, isBadRequest ? 400 : 503);
+  });
+
+  // Get specific story
+  router.get('/stories/:storyId', async (req, res) => {
+    const result = await handlers.getStory({ storyId: req.params.storyId });
+    sendResult(handlers, req, res, result, result.error?.includes('not found') ? 404 : 503);
+  });
+
+  // Get story documentation
+  router.get('/docs/:storyId', async (req, res) => {
+    const { format } = req.query;
+    const result = await handlers.getStoryDocs({ storyId: req.params.storyId, ...(format ? { format } : {}) });
+    const errorStatus = result.error?.includes('not found') ? 404 : result.error?.startsWith('Unknown format') ? 400 : 503;
+    sendResult(handlers, req, res, result, errorStatus, format === 'markdown' ? { type: 'text/markdown', field: 'markdown' } : null);
+  });
+
+  // Get stories by kind
+  router.get('/stories/kind/:kind', async (req, res) => {
+    const result = await handlers.getStoriesByKind({ kind: req.params.kind });
+    sendResult(handlers, req, res, result);
+  });
+
+  // List components
+  router.get('/components', async (req, res) => {
+    const result = await handlers.listComponents({ source: req.query.source });
+    sendResult(handlers, req, res, result, result.error?.startsWith('Unknown source') ? 400 : 503);
+  });
+
+  // Get a component with its stories, docs and usage
+  router.get('/components/:name', async (req, res) => {
+    const result = await handlers.getComponent({ name: req.params.name });
+    sendResult(handlers, req, res, result, result.error?.includes('not found') ? 404 : 503);
+  });
+
+  // Get usage snippets for a component
+  router.get('/components/:name/usage', async (req, res) => {
+    const result = await handlers.getComponentUsage({ name: req.params.name, storyId: req.query.storyId });
+    sendResult(handlers, req, res, result, result.error?.includes('not found') ? 404 : 503);
+  });
+
+  // Search stories
+  router.get('/search', async (req, res) => {
+    const result = await handlers.searchStories({
+      query: req.query.q || req.query.query,
+      limit: req.query.limit,
+      type: req.query.type,
+      source: req.query.source,
+    });
+    const isBadRequest = ['Missing search query', 'Invalid limit'].includes(result.error) || result.error?.startsWith('Unknown source');
+    sendResult(handlers, req, res, result, isBadRequest ? 400 : 503);
+  });
+
+  return router;
+}
+
+/**
+ * Middleware requiring `Authorization: Bearer <token>` with one of the configured tokens
+ */
+function createAuthMiddleware(auth) {
+  const tokens = [].concat(auth.token).map(token => Buffer.from(token));
+  return (req, res, next) => {
+    const match = /^Bearer\s+(.+)$/i.exec(req.get('authorization') || '');
+    const given = match && Buffer.from(match[1].trim());
+    if (given && tokens.some(token => token.length === given.length && crypto.timingSafeEqual(token, given))) {
+      return next();
+    }
+    res.set('WWW-Authenticate', 'Bearer');
+    res.status(401).json({ success: false, error: 'Unauthorized' });
   };
 }
 
 /**
  * Create and configure the Express app
+ *
+ * `config.auth` ({ token }) puts the API, MCP and llms.txt endpoints behind a bearer token;
+ * the proxied or static Storybook stays open.
  */
 function createApp(config) {
   const app = express();
   const { storybookUrl, projectDir, version } = config;
   const framework = detectFramework(projectDir);
-  const handlers = createToolHandlers(config);
-  const mcpHandler = createMCPHandler(config);
+  const indexer = config.indexer || createIndexer(config);
+  const handlers = config.handlers || createToolHandlers({ ...config, indexer });
+  const mcpHandler = createMCPHandler({ ...config, indexer, handlers });
 
   // Store active SSE sessions
   const sseSessions = new Map();
 
-  app.use(cors());
+  // Push notifications to connected SSE clients (list_changed to all, resource updates to subscribers)
+  mcpHandler.notifications.on('notification', (notification, sessionIds) => {
+    for (const [sessionId, session] of sseSessions) {
+      if (!sessionIds || sessionIds.includes(sessionId)) writeEvent(session.res, notification);
+    }
+  });
+
+  app.use(cors({ exposedHeaders: ['Mcp-Session-Id'] }));
   app.use(express.json());
+  if (config.auth) {
+    app.use(['/api', '/mcp', '/sse', '/llms.txt', '/llms-full.txt'], createAuthMiddleware(config.auth));
+  }
 
   // ============================================
   // MCP Streamable HTTP Transport (/mcp)
   // ============================================
   
-  // POST /mcp - Handle MCP JSON-RPC requests
-  app.post('/mcp', async (req, res) => {
-    try {
-      const response = await mcpHandler.handleRequest(req.body);
-      res.json(response);
-    } catch (error) {
-      res.status(500).json({
-        jsonrpc: '2.0',
-        id: req.body?.id,
-        error: { code: -32603, message: error.message },
-      });
-    }
-  });
-
-  // GET /mcp - Return server info (for discovery)
-  app.get('/mcp', (req, res) => {
-    res.json({
-      name: mcpHandler.serverInfo.name,
-      version: mcpHandler.serverInfo.version,
-      protocolVersion: mcpHandler.serverInfo.protocolVersion,
-      description: 'Storybook MCP API Server - Streamable HTTP Transport',
-      framework: mcpHandler.framework,
-      transport: 'streamable-http',
-      endpoint: 'POST /mcp',
-      tools: mcpHandler.tools.map(t => ({ name: t.name, description: t.description })),
-      resources: mcpHandler.resources.map(r => ({ uri: r.uri, name: r.name })),
-    });
-  });
+  app.use('/mcp', createMCPRouter(mcpHandler));
 
   // ============================================
   // MCP SSE Transport (/sse)
@@ -481,7 +1775,7 @@ function createApp(config) {
     // Send endpoint event with absolute messages URL
     const protocol = req.protocol || 'http';
     const host = req.get('host') || `localhost:${config.port || 6006}`;
-    const messagesUrl = `${protocol}://${host}/sse?sessionId=${sessionId}`;
+    const messagesUrl = `${protocol}://${host}/sse/messages?sessionId=${sessionId}`;
     res.write(`event: endpoint\ndata: ${messagesUrl}\n\n`);
 
     // Store session
@@ -490,6 +1784,7 @@ function createApp(config) {
     // Handle client disconnect
     req.on('close', () => {
       sseSessions.delete(sessionId);
+      mcpHandler.closeSession(sessionId);
     });
 
     // Keep-alive ping every 30 seconds
@@ -519,10 +1814,12 @@ function createApp(config) {
     }
 
     try {
-      const response = await mcpHandler.handleRequest(req.body);
+      const response = await mcpHandler.handleRequest(req.body, { sessionId });
       
-      // Send response via SSE
-      session.res.write(`event: message\ndata: ${JSON.stringify(response)}\n\n`);
+      // Send response via SSE (notifications get none)
+      if (req.body?.id !== undefined && req.body?.id !== null) {
+        writeEvent(session.res, response);
+      }
       
       res.status(202).json({ status: 'accepted' });
     } catch (error) {
@@ -570,17 +1867,29 @@ function createApp(config) {
       version: '1.1.0',
       storybookVersion: version || 'unknown',
       framework,
+      ...(handlers.sources ? { sources: handlers.sources } : {}),
       endpoints: {
         rest: {
           'GET /api': 'This documentation',
-          'GET /api/stories': 'Get all stories',
+          'GET /api/stories': 'Get all stories (?tags=dev,!autodocs&type=story&title=Forms/*&fields=id,title&limit=50&cursor=...)',
           'GET /api/stories/:storyId': 'Get a specific story with details',
-          'GET /api/docs/:storyId': 'Get full documentation with code examples',
+          'GET /api/docs/:storyId': 'Get full documentation with code examples (?format=markdown for a readable page)',
           'GET /api/stories/kind/:kind': 'Get stories filtered by kind/category',
+          'GET /api/search?q=:query': 'Search stories and components (ranked, typo-tolerant)',
+          'GET /api/components': 'List components with their stories and docs pages',
+          'GET /api/components/:name': 'Get a component: props, stories, docs pages, usage and source path',
+          'GET /api/components/:name/usage': 'Get import statements and usage snippets for a component',
+          'GET /llms.txt': 'Index of markdown docs pages for LLMs',
+          'GET /llms-full.txt': 'All markdown docs pages in one file',
+          ...(handlers.sources ? {
+            'GET /api/sources': 'The Storybooks this server combines, with their story counts',
+            'GET /api/:source/*': 'Any route above for one Storybook (e.g. /api/charts/components); story IDs are <source>_<id>',
+          } : {}),
         },
         mcp: {
           'POST /mcp': 'MCP Streamable HTTP transport (JSON-RPC)',
-          'GET /mcp': 'MCP server info',
+          'GET /mcp': 'MCP server info (event stream with Accept: text/event-stream)',
+          'DELETE /mcp': 'End an MCP session',
           'GET /sse': 'MCP SSE transport (Server-Sent Events)',
           'POST /sse/messages': 'SSE message endpoint',
         },
@@ -590,9 +1899,10 @@ function createApp(config) {
           'List stories': '/api/stories',
           'Get story': '/api/stories/example-button--primary',
           'Get docs': '/api/docs/example-button--docs',
+          'Search': '/api/search?q=button',
         },
         mcp: {
-          'Initialize': { method: 'initialize', params: { protocolVersion: '2024-11-05' } },
+          'Initialize': { method: 'initialize', params: { protocolVersion: '2025-06-18' } },
           'List tools': { method: 'tools/list' },
           'Call tool': { method: 'tools/call', params: { name: 'list_stories', arguments: {} } },
         },
@@ -600,131 +1910,37 @@ function createApp(config) {
     });
   });
 
-  // Get all stories
-  app.get('/api/stories', async (req, res) => {
-    const result = await handlers.listStories(req.query);
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(503).json(result);
-    }
-  });
-
-  // Get specific story
-  app.get('/api/stories/:storyId', async (req, res) => {
-    const result = await handlers.getStory({ storyId: req.params.storyId });
-    if (result.success) {
-      res.json(result);
-    } else if (result.error?.includes('not found')) {
-      res.status(404).json(result);
-    } else {
-      res.status(503).json(result);
-    }
-  });
-
-  // Get story documentation
-  app.get('/api/docs/:storyId', async (req, res) => {
-    const result = await handlers.getStoryDocs({ storyId: req.params.storyId });
-    if (result.success) {
-      res.json(result);
-    } else if (result.error?.includes('not found')) {
-      res.status(404).json(result);
-    } else {
-      res.status(503).json(result);
-    }
-  });
-
-  // Get stories by kind
-  app.get('/api/stories/kind/:kind', async (req, res) => {
-    const result = await handlers.getStoriesByKind({ kind: req.params.kind });
-    if (result.success) {
-      res.json(result);
-    } else {
-      res.status(503).json(result);
-    }
-  });
-
-  return app;
-}
-
-/**
- * Start Storybook process
- */
-function startStorybookProcess(config) {
-  const { storybookPort, projectDir, version, framework } = config;
-
-  console.log(chalk.blue('→') + ` Starting Storybook (internal)...`);
-
-  let cmd = 'npx';
-  let args = ['storybook', 'dev', '-p', storybookPort.toString(), '--no-open'];
-
-  // For Angular projects with Storybook 8+, try Angular builder first
-  if (framework === 'angular' && version >= 8) {
-    const angularJsonPath = path.join(projectDir, 'angular.json');
-    if (fs.existsSync(angularJsonPath)) {
-      try {
-        const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
-        for (const [projectName, project] of Object.entries(angularJson.projects || {})) {
-          if (project.architect?.storybook) {
-            if (!angularJson.projects[projectName].architect.storybook.options) {
-              angularJson.projects[projectName].architect.storybook.options = {};
-            }
-            angularJson.projects[projectName].architect.storybook.options.compodoc = false;
-            angularJson.projects[projectName].architect.storybook.options.port = storybookPort;
-            fs.writeFileSync(angularJsonPath, JSON.stringify(angularJson, null, 2));
-            
-            const packageJsonPath = path.join(projectDir, 'package.json');
-            if (fs.existsSync(packageJsonPath)) {
-              const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, 'utf8'));
-              if (packageJson.scripts?.storybook && packageJson.scripts.storybook.includes('ng run')) {
-                cmd = 'npm';
-                args = ['run', 'storybook'];
-                console.log(chalk.dim(`   Using npm script for Angular builder`));
-                break;
-              }
-            }
-            cmd = 'npm';
-            args = ['run', 'storybook'];
-            console.log(chalk.dim(`   Using Angular builder via npm script`));
-            break;
-          }
-        }
-      } catch (error) {
-        console.log(chalk.yellow('⚠️  Could not read angular.json, falling back to standard Storybook CLI'));
-      }
-    }
+  // REST API, across all Storybooks; each one also under /api/:source with several
+  app.use('/api', createRestRouter(handlers));
+  if (handlers.sources) {
+    const sourceRouters = new Map(handlers.sources.map(({ id }) => [id, createRestRouter(handlers.forSource(id))]));
+    app.get('/api/sources', async (req, res) => {
+      res.json(await handlers.listSources());
+    });
+    app.use('/api/:source', (req, res, next) => {
+      const router = sourceRouters.get(req.params.source);
+      return router ? router(req, res, next) : next();
+    });
   }
 
-  const storybook = spawn(cmd, args, {
-    cwd: projectDir,
-    shell: true,
-    stdio: 'pipe',
-    env: {
-      ...process.env,
-      PORT: storybookPort.toString(),
-      STORYBOOK_PORT: storybookPort.toString(),
-    },
-  });
-
-  storybook.stdout.on('data', (data) => {
-    const msg = data.toString();
-    process.stdout.write(chalk.dim('[Storybook] ') + msg);
-  });
-
-  storybook.stderr.on('data', (data) => {
-    const msg = data.toString();
-    if (!msg.includes('ExperimentalWarning') && !msg.includes('punycode')) {
-      process.stderr.write(chalk.dim('[Storybook] ') + msg);
-    }
-  });
+  // Library index for LLMs (https://llmstxt.org): links to markdown pages, or every page inline
+  for (const [route, full] of [['/llms.txt', false], ['/llms-full.txt', true]]) {
+    app.get(route, async (req, res) => {
+      const docsUrl = `${req.protocol}://${req.get('host')}/api/docs/{id}?format=markdown`;
+      const result = await handlers.getLlmsTxt({ full, docsUrl });
+      sendResult(handlers, req, res, result, 503, { type: 'text/plain', field: 'text' });
+    });
+  }
 
-  storybook.on('close', (code) => {
-    if (code !== 0) {
-      console.log(chalk.yellow(`[Storybook] Process exited with code ${code}`));
+  // Malformed JSON bodies on the MCP transports get a JSON-RPC parse error
+  app.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed' && /^\/(mcp|sse)/.test(req.path)) {
+      return res.status(400).json({ jsonrpc: '2.0', id: null, error: { code: -32700, message: 'Parse error' } });
     }
+    next(error);
   });
 
-  return storybook;
+  return app;
 }
 
 /**
@@ -733,7 +1949,15 @@ function startStorybookProcess(config) {
 async function startServer(config) {
   const { port, storybookPort, storybookUrl, projectDir, proxy, staticDir } = config;
 
-  const app = createApp(config);
+  // Keep the story index and parsed files in memory, refreshed as files change
+  const { indexer, handlers } = config.sources?.length > 0
+    ? createSources(config.sources, config)
+    : { indexer: createIndexer(config) };
+  if (config.watch !== false) {
+    indexer.start();
+  }
+
+  const app = createApp({ ...config, indexer, handlers });
   let storybookProcess = null;
 
   // Static mode: serve pre-built Storybook files
@@ -751,7 +1975,7 @@ async function startServer(config) {
     });
   } else if (proxy) {
     // Development mode: start and proxy Storybook
-    storybookProcess = startStorybookProcess(config);
+    storybookProcess = superviseStorybook(config);
 
     // Add proxy middleware for all non-API/MCP requests (Storybook UI)
     app.use('/', createProxyMiddleware({
@@ -820,26 +2044,7 @@ async function startServer(config) {
 
       // Wait for Storybook to be ready (development mode with proxy)
       if (proxy && storybookProcess) {
-        let storybookReady = false;
-        const maxWaitTime = 120000;
-        const startTime = Date.now();
-        const checkInterval = 2000;
-
-        while (!storybookReady && (Date.now() - startTime) < maxWaitTime) {
-          try {
-            const response = await fetch(`${storybookUrl}/index.json`);
-            if (response.ok) {
-              const data = await response.json();
-              if (data.entries && Object.keys(data.entries).length > 0) {
-                storybookReady = true;
-                break;
-              }
-            }
-          } catch (error) {
-            // Storybook not ready yet
-          }
-          await new Promise(resolve => setTimeout(resolve, checkInterval));
-        }
+        const storybookReady = await storybookProcess.waitUntilReady(120000);
 
         if (storybookReady) {
           console.log('');
@@ -895,15 +2100,20 @@ async function startServer(config) {
       resolve(server);
     });
 
-    // Handle shutdown
-    const shutdown = () => {
+    // Handle shutdown: stop Storybook before exiting so no child outlives the server
+    let shuttingDown = false;
+    const shutdown = async () => {
+      if (shuttingDown) return;
+      shuttingDown = true;
       console.log(chalk.yellow('\n  Shutting down...'));
+      indexer.close();
       if (storybookProcess) {
-        storybookProcess.kill();
+        await storybookProcess.stop();
       }
       server.close(() => {
         process.exit(0);
       });
+      server.closeAllConnections?.();
     };
 
     process.on('SIGINT', shutdown);
@@ -911,10 +2121,47 @@ async function startServer(config) {
   });
 }
 
+/**
+ * Serve MCP over stdio instead of HTTP; all logs go to stderr
+ *
+ * Uses `sources`, the static build, the source files (`sourceOnly`) or `storybookUrl` when given,
+ * otherwise starts Storybook (unless `proxy` is false).
+ * Resolves once the client closes stdin (or on SIGINT / SIGTERM), after shutting down.
+ */
+async function startStdioServer(config) {
+  const { staticDir, proxy } = config;
+
+  const { indexer, handlers } = config.sources?.length > 0
+    ? createSources(config.sources, config)
+    : { indexer: createIndexer(config) };
+  if (config.watch !== false) {
+    indexer.start();
+  }
+
+  const storybookProcess = !staticDir && proxy ? superviseStorybook({ ...config, stdio: true }) : null;
+  const transport = createStdioTransport(createMCPHandler({ ...config, indexer, handlers }));
+  console.error(chalk.green('✓') + ' MCP server listening on stdio');
+
+  const shutdown = () => transport.close();
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+
+  await transport.closed;
+  process.off('SIGINT', shutdown);
+  process.off('SIGTERM', shutdown);
+  indexer.close();
+  if (storybookProcess) {
+    await storybookProcess.stop();
+  }
+}
+
 module.exports = {
   createApp,
   createToolHandlers,
+  createSources,
   createMCPHandler,
+  createMCPRouter,
+  createStdioTransport,
   startServer,
-  startStorybookProcess,
+  startStdioServer,
 };
@@ -0,0 +1,314 @@
+/**
+ * Story index built from source files, without a running or built Storybook
+ *
+ * Reads the `stories` specifiers from `.storybook/main.(js|ts)`, walks the matching files and
+ * computes index.json (v5) entries the way Storybook's indexers do: titles from `meta.title` or
+ * the file path (auto-title), IDs from the sanitized title and export names, `autodocs` docs
+ * entries, and MDX pages attached to their stories through `<Meta of={...} />`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseSource, unwrap, toId, storyNameFromExport } = require('./csf');
+const { resolveModulePath } = require('./parsers');
+
+const MAIN_FILES = ['main.ts', 'main.js', 'main.mjs', 'main.cjs', 'main.mts', 'main.cts'];
+const PREVIEW_FILES = ['preview.ts', 'preview.tsx', 'preview.js', 'preview.jsx', 'preview.mjs'];
+
+// Storybook's default `files` for a directory specifier
+const DEFAULT_FILES = '**/*.@(mdx|stories.@(js|jsx|mjs|ts|tsx))';
+
+// Tags every entry starts with (Storybook 8+)
+const DEFAULT_TAGS = ['dev', 'test'];
+
+const GLOB_CHARS = /[*?{}()[\]!@+]/;
+
+/**
+ * Static value of a config node (strings, booleans, arrays, objects); undefined for anything else
+ */
+function literal(node, bindings) {
+  node = unwrap(node);
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'Identifier':
+      return bindings.has(node.name) ? literal(bindings.get(node.name), new Map()) : undefined;
+    case 'ArrayExpression':
+      return node.elements.map(element => literal(element, bindings));
+    case 'ObjectExpression':
+      return Object.fromEntries(node.properties
+        .filter(prop => prop.type === 'ObjectProperty' && !prop.computed)
+        .map(prop => [prop.key.name ?? prop.key.value, literal(prop.value, bindings)]));
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * The exported config object of `main` / `preview`: `export default`, `module.exports`,
+ * `defineMain({...})` or named exports (`export const stories = [...]`)
+ */
+function readConfigFile(configDir, fileNames, readFile) {
+  const fileName = fileNames.find(name => fs.existsSync(path.join(configDir, name)));
+  const content = fileName ? readFile(path.join(configDir, fileName)) : null;
+  if (content === null) return null;
+
+  const ast = parseSource(content, fileName);
+  const bindings = new Map();
+  const named = {};
+  let exported = null;
+  for (const statement of ast.program.body) {
+    const declaration = statement.type === 'ExportNamedDeclaration' ? statement.declaration : statement;
+    if (declaration?.type === 'VariableDeclaration') {
+      for (const decl of declaration.declarations) {
+        if (decl.id.type !== 'Identifier') continue;
+        bindings.set(decl.id.name, decl.init);
+        if (declaration !== statement) named[decl.id.name] = decl.init;
+      }
+    } else if (statement.type === 'ExportDefaultDeclaration') {
+      exported = statement.declaration;
+    } else if (statement.type === 'ExpressionStatement'
+      && statement.expression.type === 'AssignmentExpression'
+      && content.slice(statement.expression.left.start, statement.expression.left.end) === 'module.exports') {
+      exported = statement.expression.right;
+    }
+  }
+
+  let node = unwrap(exported);
+  if (node?.type === 'Identifier') node = unwrap(bindings.get(node.name));
+  if (node?.type === 'CallExpression') node = unwrap(node.arguments[0]);
+  if (node?.type === 'ObjectExpression') return literal(node, bindings);
+  return Object.fromEntries(Object.entries(named).map(([name, init]) => [name, literal(init, bindings)]));
+}
+
+/**
+ * Convert a `files` glob (`**`, `*`, `?`, `@(a|b)`, `{a,b}`) to a RegExp on `/`-separated paths
+ */
+function filesGlobToRegExp(glob) {
+  let pattern = '';
+  const groups = [];
+  for (let i = 0; i < glob.length; i++) {
+    const char = glob[i];
+    if ('@*+?!'.includes(char) && glob[i + 1] === '(') {
+      groups.push({ '@': ')', '!': ')', '*': ')*', '+': ')+', '?': ')?' }[char]);
+      pattern += '(?:';
+      i++;
+    } else if (char === '{') {
+      groups.push(')');
+      pattern += '(?:';
+    } else if ((char === ')' || char === '}') && groups.length > 0) {
+      pattern += groups.pop();
+    } else if ((char === '|' || char === ',') && groups.length > 0) {
+      pattern += '|';
+    } else if (char === '*' && glob[i + 1] === '*') {
+      // `**/` also matches no directory at all
+      pattern += glob[i + 2] === '/' ? '(?:.*/)?' : '.*';
+      i += glob[i + 2] === '/' ? 2 : 1;
+    } else if (char === '*') {
+      pattern += '[^/]*';
+    } else if (char === '?') {
+      pattern += '[^/]';
+    } else {
+      pattern += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Normalize a `stories` entry to { directory (absolute), files, titlePrefix }
+ */
+function normalizeSpecifier(specifier, configDir) {
+  if (specifier && typeof specifier === 'object') {
+    return {
+      directory: path.resolve(configDir, specifier.directory || '.'),
+      files: specifier.files || DEFAULT_FILES,
+      titlePrefix: specifier.titlePrefix || '',
+    };
+  }
+  const segments = String(specifier).split('/');
+  const globStart = segments.findIndex(segment => GLOB_CHARS.test(segment));
+  if (globStart === -1) {
+    const fullPath = path.resolve(configDir, specifier);
+    const isDirectory = fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory();
+    return isDirectory
+      ? { directory: fullPath, files: DEFAULT_FILES, titlePrefix: '' }
+      : { directory: path.dirname(fullPath), files: path.basename(fullPath), titlePrefix: '' };
+  }
+  return {
+    directory: path.resolve(configDir, segments.slice(0, globStart).join('/') || '.'),
+    files: segments.slice(globStart).join('/'),
+    titlePrefix: '',
+  };
+}
+
+/**
+ * Files under `dir` as `/`-separated relative paths (node_modules and dot directories skipped)
+ */
+function listFiles(dir, prefix = '') {
+  let dirents;
+  try {
+    dirents = fs.readdirSync(path.join(dir, prefix), { withFileTypes: true });
+  } catch (error) {
+    return [];
+  }
+  return dirents
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .flatMap((dirent) => {
+      const relativePath = prefix ? `${prefix}/${dirent.name}` : dirent.name;
+      if (dirent.isDirectory()) {
+        return dirent.name === 'node_modules' || dirent.name.startsWith('.') ? [] : listFiles(dir, relativePath);
+      }
+      return dirent.isFile() ? [relativePath] : [];
+    });
+}
+
+/**
+ * Title of a file: `titlePrefix` + its own title, or the auto-title from its path (same rules
+ * as Storybook: extension and `.stories` dropped, `Button/Button` and `Button/index` become `Button`)
+ */
+function getTitle(userTitle, relativePath, titlePrefix) {
+  if (typeof userTitle === 'string') {
+    return titlePrefix ? `${titlePrefix}/${userTitle}`.replace(/\/+/g, '/') : userTitle;
+  }
+  const parts = `${titlePrefix}/${relativePath}`.split('/').filter(Boolean);
+  const last = parts.pop();
+  const stripped = last.replace(/(?:[.](?:story|stories))?([.][^.]+)$/i, '');
+  if (parts.length === 0) return stripped;
+  if (stripped.toLowerCase() === parts[parts.length - 1].toLowerCase()) {
+    return [...parts.slice(0, -1), stripped].join('/');
+  }
+  if (/^(story|stories)([.][^.]+)$/i.test(last) || /^index$/i.test(stripped)) return parts.join('/');
+  return [...parts, stripped].join('/');
+}
+
+/**
+ * Merge tag lists; `!tag` removes a tag added before it
+ */
+function combineTags(...tags) {
+  const result = new Set();
+  for (const tag of tags) {
+    if (tag.startsWith('!')) result.delete(tag.slice(1));
+    else result.add(tag);
+  }
+  return [...result];
+}
+
+function asTags(value) {
+  return Array.isArray(value) ? value.filter(tag => typeof tag === 'string') : [];
+}
+
+/**
+ * Build index.json data from source
+ *
+ * @param {Object} options - { projectDir, configDir }
+ * @param {Object} files - The indexer's cached readers: { readFile, getStoryExamples, getMdx }
+ * @returns {{ v: 5, entries: Object }}
+ */
+function buildSourceIndex({ projectDir, configDir }, { readFile, getStoryExamples, getMdx }) {
+  if (!configDir) {
+    throw new Error(`No Storybook config directory (.storybook) found in ${projectDir}`);
+  }
+  const main = readConfigFile(configDir, MAIN_FILES, readFile);
+  if (!Array.isArray(main?.stories)) {
+    throw new Error(`No static \`stories\` list found in ${path.join(configDir, 'main')}`);
+  }
+  const preview = readConfigFile(configDir, PREVIEW_FILES, readFile);
+  const projectTags = [...DEFAULT_TAGS, ...asTags(preview?.tags)];
+  // Storybook 7 `docs: { autodocs: true }`
+  if (main.docs?.autodocs === true) projectTags.push('autodocs');
+
+  const toImportPath = filePath => `./${path.relative(projectDir, filePath).split(path.sep).join('/')}`;
+
+  // Matching files, in specifier order
+  const files = new Map();
+  for (const specifier of main.stories.filter(Boolean).map(item => normalizeSpecifier(item, configDir))) {
+    const matcher = filesGlobToRegExp(specifier.files);
+    for (const relativePath of listFiles(specifier.directory)) {
+      const filePath = path.join(specifier.directory, relativePath);
+      if (matcher.test(relativePath) && !files.has(filePath)) files.set(filePath, { relativePath, specifier });
+    }
+  }
+
+  // CSF files first, so MDX pages can attach to them
+  const fileEntries = new Map();
+  const csfFiles = new Map();
+  for (const [filePath, { relativePath, specifier }] of files) {
+    if (filePath.endsWith('.mdx')) continue;
+    const examples = getStoryExamples(filePath);
+    if (!examples) continue;
+
+    const meta = examples.metaInfo || {};
+    const title = getTitle(meta.title, relativePath, specifier.titlePrefix);
+    const baseId = typeof meta.id === 'string' ? meta.id : title;
+    const importPath = toImportPath(filePath);
+    const tags = combineTags(...projectTags, ...asTags(meta.tags));
+    const entries = [];
+    if (tags.includes('autodocs')) {
+      entries.push({ type: 'docs', id: toId(baseId, 'Docs'), title, name: 'Docs', importPath, tags, storiesImports: [] });
+    }
+    for (const [exportName, story] of Object.entries(examples.stories)) {
+      entries.push({
+        type: 'story',
+        id: toId(baseId, storyNameFromExport(exportName)),
+        title,
+        name: story.name,
+        importPath,
+        ...(examples.componentFilePath ? { componentPath: toImportPath(examples.componentFilePath) } : {}),
+        tags: combineTags(...tags, ...asTags(story.tags)),
+        exportName,
+      });
+    }
+    fileEntries.set(filePath, entries);
+    csfFiles.set(filePath, { title, baseId, tags, importPath });
+  }
+
+  for (const [filePath, { relativePath, specifier }] of files) {
+    if (!filePath.endsWith('.mdx')) continue;
+    const mdx = getMdx(filePath);
+    if (!mdx) continue;
+
+    const ofImport = mdx.meta?.of ? mdx.imports.find(item => item.local === mdx.meta.of.split('.')[0]) : null;
+    const attachedPath = ofImport ? resolveModulePath(filePath, ofImport.source) : null;
+    const attached = attachedPath ? csfFiles.get(attachedPath) : null;
+    const title = attached ? attached.title : getTitle(mdx.meta?.title, relativePath, specifier.titlePrefix);
+    const name = mdx.meta?.name || 'Docs';
+    fileEntries.set(filePath, [{
+      type: 'docs',
+      id: toId(attached?.baseId || title, name),
+      title,
+      name,
+      importPath: toImportPath(filePath),
+      tags: combineTags(...projectTags, ...(attached ? attached.tags : []), attached ? 'attached-mdx' : 'unattached-mdx'),
+      storiesImports: attached ? [attached.importPath] : [],
+    }]);
+  }
+
+  // An MDX page replaces the autodocs page of the stories it documents
+  const entries = {};
+  for (const filePath of files.keys()) {
+    for (const entry of fileEntries.get(filePath) || []) {
+      if (!entries[entry.id] || entry.importPath.endsWith('.mdx')) entries[entry.id] = entry;
+    }
+  }
+  return { v: 5, entries };
+}
+
+/**
+ * Composition refs declared in `.storybook/main`: [{ id, title, url }] (refs without a static url are skipped)
+ */
+function readStorybookRefs(configDir, readFile = file => fs.readFileSync(file, 'utf8')) {
+  const refs = readConfigFile(configDir, MAIN_FILES, readFile)?.refs;
+  if (!refs || typeof refs !== 'object' || Array.isArray(refs)) return [];
+  return Object.entries(refs)
+    .filter(([, ref]) => typeof ref?.url === 'string' && ref.disable !== true)
+    .map(([id, ref]) => ({ id, title: typeof ref.title === 'string' ? ref.title : id, url: ref.url.replace(/\/+$/, '') }));
+}
+
+module.exports = {
+  buildSourceIndex,
+  readStorybookRefs,
+};
@@ -0,0 +1,443 @@
+/**
+ * Several Storybooks behind one server
+ *
+ * Sources are listed under `sources` in the config file (config.js): a running Storybook (`url`),
+ * a build (`static`) or a project indexed from source (`dir`), each with an `id`. The composition
+ * `refs` of their `.storybook/main` join as URL sources. Story IDs are namespaced the way
+ * Storybook composition does it (`<source>_<storyId>`), and lists and searches span all sources.
+ */
+
+const crypto = require('crypto');
+const path = require('path');
+const { EventEmitter } = require('events');
+const { readStorybookRefs } = require('./source-index');
+const { findStorybookConfig, encodeCursor, decodeCursor, decodeLimit } = require('./utils');
+const { renderLlmsTxt } = require('./markdown');
+
+// Source IDs that would clash with the REST routes next to /api/:source
+const RESERVED_SOURCE_IDS = ['stories', 'docs', 'components', 'search', 'sources'];
+
+/**
+ * Namespaced story ID (`charts_line-chart--default`); source IDs never contain `_`, nor do story IDs
+ */
+function toSourceStoryId(sourceId, storyId) {
+  return `${sourceId}_${storyId}`;
+}
+
+function toSourceId(text) {
+  return String(text).toLowerCase().replace(/[^a-z0-9-]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Sources of the config file (validated by config.js), with paths resolved against `baseDir`
+ * and the composition refs of their Storybooks added
+ *
+ * @returns {Array<{ id, title, type: 'url'|'static'|'source', storybookUrl, staticDir, projectDir, sourceOnly }>}
+ */
+function resolveSources(definitions, baseDir) {
+  const sources = definitions.map((source) => {
+    const staticDir = source.static ? path.resolve(baseDir, source.static) : null;
+    return {
+      id: source.id,
+      title: source.title || source.id,
+      type: source.url ? 'url' : staticDir ? 'static' : 'source',
+      storybookUrl: source.url ? source.url.replace(/\/+$/, '') : null,
+      staticDir,
+      projectDir: source.dir ? path.resolve(baseDir, source.dir) : null,
+      sourceOnly: !source.url && !staticDir,
+      refs: source.refs !== false,
+    };
+  });
+
+  // Composition refs, unless a listed source already serves that Storybook
+  for (const source of [...sources]) {
+    const configDir = source.refs && source.projectDir ? findStorybookConfig(source.projectDir) : null;
+    for (const ref of configDir ? readStorybookRefs(configDir) : []) {
+      const refId = toSourceId(ref.id);
+      const id = RESERVED_SOURCE_IDS.includes(refId) ? `${refId}-ref` : refId;
+      if (!id || sources.some(existing => existing.id === id || existing.storybookUrl === ref.url)) continue;
+      sources.push({
+        id, title: ref.title, type: 'url', storybookUrl: ref.url, staticDir: null, projectDir: null, sourceOnly: false,
+      });
+    }
+  }
+  return sources.map(({ refs, ...source }) => source);
+}
+
+function hashETags(etags) {
+  return `"${crypto.createHash('sha1').update(etags.join('\n')).digest('base64url').slice(0, 27)}"`;
+}
+
+/**
+ * Tool handlers over several sources, each { id, title, type, handlers } with its own
+ * createToolHandlers; same interface, with namespaced story IDs, a `source` on every
+ * entry and an optional `source` argument to query one Storybook
+ */
+function createSourceHandlers(sources) {
+  const byId = new Map(sources.map(source => [source.id, source]));
+  const single = new Map();
+  // ETags of merged results, derived from the sources' results
+  const resultETags = new WeakMap();
+
+  const unknownSource = id => ({
+    success: false,
+    error: `Unknown source "${id}" (available: ${[...byId.keys()].join(', ')})`,
+  });
+  const notFound = storyId => ({ success: false, error: `Story "${storyId}" not found` });
+
+  /**
+   * Source and source-local ID of a story ID; unprefixed IDs belong to the only source, if there is one
+   */
+  function resolveStoryId(storyId) {
+    const text = String(storyId ?? '');
+    const separator = text.indexOf('_');
+    const source = separator > 0 ? byId.get(text.slice(0, separator)) : null;
+    if (source) return { source, storyId: text.slice(separator + 1) };
+    return sources.length === 1 ? { source: sources[0], storyId: text } : null;
+  }
+
+  /**
+   * Run a handler on the sources `args.source` selects (all by default)
+   *
+   * @returns {Promise<{ results: Array<{ source, result }>, failed: Array<{ source, result }> }|null>}
+   *   null for an unknown source
+   */
+  async function callEach(name, args, sourceArgs = () => ({})) {
+    const { source: sourceId, ...rest } = args;
+    if (sourceId && !byId.has(sourceId)) return null;
+    const selected = sourceId ? [byId.get(sourceId)] : sources;
+    const calls = await Promise.all(selected.map(async source => ({
+      source,
+      result: await source.handlers[name]({ ...rest, ...sourceArgs(source) }),
+    })));
+    return {
+      results: calls.filter(({ result }) => result.success),
+      failed: calls.filter(({ result }) => !result.success),
+    };
+  }
+
+  /**
+   * Finish a merged result: sources that failed are listed under `unavailable`, and the result
+   * gets an ETag when every source's result had one
+   */
+  function merged(result, { results, failed }) {
+    if (failed.length > 0) {
+      result.unavailable = failed.map(({ source, result: { error } }) => ({ source: source.id, error }));
+    } else {
+      const etags = results.map(({ source, result: part }) => source.handlers.getETag(part));
+      if (etags.every(Boolean)) resultETags.set(result, hashETags(etags));
+    }
+    return result;
+  }
+
+  /**
+   * A single source's result, keeping its ETag
+   */
+  function fromSource(result, source, part) {
+    const etag = source.handlers.getETag(part);
+    if (etag) resultETags.set(result, etag);
+    return result;
+  }
+
+  const inSource = source => entry => ({ ...entry, id: toSourceStoryId(source.id, entry.id), source: source.id });
+
+  function namespaceComponent(component, source) {
+    const withId = entry => ({ ...entry, id: toSourceStoryId(source.id, entry.id) });
+    return { ...component, source: source.id, stories: component.stories.map(withId), docsPages: component.docsPages.map(withId) };
+  }
+
+  /**
+   * First source (of those `args.source` selects) that knows the component: { source, result },
+   * or the last error
+   */
+  async function findComponentSource(name, args) {
+    if (args.source && !byId.has(args.source)) return unknownSource(args.source);
+    let last = null;
+    for (const source of args.source ? [byId.get(args.source)] : sources) {
+      const { source: sourceId, ...rest } = args;
+      const result = await source.handlers[name](rest);
+      if (result.success) return { source, result };
+      last = result;
+    }
+    return last;
+  }
+
+  const handlers = {
+    sources: sources.map(({ id, title, type }) => ({ id, title, type })),
+
+    getETag(result) {
+      return result && typeof result === 'object' ? resultETags.get(result) : undefined;
+    },
+
+    /**
+     * Handlers for one source (story IDs stay namespaced); null for an unknown source
+     */
+    forSource(id) {
+      if (!byId.has(id)) return null;
+      if (sources.length === 1) return handlers;
+      if (!single.has(id)) single.set(id, createSourceHandlers([byId.get(id)]));
+      return single.get(id);
+    },
+
+    /**
+     * The sources with their story counts (or why their index could not be loaded)
+     */
+    async listSources() {
+      const items = await Promise.all(sources.map(async ({ id, title, type, handlers: sourceHandlers }) => {
+        const result = await sourceHandlers.listStories({ fields: 'id' });
+        return { id, title, type, ...(result.success ? { stories: result.total } : { error: result.error }) };
+      }));
+      return { success: true, count: items.length, sources: items };
+    },
+
+    async listStories(args = {}) {
+      const { cursor, limit, ...filters } = args;
+      const offset = cursor ? decodeCursor(cursor) : 0;
+      if (offset === null) {
+        return { success: false, error: 'Invalid cursor' };
+      }
+      const pageSize = decodeLimit(limit);
+      if (pageSize === null) {
+        return { success: false, error: 'Invalid limit' };
+      }
+      const calls = await callEach('listStories', filters);
+      if (!calls) return unknownSource(args.source);
+      if (calls.results.length === 0) return calls.failed[0].result;
+
+      const stories = calls.results.flatMap(({ source, result }) => result.stories.map(inSource(source)));
+      const end = pageSize > 0 ? offset + pageSize : stories.length;
+      const page = stories.slice(offset, end);
+      return merged({
+        success: true,
+        count: page.length,
+        total: stories.length,
+        stories: page,
+        ...(end < stories.length ? { nextCursor: encodeCursor(end) } : {}),
+      }, calls);
+    },
+
+    async getStory(args) {
+      const resolved = resolveStoryId(args.storyId);
+      if (!resolved) return notFound(args.storyId);
+      const { source, storyId } = resolved;
+      const result = await source.handlers.getStory({ ...args, storyId });
+      if (!result.success) return result;
+      return fromSource({ ...result, story: inSource(source)(result.story) }, source, result);
+    },
+
+    async getStoryDocs(args) {
+      const resolved = resolveStoryId(args.storyId);
+      if (!resolved) return notFound(args.storyId);
+      const { source, storyId } = resolved;
+      const result = await source.handlers.getStoryDocs({ ...args, storyId });
+      if (!result.success) return result;
+
+      const toId = id => toSourceStoryId(source.id, id);
+      if (result.markdown !== undefined) {
+        return fromSource({ ...result, storyId: toId(result.storyId), source: source.id }, source, result);
+      }
+      const docs = { ...result.docs, storyId: toId(result.docs.storyId), source: source.id };
+      if (docs.storyExamples) {
+        docs.storyExamples = Object.fromEntries(Object.entries(docs.storyExamples)
+          .map(([name, example]) => [name, example?.id ? { ...example, id: toId(example.id) } : example]));
+      }
+      if (docs.blocks) {
+        docs.blocks = docs.blocks.map(block => (block.storyId ? { ...block, storyId: toId(block.storyId) } : block));
+      }
+      return fromSource({ ...result, docs }, source, result);
+    },
+
+    /**
+     * Search every source, ranking the results together by score
+     */
+    async searchStories(args = {}) {
+      const limit = args.limit === undefined ? 20 : decodeLimit(args.limit);
+      if (!limit) {
+        return { success: false, error: 'Invalid limit' };
+      }
+      const calls = await callEach('searchStories', args);
+      if (!calls) return unknownSource(args.source);
+      if (calls.results.length === 0) return calls.failed[0].result;
+
+      const results = calls.results
+        .flatMap(({ source, result }) => result.results.map(inSource(source)))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+      return merged({ success: true, query: calls.results[0].result.query, count: results.length, results }, calls);
+    },
+
+    async getStoriesByKind(args) {
+      const calls = await callEach('getStoriesByKind', args);
+      if (!calls) return unknownSource(args.source);
+      if (calls.results.length === 0) return calls.failed[0].result;
+
+      const stories = calls.results.flatMap(({ source, result }) => result.stories.map(inSource(source)));
+      return merged({ success: true, count: stories.length, kind: args.kind, stories }, calls);
+    },
+
+    async listComponents(args = {}) {
+      const calls = await callEach('listComponents', args);
+      if (!calls) return unknownSource(args.source);
+      if (calls.results.length === 0) return calls.failed[0].result;
+
+      const components = calls.results.flatMap(({ source, result }) => result.components.map(component => ({
+        ...component,
+        source: source.id,
+        stories: component.stories.map(id => toSourceStoryId(source.id, id)),
+        docs: component.docs.map(id => toSourceStoryId(source.id, id)),
+      })));
+      return merged({ success: true, count: components.length, components }, calls);
+    },
+
+    async getComponent(args) {
+      const found = await findComponentSource('getComponent', args);
+      if (found.success === false) return found;
+      const { source, result } = found;
+      return fromSource({ ...result, component: namespaceComponent(result.component, source) }, source, result);
+    },
+
+    async getComponentUsage(args) {
+      // A story ID picks the source
+      const resolved = args.storyId ? resolveStoryId(args.storyId) : null;
+      if (args.storyId && !resolved) return notFound(args.storyId);
+      const found = await findComponentSource('getComponentUsage', resolved
+        ? { ...args, source: resolved.source.id, storyId: resolved.storyId }
+        : args);
+      if (found.success === false) return found;
+      const { source, result } = found;
+      return fromSource({
+        ...result,
+        source: source.id,
+        examples: result.examples.map(example => ({ ...example, storyId: toSourceStoryId(source.id, example.storyId) })),
+      }, source, result);
+    },
+
+    /**
+     * Docs pages of every source, in a components and a docs section per source
+     */
+    async getDocsPages(args = {}) {
+      const { docsUrl = '/api/docs/{id}?format=markdown' } = args;
+      const calls = await callEach('getDocsPages', args, source => ({
+        docsUrl: docsUrl.replace('{id}', toSourceStoryId(source.id, '{id}')),
+      }));
+      if (!calls) return unknownSource(args.source);
+      if (calls.results.length === 0) return calls.failed[0].result;
+      if (calls.results.length === 1 && calls.failed.length === 0) {
+        const [{ source, result }] = calls.results;
+        return fromSource({ ...result }, source, result);
+      }
+
+      const counts = [0, 0];
+      const sections = calls.results.flatMap(({ source, result }) => result.sections.map((section, i) => {
+        counts[i] += section.pages.length;
+        return { ...section, name: `${source.title} ${section.name.toLowerCase()}` };
+      }));
+      const titles = calls.results.map(({ source }) => source.title).join(', ');
+      return merged({
+        success: true,
+        title: 'Storybook',
+        description: `Component documentation from ${calls.results.length} Storybooks (${titles}): `
+          + `${counts[0]} component pages, ${counts[1]} docs pages with props, usage examples and stories.`,
+        sections,
+      }, calls);
+    },
+
+    async getLlmsTxt(args = {}) {
+      const { full = false, ...pagesArgs } = args;
+      const pages = await handlers.getDocsPages(pagesArgs);
+      if (!pages.success) return pages;
+      const result = { success: true, text: renderLlmsTxt(pages, { full }) };
+      const etag = resultETags.get(pages);
+      if (etag) resultETags.set(result, hashETags([etag, String(full)]));
+      return result;
+    },
+
+    /**
+     * MDX source by `<source>/<path>` (or the path alone with a single source)
+     */
+    async getMdxSource(args = {}) {
+      const mdxPath = String(args.path || '').replace(/^\.\//, '');
+      const separator = mdxPath.indexOf('/');
+      const prefixed = separator > 0 ? byId.get(mdxPath.slice(0, separator)) : null;
+      const source = prefixed || (sources.length === 1 ? sources[0] : null);
+      if (!source) {
+        return { success: false, error: `MDX page "${mdxPath}" not found` };
+      }
+      const result = await source.handlers.getMdxSource({ path: prefixed ? mdxPath.slice(separator + 1) : mdxPath });
+      if (!result.success) return result;
+      return { ...result, path: `${source.id}/${result.path}`, source: source.id };
+    },
+  };
+
+  return handlers;
+}
+
+/**
+ * One indexer over the sources' indexers (each { id, indexer }): the merged index with namespaced
+ * IDs (entries carry their `source`), and their change events with namespaced IDs
+ */
+function createSourceIndexer(sources) {
+  const indexer = new EventEmitter();
+  let current = { indexes: [], value: null };
+
+  function mergeIndexes(indexes) {
+    if (current.value && indexes.every((index, i) => index === current.indexes[i])) {
+      return current.value;
+    }
+    const entries = {};
+    indexes.forEach((index, i) => {
+      for (const entry of Object.values(index?.entries || {})) {
+        const id = toSourceStoryId(sources[i].id, entry.id);
+        entries[id] = { ...entry, id, source: sources[i].id };
+      }
+    });
+    current = { indexes, value: { v: 5, entries } };
+    return current.value;
+  }
+
+  /**
+   * Merged index of the sources that could be loaded; throws when none could
+   */
+  async function getIndex() {
+    const settled = await Promise.allSettled(sources.map(source => source.indexer.getIndex()));
+    if (settled.every(({ status }) => status === 'rejected')) {
+      throw settled[0].reason;
+    }
+    return mergeIndexes(settled.map(({ value }) => value || null));
+  }
+
+  for (const source of sources) {
+    source.indexer.on('change', (change) => {
+      const toId = id => toSourceStoryId(source.id, id);
+      indexer.emit('change', {
+        ...change,
+        added: change.added.map(toId),
+        removed: change.removed.map(toId),
+        changed: change.changed.map(toId),
+      });
+    });
+  }
+
+  Object.assign(indexer, {
+    getIndex,
+    getCurrentIndex: () => mergeIndexes(sources.map(source => source.indexer.getCurrentIndex())),
+    start() {
+      sources.forEach(source => source.indexer.start());
+      return indexer;
+    },
+    close() {
+      sources.forEach(source => source.indexer.close());
+    },
+  });
+  return Object.defineProperty(indexer, 'watching', {
+    get: () => sources.some(source => source.indexer.watching),
+  });
+}
+
+module.exports = {
+  RESERVED_SOURCE_IDS,
+  resolveSources,
+  createSourceHandlers,
+  createSourceIndexer,
+  toSourceStoryId,
+};
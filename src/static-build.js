@@ -0,0 +1,271 @@
+/**
+ * Component metadata harvested from a static Storybook build
+ *
+ * Storybook's docgen plugins embed component info in the built bundles
+ * (`Button.__docgenInfo = {...}` for React and Vue, `Button.__docgen = {...}` for Svelte),
+ * and web component projects ship a custom-elements.json next to index.json.
+ * This lets `--static` deployments answer with prop tables when the source tree is absent.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { parseExpression } = require('@babel/parser');
+const { docgenToProperties } = require('./react-docgen');
+const { findCustomElementDeclaration, customElementToDocs } = require('./custom-elements');
+
+// Harvested artifacts, keyed by static dir and invalidated when index.json changes
+const artifactsCache = new Map();
+
+// Bundles larger than this are vendor chunks, not component code
+const MAX_BUNDLE_SIZE = 20 * 1024 * 1024;
+
+/**
+ * List the JavaScript files of a build (recursively, skipping node_modules)
+ */
+function listBundles(dir) {
+  const files = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (entry.name !== 'node_modules') files.push(...listBundles(fullPath));
+    } else if (/\.m?js$/.test(entry.name)) {
+      files.push(fullPath);
+    }
+  }
+  return files;
+}
+
+/**
+ * Slice a balanced `{ ... }` starting at `start`, skipping over string contents
+ */
+function readObjectLiteral(content, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < content.length; i++) {
+    const char = content[i];
+    if (quote) {
+      if (char === '\\') i++;
+      else if (char === quote) quote = null;
+      continue;
+    }
+    if (char === '"' || char === "'" || char === '`') quote = char;
+    else if (char === '{') depth++;
+    else if (char === '}' && --depth === 0) return content.slice(start, i + 1);
+  }
+  return null;
+}
+
+/**
+ * Evaluate a literal expression, including minifier idioms (`!0`, `!1`, `void 0`)
+ */
+function toStaticValue(node) {
+  switch (node.type) {
+    case 'ObjectExpression': {
+      const value = {};
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.computed) continue;
+        const key = prop.key.type === 'Identifier' ? prop.key.name : String(prop.key.value);
+        value[key] = toStaticValue(prop.value);
+      }
+      return value;
+    }
+    case 'ArrayExpression':
+      return node.elements.map(element => (element ? toStaticValue(element) : null));
+    case 'StringLiteral':
+    case 'NumericLiteral':
+    case 'BooleanLiteral':
+      return node.value;
+    case 'NullLiteral':
+      return null;
+    case 'TemplateLiteral':
+      return node.expressions.length === 0 ? node.quasis[0].value.cooked : undefined;
+    case 'UnaryExpression':
+      if (node.operator === '!') return !toStaticValue(node.argument);
+      if (node.operator === '-') return -toStaticValue(node.argument);
+      return undefined;
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Parse an embedded docgen object (JSON from Vite plugins, JS object literals from webpack/minifiers)
+ */
+function parseEmbeddedObject(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    try {
+      return toStaticValue(parseExpression(text));
+    } catch (parseError) {
+      return null;
+    }
+  }
+}
+
+/**
+ * Collect every `X.__docgenInfo = {...}` / `X.__docgen = {...}` in a bundle, keyed by component name
+ */
+function collectDocgen(content, docgen) {
+  const assignmentRegex = /\.__docgen(?:Info)?\s*=\s*\{/g;
+  let match;
+  while ((match = assignmentRegex.exec(content)) !== null) {
+    const text = readObjectLiteral(content, match.index + match[0].length - 1);
+    if (!text) continue;
+    const info = parseEmbeddedObject(text);
+    const name = info?.displayName || info?.name;
+    if (name && !docgen.has(name)) {
+      docgen.set(name, info);
+    }
+    assignmentRegex.lastIndex = match.index + match[0].length - 1 + text.length;
+  }
+}
+
+/**
+ * Load (and cache) docgen info and the custom elements manifest from a static build
+ *
+ * @returns {{ docgen: Map<string, Object>, customElements: Object|null }}
+ */
+function loadStaticArtifacts(staticDir) {
+  const indexPath = path.join(staticDir, 'index.json');
+  const mtimeMs = fs.existsSync(indexPath) ? fs.statSync(indexPath).mtimeMs : 0;
+  const cached = artifactsCache.get(staticDir);
+  if (cached && cached.mtimeMs === mtimeMs) {
+    return cached.data;
+  }
+
+  const docgen = new Map();
+  for (const file of listBundles(staticDir)) {
+    try {
+      if (fs.statSync(file).size > MAX_BUNDLE_SIZE) continue;
+      const content = fs.readFileSync(file, 'utf8');
+      if (content.includes('__docgen')) collectDocgen(content, docgen);
+    } catch (error) {
+      // Ignore unreadable bundles
+    }
+  }
+
+  let customElements = null;
+  const manifestPath = path.join(staticDir, 'custom-elements.json');
+  if (fs.existsSync(manifestPath)) {
+    try {
+      customElements = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+      // Ignore invalid manifests
+    }
+  }
+
+  const data = { docgen, customElements };
+  artifactsCache.set(staticDir, { mtimeMs, data });
+  return data;
+}
+
+/**
+ * Type name from vue-docgen-api (`{ name }`) or vue-component-meta (`'string'`) props
+ */
+function vueTypeName(type) {
+  return typeof type === 'string' ? type : type?.name;
+}
+
+/**
+ * Convert embedded docgen info (react-docgen, vue-docgen-api / vue-component-meta, sveltedoc) to component docs
+ */
+function docgenToComponentDocs(info) {
+  const docs = {
+    properties: {},
+    description: info.description || '',
+    source: 'static-build',
+  };
+
+  if (Array.isArray(info.props)) {
+    // Vue
+    for (const prop of info.props) {
+      if (prop.global) continue;
+      docs.properties[prop.name] = {
+        description: prop.description || '',
+        tsType: vueTypeName(prop.type),
+        required: !!prop.required,
+      };
+      const defaultValue = prop.defaultValue?.value ?? prop.default;
+      if (defaultValue !== undefined) docs.properties[prop.name].defaultValue = defaultValue;
+    }
+    docs.events = (info.events || []).map(event => ({
+      name: event.name,
+      description: event.description || '',
+      tsType: event.type?.names ? event.type.names.join(' | ') : vueTypeName(event.type),
+    }));
+    docs.slots = (info.slots || []).map(slot => ({
+      name: slot.name,
+      description: slot.description || '',
+      bindings: Array.isArray(slot.bindings) ? slot.bindings.map(binding => binding.name).join(', ') : undefined,
+    }));
+  } else if (Array.isArray(info.data)) {
+    // Svelte (sveltedoc-parser)
+    for (const item of info.data) {
+      if (item.visibility !== 'public' || item.kind === 'const') continue;
+      docs.properties[item.name] = {
+        description: item.description || '',
+        tsType: item.type?.text,
+        required: false,
+      };
+      if (item.defaultValue !== undefined) docs.properties[item.name].defaultValue = String(item.defaultValue);
+    }
+    docs.events = (info.events || []).map(event => ({ name: event.name, description: event.description || '' }));
+    docs.slots = (info.slots || []).map(slot => ({ name: slot.name, description: slot.description || '' }));
+  } else {
+    // React
+    docs.properties = docgenToProperties(info);
+    docs.docgen = info;
+    if (Array.isArray(info.methods) && info.methods.length > 0) {
+      docs.methods = info.methods.map(method => ({
+        name: method.name,
+        description: method.docblock || method.description || '',
+        args: (method.params || []).map(param => ({ name: param.name, type: param.type?.name, optional: !!param.optional })),
+        returnType: method.returns?.type?.name || 'void',
+      }));
+    }
+  }
+
+  return docs;
+}
+
+/**
+ * Find build metadata for a story's component
+ *
+ * @param {Object} artifacts - From loadStaticArtifacts
+ * @param {Object} lookup - { name } (meta.component), { componentPath } (index.json, Storybook 8+) and { title }
+ * @returns {Object|null} Component docs in the extractComponentDocs shape, plus `displayName`
+ */
+function findStaticComponentDocs(artifacts, { name, componentPath, title } = {}) {
+  if (!artifacts) return null;
+
+  // Candidate names: meta.component, the component file name, then the last title segment
+  const candidates = [
+    name,
+    componentPath ? path.basename(componentPath).replace(/\.[^.]+$/, '') : null,
+    title ? title.split('/').pop().replace(/\s+/g, '') : null,
+  ].filter(Boolean);
+
+  const customElement = findCustomElementDeclaration(artifacts.customElements, { filePath: componentPath, name })
+    || candidates.map(candidate => findCustomElementDeclaration(artifacts.customElements, { name: candidate })).find(Boolean);
+  if (customElement) {
+    return { ...customElementToDocs(customElement), displayName: customElement.tagName || customElement.name };
+  }
+
+  const names = [...artifacts.docgen.keys()];
+  for (const candidate of candidates) {
+    const match = names.find(docgenName => docgenName === candidate)
+      || names.find(docgenName => docgenName.toLowerCase() === candidate.toLowerCase());
+    if (match) {
+      return { ...docgenToComponentDocs(artifacts.docgen.get(match)), displayName: match };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  loadStaticArtifacts,
+  findStaticComponentDocs,
+  docgenToComponentDocs,
+};
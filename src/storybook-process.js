@@ -0,0 +1,266 @@
+/**
+ * Storybook dev server run as a supervised child process
+ *
+ * The project's files are left untouched: Angular projects start through `ng run <project>:storybook`
+ * with the port and Compodoc passed as builder overrides (Compodoc only when `compodoc` is set).
+ * `startStorybookProcess` spawns it once; `superviseStorybook` (used by the server) runs the child in
+ * its own process group so stopping it also stops the Storybook node process behind npx / npm,
+ * restarts it when it crashes and reports `ready` from its output or once its index.json answers.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { spawn } = require('child_process');
+const { EventEmitter } = require('events');
+const fetch = require('node-fetch');
+const chalk = require('chalk');
+
+const ANGULAR_STORYBOOK_BUILDER = '@storybook/angular:start-storybook';
+
+// Storybook's startup banner ("Storybook 8.6.0 for angular started", "Local: http://localhost:6010/")
+const READY_PATTERN = /Storybook .*started|Local:\s+https?:\/\//i;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
+
+/**
+ * Angular project and target running the Storybook builder, from angular.json (read only)
+ */
+function findAngularStorybookTarget(projectDir) {
+  const angularJsonPath = path.join(projectDir, 'angular.json');
+  if (!fs.existsSync(angularJsonPath)) return null;
+
+  const angularJson = JSON.parse(fs.readFileSync(angularJsonPath, 'utf8'));
+  for (const [project, definition] of Object.entries(angularJson.projects || {})) {
+    const targets = definition.architect || definition.targets || {};
+    const target = Object.keys(targets).find(name => targets[name].builder === ANGULAR_STORYBOOK_BUILDER)
+      || (targets.storybook ? 'storybook' : null);
+    if (target) return { project, target };
+  }
+  return null;
+}
+
+/**
+ * Command that starts Storybook on `storybookPort`
+ *
+ * @param {Object} config - { projectDir, storybookPort, version, framework, compodoc }
+ * @returns {{ cmd: string, args: string[], description: string }}
+ */
+function getStorybookCommand(config) {
+  const { projectDir, storybookPort, version, framework, compodoc = false } = config;
+
+  // Angular with Storybook 8+: the builder owns the webpack config, so run it with overrides
+  if (framework === 'angular' && version >= 8) {
+    try {
+      const angular = findAngularStorybookTarget(projectDir);
+      if (angular) {
+        return {
+          cmd: 'npx',
+          args: ['ng', 'run', `${angular.project}:${angular.target}`, `--port=${storybookPort}`, `--compodoc=${compodoc}`, '--open=false'],
+          description: `Angular builder (${angular.project}:${angular.target}, Compodoc ${compodoc ? 'on' : 'off'})`,
+        };
+      }
+    } catch (error) {
+      // Unreadable angular.json: fall back to the Storybook CLI
+    }
+  }
+
+  return {
+    cmd: 'npx',
+    args: ['storybook', 'dev', '-p', String(storybookPort), '--no-open'],
+    description: 'Storybook CLI',
+  };
+}
+
+/**
+ * Spawn Storybook once, forwarding its output
+ *
+ * @param {Object} config - { projectDir, storybookPort, version, framework, compodoc, stdio, detached, command }
+ *   stdio: log to stderr (stdout carries MCP messages); detached: run in its own process group;
+ *   command: { cmd, args } instead of the detected one
+ * @returns {ChildProcess}
+ */
+function startStorybookProcess(config) {
+  const { projectDir, storybookPort } = config;
+  // In stdio mode stdout carries MCP messages, so all output goes to stderr
+  const log = config.stdio ? console.error : console.log;
+  const output = config.stdio ? process.stderr : process.stdout;
+  const { cmd, args, description } = config.command || getStorybookCommand(config);
+
+  log(chalk.blue('→') + ' Starting Storybook (internal)...');
+  if (description) log(chalk.dim(`   Using ${description}`));
+
+  const child = spawn(cmd, args, {
+    cwd: projectDir,
+    shell: true,
+    stdio: 'pipe',
+    detached: !!config.detached && process.platform !== 'win32',
+    env: {
+      ...process.env,
+      PORT: String(storybookPort),
+      STORYBOOK_PORT: String(storybookPort),
+    },
+  });
+
+  child.stdout.on('data', (data) => {
+    output.write(chalk.dim('[Storybook] ') + data.toString());
+  });
+
+  child.stderr.on('data', (data) => {
+    const msg = data.toString();
+    if (!msg.includes('ExperimentalWarning') && !msg.includes('punycode')) {
+      process.stderr.write(chalk.dim('[Storybook] ') + msg);
+    }
+  });
+
+  child.on('error', (error) => {
+    log(chalk.yellow(`[Storybook] Could not start: ${error.message}`));
+  });
+
+  return child;
+}
+
+/**
+ * Start Storybook and keep it running: restarted after a crash, stopped with its whole process group
+ *
+ * Events: `ready`, `restart` ({ code, signal, attempt }), `exit` ({ code, signal }) once it is
+ * stopped or gives up after `maxRestarts` crashes in a row.
+ *
+ * @param {Object} config - startStorybookProcess config plus { storybookUrl, maxRestarts, restartDelay }
+ * @returns {EventEmitter} with `ready`, `child` (the current ChildProcess), `waitUntilReady(timeout)` and `stop()`
+ */
+function superviseStorybook(config) {
+  const { storybookUrl, maxRestarts = 3, restartDelay = 1000 } = config;
+  const log = config.stdio ? console.error : console.log;
+
+  const storybook = new EventEmitter();
+  storybook.ready = false;
+  let child = null;
+  let stopping = null;
+  let crashes = 0;
+  let restartTimer = null;
+  let recentOutput = '';
+
+  Object.defineProperty(storybook, 'child', { get: () => child });
+
+  function markReady() {
+    if (storybook.ready) return;
+    storybook.ready = true;
+    crashes = 0;
+    storybook.emit('ready');
+  }
+
+  function watchOutput(data) {
+    recentOutput = (recentOutput + data.toString().replace(ANSI_PATTERN, '')).slice(-500);
+    if (READY_PATTERN.test(recentOutput)) markReady();
+  }
+
+  function spawnChild() {
+    // Own process group, so stop() reaches Storybook behind the shell and npx
+    child = startStorybookProcess({ ...config, detached: true });
+    child.stdout.on('data', watchOutput);
+    child.stderr.on('data', watchOutput);
+
+    child.on('exit', (code, signal) => {
+      child = null;
+      storybook.ready = false;
+      recentOutput = '';
+      if (stopping || (code === 0 && !signal)) {
+        storybook.emit('exit', { code, signal });
+        return;
+      }
+
+      crashes++;
+      if (crashes > maxRestarts) {
+        log(chalk.red(`[Storybook] Exited with ${signal || `code ${code}`}; gave up after ${maxRestarts} restarts`));
+        storybook.emit('exit', { code, signal });
+        return;
+      }
+      log(chalk.yellow(`[Storybook] Exited with ${signal || `code ${code}`}, restarting (${crashes}/${maxRestarts})...`));
+      storybook.emit('restart', { code, signal, attempt: crashes });
+      restartTimer = setTimeout(spawnChild, restartDelay * crashes);
+    });
+  }
+
+  function killGroup(signal) {
+    if (!child) return;
+    try {
+      if (process.platform === 'win32') {
+        spawn('taskkill', ['/pid', String(child.pid), '/T', '/F']);
+      } else {
+        process.kill(-child.pid, signal);
+      }
+    } catch (error) {
+      // Already gone
+    }
+  }
+
+  // A server that exits without stop() (e.g. a crash) must not leave Storybook behind
+  const killOnExit = () => killGroup('SIGKILL');
+  process.on('exit', killOnExit);
+
+  /**
+   * Resolve true once Storybook is ready (its banner, or index.json answering at `storybookUrl`),
+   * false on timeout or when it is no longer running
+   */
+  storybook.waitUntilReady = (timeout = 120000) => new Promise((resolve) => {
+    if (storybook.ready) return resolve(true);
+
+    let poll = null;
+    let done = false;
+    const finish = (ready) => {
+      done = true;
+      clearTimeout(timer);
+      clearTimeout(poll);
+      storybook.off('ready', onReady);
+      storybook.off('exit', onExit);
+      resolve(ready);
+    };
+    const onReady = () => finish(true);
+    const onExit = () => finish(false);
+    const timer = setTimeout(() => finish(false), timeout);
+    storybook.on('ready', onReady);
+    storybook.on('exit', onExit);
+
+    // Builders that print no banner: fall back to the index answering
+    const check = async () => {
+      try {
+        const response = await fetch(`${storybookUrl}/index.json`);
+        if (response.ok && !done) return markReady();
+      } catch (error) {
+        // Not listening yet
+      }
+      if (!done) poll = setTimeout(check, 2000);
+    };
+    if (storybookUrl) poll = setTimeout(check, 2000);
+  });
+
+  /**
+   * Stop Storybook (SIGTERM to its process group, SIGKILL after `grace` ms); resolves once it exited
+   */
+  storybook.stop = (grace = 5000) => {
+    if (stopping) return stopping;
+    clearTimeout(restartTimer);
+    process.off('exit', killOnExit);
+    stopping = new Promise((resolve) => {
+      if (!child) {
+        storybook.emit('exit', { code: null, signal: null });
+        return resolve();
+      }
+      const force = setTimeout(() => killGroup('SIGKILL'), grace);
+      storybook.once('exit', () => {
+        clearTimeout(force);
+        resolve();
+      });
+      killGroup('SIGTERM');
+    });
+    return stopping;
+  };
+
+  spawnChild();
+  return storybook;
+}
+
+module.exports = {
+  getStorybookCommand,
+  startStorybookProcess,
+  superviseStorybook,
+};
@@ -0,0 +1,231 @@
+/**
+ * Svelte component documentation
+ *
+ * Reads Svelte 4 props (`export let`), Svelte 5 runes (`let { ... } = $props()`, `$bindable()`),
+ * `createEventDispatcher` events, slots / snippets and the `<!-- @component -->` description.
+ */
+
+const path = require('path');
+const { parseSource, unwrap } = require('./csf');
+const { getJsDoc, parseJsDocTags, createTypeResolver, typeToString } = require('./ts-types');
+
+/**
+ * Split a Svelte component into its instance script, module script and markup
+ */
+function parseSvelteBlocks(content) {
+  const blocks = { instance: null, module: null, markup: content };
+
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+  let match;
+  while ((match = scriptRegex.exec(content)) !== null) {
+    const attrs = match[1];
+    const block = {
+      lang: attrs.match(/\blang\s*=\s*["']([^"']+)["']/)?.[1] || 'js',
+      content: match[2],
+    };
+    if (/\bcontext\s*=\s*["']module["']|\bmodule\b/.test(attrs)) {
+      blocks.module = block;
+    } else {
+      blocks.instance = block;
+    }
+  }
+
+  blocks.markup = content
+    .replace(/<script\b[^>]*>[\s\S]*?<\/script>/g, '')
+    .replace(/<style\b[^>]*>[\s\S]*?<\/style>/g, '')
+    .replace(/<!--\s*@component\b[\s\S]*?-->/, '')
+    .trim();
+
+  return blocks;
+}
+
+/**
+ * Type of an untyped prop, guessed from its default value
+ */
+function inferType(node) {
+  switch (node?.type) {
+    case 'StringLiteral':
+    case 'TemplateLiteral':
+      return 'string';
+    case 'NumericLiteral':
+      return 'number';
+    case 'BooleanLiteral':
+      return 'boolean';
+    case 'ArrayExpression':
+      return 'array';
+    case 'ObjectExpression':
+      return 'object';
+    case 'ArrowFunctionExpression':
+    case 'FunctionExpression':
+      return 'function';
+    default:
+      return undefined;
+  }
+}
+
+function isRuneCall(node, rune) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' && node.callee.name === rune;
+}
+
+/**
+ * Collect props and events from the parsed script statements
+ */
+function collectScript(statements, content, body) {
+  const source = node => content.slice(node.start, node.end);
+  const { collectTypeMembers } = createTypeResolver(content, body);
+  const properties = {};
+  const events = [];
+  const models = [];
+
+  const addEvent = (event) => {
+    if (!events.some(existing => existing.name === event.name)) events.push(event);
+  };
+
+  for (const statement of statements) {
+    // Svelte 4: export let label: string = 'Button';
+    if (statement.type === 'ExportNamedDeclaration' && statement.declaration?.type === 'VariableDeclaration'
+      && statement.declaration.kind !== 'const') {
+      const jsDoc = parseJsDocTags(getJsDoc(statement));
+      const typeTag = getJsDoc(statement).match(/@type\s*\{([^}]+)\}/);
+      for (const declarator of statement.declaration.declarations) {
+        if (declarator.id.type !== 'Identifier') continue;
+        const annotation = declarator.id.typeAnnotation?.typeAnnotation;
+        properties[declarator.id.name] = {
+          description: jsDoc.description,
+          tsType: annotation ? source(annotation) : typeTag ? typeTag[1].trim() : inferType(declarator.init),
+          required: !declarator.init,
+        };
+        if (declarator.init) properties[declarator.id.name].defaultValue = source(declarator.init);
+      }
+      continue;
+    }
+
+    if (statement.type !== 'VariableDeclaration') continue;
+    for (const declarator of statement.declarations) {
+      const init = unwrap(declarator.init);
+
+      // Svelte 5: let { label, size = 'md', value = $bindable() }: Props = $props();
+      if (isRuneCall(init, '$props') && declarator.id.type === 'ObjectPattern') {
+        for (const [name, member] of collectTypeMembers(declarator.id.typeAnnotation)) {
+          properties[name] = {
+            description: member.description,
+            tsType: typeToString(member.tsType),
+            required: member.required,
+          };
+        }
+        for (const prop of declarator.id.properties) {
+          if (prop.type !== 'ObjectProperty' || prop.computed) continue;
+          const name = prop.key.name || prop.key.value;
+          const property = properties[name] || (properties[name] = { description: '', required: false });
+          if (prop.value.type !== 'AssignmentPattern') continue;
+
+          let defaultNode = prop.value.right;
+          if (isRuneCall(defaultNode, '$bindable')) {
+            models.push({ name, tsType: property.tsType });
+            defaultNode = defaultNode.arguments[0];
+          }
+          if (defaultNode) {
+            property.defaultValue = source(defaultNode);
+            property.tsType = property.tsType || inferType(defaultNode);
+          }
+        }
+      }
+
+      // Svelte 4 events: createEventDispatcher<{ change: number }>()
+      if (isRuneCall(init, 'createEventDispatcher')) {
+        const typeParam = init.typeParameters?.params[0];
+        for (const member of typeParam?.type === 'TSTypeLiteral' ? typeParam.members : []) {
+          if (member.type !== 'TSPropertySignature' || member.computed) continue;
+          addEvent({
+            name: member.key.name || member.key.value,
+            description: getJsDoc(member),
+            tsType: member.typeAnnotation ? source(member.typeAnnotation.typeAnnotation) : undefined,
+          });
+        }
+      }
+    }
+  }
+
+  // dispatch('change', value) calls
+  const dispatchRegex = /\bdispatch\(\s*['"`]([^'"`]+)['"`]/g;
+  let match;
+  const code = statements.map(source).join('\n');
+  while ((match = dispatchRegex.exec(code)) !== null) {
+    addEvent({ name: match[1], description: '' });
+  }
+
+  return { properties, events, models };
+}
+
+/**
+ * Slots declared in markup: `<slot name="item" {item} index={i} />`
+ */
+function collectMarkupSlots(markup) {
+  const slots = [];
+  const slotRegex = /<slot\b((?:[^>{]|\{[^}]*\})*?)\/?>/g;
+  let match;
+  while ((match = slotRegex.exec(markup)) !== null) {
+    const attrs = match[1];
+    const name = attrs.match(/(?:^|\s)name\s*=\s*["']([^"']+)["']/)?.[1] || 'default';
+    const bindings = [
+      ...[...attrs.matchAll(/(?:^|\s)([\w-]+)\s*=\s*\{/g)].map(m => m[1]),
+      ...[...attrs.matchAll(/(?:^|\s)\{(\w+)\}/g)].map(m => m[1]),
+    ];
+    if (!slots.some(slot => slot.name === name)) {
+      slots.push({ name, description: '', bindings: bindings.length > 0 ? bindings.join(', ') : undefined });
+    }
+  }
+  return slots;
+}
+
+/**
+ * Extract documentation from a `.svelte` component
+ *
+ * @param {string} content - Component source
+ * @param {string} filePath - Used for the component name
+ * @returns {Object} { displayName, description, properties, events, slots, models, script, template }
+ */
+function extractSvelteDocs(content, filePath) {
+  const blocks = parseSvelteBlocks(content);
+  const scripts = [blocks.module, blocks.instance].filter(Boolean);
+
+  // Parse both scripts together so types from the module script resolve in the instance script
+  const combined = scripts.map(block => block.content).join('\n');
+  const isTs = scripts.some(block => block.lang === 'ts' || block.lang === 'typescript');
+  const body = parseSource(combined, isTs ? 'component.ts' : 'component.js').program.body;
+  const instanceStart = blocks.module && blocks.instance ? blocks.module.content.length + 1 : 0;
+  const instanceStatements = blocks.instance ? body.filter(statement => statement.start >= instanceStart) : [];
+
+  const { properties, events, models } = collectScript(instanceStatements, combined, body);
+
+  // Svelte 5 snippets take the place of slots
+  const slots = collectMarkupSlots(blocks.markup);
+  for (const [name, property] of Object.entries(properties)) {
+    if (/^Snippet\b/.test(property.tsType || '')) {
+      slots.push({ name, description: property.description, bindings: property.tsType.match(/^Snippet<\[(.*)\]>$/)?.[1] });
+    }
+  }
+
+  // Events forwarded from elements without a handler: <button on:click>
+  for (const match of blocks.markup.matchAll(/\bon:([\w-]+)(?=[\s/>|])(?!\s*=)/g)) {
+    if (!events.some(event => event.name === match[1])) events.push({ name: match[1], description: '' });
+  }
+
+  const componentDoc = content.match(/<!--\s*@component\b([\s\S]*?)-->/);
+
+  return {
+    displayName: path.basename(filePath, '.svelte'),
+    description: componentDoc ? componentDoc[1].trim() : '',
+    properties,
+    events,
+    slots,
+    models,
+    script: blocks.instance ? blocks.instance.content.trim() : '',
+    template: blocks.markup,
+  };
+}
+
+module.exports = {
+  parseSvelteBlocks,
+  extractSvelteDocs,
+};
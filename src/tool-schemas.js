@@ -0,0 +1,273 @@
+/**
+ * MCP tool definitions: input and output schemas declared once with zod
+ *
+ * Input schemas validate `tools/call` arguments; both are published as JSON Schema
+ * (`inputSchema` / `outputSchema`) by `tools/list` and `GET /mcp`.
+ */
+
+const { z } = require('zod');
+const { DETAIL_LEVELS } = require('./response-shaping');
+
+// Fields of list_stories entries (for `fields` selection)
+const STORY_FIELDS = ['id', 'name', 'title', 'kind', 'importPath', 'tags', 'type'];
+
+// Default list_stories page size for MCP clients (REST returns everything unless ?limit= is set)
+const LIST_STORIES_PAGE_SIZE = 100;
+
+// Response-size arguments accepted by every tool (see response-shaping.js)
+const shapingArgs = {
+  maxTokens: z.number().min(0).optional()
+    .describe('Approximate token budget for the result; long fields are truncated to fit and listed under "elided"'),
+  detail: z.enum(DETAIL_LEVELS).optional()
+    .describe('summary: names and descriptions only; standard (default): omits component source; full: everything'),
+};
+
+const storyIdArg = example => z.string().min(1).describe(`The story ID (e.g., ${example})`);
+const componentNameArg = z.string().min(1).describe('Component name (e.g., ButtonComponent)');
+const storyTypeArg = z.enum(['story', 'docs']).optional().describe('Only return entries of this type');
+const listArg = item => z.union([item, z.array(item)]);
+// Only published when the server combines several Storybooks (see sources.js)
+const sourceArg = z.string().min(1).optional().describe('Only this Storybook (source ID); all sources by default');
+
+// Free-form maps (args, argTypes, props) and records whose fields depend on the framework
+const anyMap = z.record(z.string(), z.unknown());
+const docsRecord = fields => z.looseObject(fields);
+
+const storyEntry = z.object({
+  id: z.string(),
+  name: z.string().optional(),
+  title: z.string().optional(),
+  kind: z.string().optional(),
+  importPath: z.string().optional(),
+  tags: z.array(z.string()).optional(),
+  type: z.string().optional(),
+  source: z.string().optional().describe('The Storybook this entry comes from (several sources only)'),
+});
+
+// Sources left out of a merged result because their index could not be loaded
+const unavailableSources = z.array(z.object({ source: z.string(), error: z.string() })).optional();
+
+/**
+ * Successful results; errors are returned as `isError` results without structured content
+ */
+function resultSchema(fields) {
+  return z.object({
+    success: z.literal(true),
+    ...fields,
+    elided: z.array(z.string()).optional().describe('Fields omitted or truncated to fit the detail level and token budget'),
+  });
+}
+
+const TOOLS = [
+  {
+    name: 'list_stories',
+    handler: 'listStories',
+    description: `List Storybook stories, ${LIST_STORIES_PAGE_SIZE} per page by default; pass nextCursor back as cursor for the next page`,
+    input: z.object({
+      kind: z.string().optional().describe('Filter stories by kind/category'),
+      title: z.string().optional().describe('Title prefix (e.g., "Forms/") or glob (e.g., "Forms/*", "**/Button")'),
+      tags: listArg(z.string()).optional()
+        .describe('Only stories with any of these tags; prefix with ! to exclude (e.g., ["dev", "!autodocs"])'),
+      type: storyTypeArg,
+      fields: z.union([z.string(), z.array(z.enum(STORY_FIELDS))]).optional()
+        .describe(`Fields to return for each story (id is always included): ${STORY_FIELDS.join(', ')}`),
+      limit: z.number().int().min(0).default(LIST_STORIES_PAGE_SIZE).describe('Page size (0 for all)'),
+      cursor: z.string().optional().describe('nextCursor from the previous page'),
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      count: z.number(),
+      total: z.number(),
+      stories: z.array(storyEntry),
+      nextCursor: z.string().optional(),
+      unavailable: unavailableSources,
+    }),
+  },
+  {
+    name: 'get_story',
+    handler: 'getStory',
+    description: 'Get detailed information about a specific story',
+    input: z.object({
+      storyId: storyIdArg('example-button--primary'),
+    }),
+    output: resultSchema({
+      story: docsRecord({
+        ...storyEntry.shape,
+        component: z.string().optional(),
+        args: anyMap.optional(),
+        initialArgs: anyMap.optional(),
+        argTypes: anyMap.optional(),
+        docs: anyMap.optional(),
+      }),
+    }),
+  },
+  {
+    name: 'get_story_docs',
+    handler: 'getStoryDocs',
+    description: 'Get full documentation for a story including code examples; format "markdown" returns a readable page (props table, usage per story, MDX content)',
+    input: z.object({
+      storyId: storyIdArg('example-button--docs'),
+      format: z.enum(['json', 'markdown']).optional().describe('json (default) or markdown'),
+    }),
+    output: resultSchema({
+      storyId: z.string().optional(),
+      source: storyEntry.shape.source,
+      markdown: z.string().optional().describe('The rendered page (format: markdown)'),
+      docs: docsRecord({
+        storyId: z.string(),
+        title: z.string().optional(),
+        name: z.string().optional(),
+        type: z.string().optional(),
+        framework: z.string().optional(),
+        component: z.string().optional(),
+        selector: z.string().optional(),
+        properties: anyMap.optional(),
+        imports: z.array(z.string()).optional(),
+        storyExamples: anyMap.optional(),
+        usageExamples: anyMap.optional(),
+        of: z.string().optional().describe('MDX pages: the stories file from <Meta of={...} />'),
+        blocks: z.array(docsRecord({ type: z.string() })).optional()
+          .describe('MDX pages: headings, prose, code and doc blocks resolved to story and props data'),
+      }).optional(),
+    }),
+  },
+  {
+    name: 'search_stories',
+    handler: 'searchStories',
+    description: 'Search stories and components by keywords (titles, names, tags, component names and descriptions, prop names, MDX docs). Results are ranked by relevance and tolerate typos.',
+    input: z.object({
+      query: z.string().trim().min(1).describe('Search terms (e.g., "date picker")'),
+      limit: z.number().int().min(1).optional().describe('Maximum number of results (default: 20)'),
+      type: storyTypeArg,
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      query: z.string(),
+      count: z.number(),
+      results: z.array(storyEntry.extend({
+        component: z.string().optional(),
+        score: z.number(),
+        matches: z.array(z.string()),
+      })),
+      unavailable: unavailableSources,
+    }),
+  },
+  {
+    name: 'get_stories_by_kind',
+    handler: 'getStoriesByKind',
+    description: 'Get the stories of one kind/category (story title, e.g. "Example/Button")',
+    input: z.object({
+      kind: z.string().min(1).describe('The story kind/title'),
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      count: z.number(),
+      kind: z.string(),
+      stories: z.array(storyEntry),
+      unavailable: unavailableSources,
+    }),
+  },
+  {
+    name: 'list_components',
+    handler: 'listComponents',
+    description: 'List all components that have stories, with their story and docs page IDs',
+    input: z.object({
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      count: z.number(),
+      components: z.array(z.object({
+        name: z.string(),
+        title: z.string().optional(),
+        source: storyEntry.shape.source,
+        stories: z.array(z.string()),
+        docs: z.array(z.string()),
+      })),
+      unavailable: unavailableSources,
+    }),
+  },
+  {
+    name: 'get_component',
+    handler: 'getComponent',
+    description: 'Get everything about a component: props, events, slots, description, source path, all its stories with args and usage, and its docs pages',
+    input: z.object({
+      name: componentNameArg,
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      component: docsRecord({
+        name: z.string(),
+        title: z.string().optional(),
+        selector: z.string().optional(),
+        description: z.string().optional(),
+        sourcePath: z.string().optional(),
+        properties: anyMap.optional(),
+        stories: z.array(docsRecord({ id: z.string(), name: z.string().optional(), args: anyMap.optional(), usage: z.string().optional() })),
+        docsPages: z.array(docsRecord({ id: z.string(), name: z.string().optional(), content: z.string().optional() })),
+      }),
+    }),
+  },
+  {
+    name: 'get_component_usage',
+    handler: 'getComponentUsage',
+    description: 'Get how to use a component: import statements, required props and a usage snippet for each story',
+    input: z.object({
+      name: componentNameArg,
+      storyId: z.string().optional().describe('Only the usage from this story'),
+      source: sourceArg,
+    }),
+    output: resultSchema({
+      component: z.string(),
+      source: storyEntry.shape.source,
+      selector: z.string().optional(),
+      sourcePath: z.string().optional(),
+      imports: z.array(z.string()).optional(),
+      requiredProps: z.array(z.string()),
+      examples: z.array(z.object({
+        storyId: z.string(),
+        name: z.string().optional(),
+        args: anyMap.optional(),
+        usage: z.string().optional(),
+        storyCode: z.string().optional(),
+      })),
+    }),
+  },
+].map(tool => ({ ...tool, input: tool.input.extend(shapingArgs) }));
+
+/**
+ * Convert a zod schema to JSON Schema for MCP clients
+ */
+function toJsonSchema(schema, io) {
+  const { $schema, ...jsonSchema } = z.toJSONSchema(schema, { io });
+  return jsonSchema;
+}
+
+// JSON Schemas are derived once; tools/list only patches in dynamic enums
+const TOOL_DEFINITIONS = TOOLS.map(tool => ({
+  name: tool.name,
+  description: tool.description,
+  inputSchema: toJsonSchema(tool.input, 'input'),
+  outputSchema: toJsonSchema(tool.output, 'output'),
+}));
+
+/**
+ * Validate tool arguments
+ *
+ * @returns {{ success: true, data: Object } | { success: false, error: string }}
+ */
+function parseToolArguments(tool, args) {
+  const parsed = tool.input.safeParse(args ?? {});
+  if (parsed.success) {
+    return { success: true, data: parsed.data };
+  }
+  const issues = parsed.error.issues.map(issue => `${issue.path.join('.') || 'arguments'}: ${issue.message}`);
+  return { success: false, error: `Invalid arguments for ${tool.name}: ${issues.join('; ')}` };
+}
+
+module.exports = {
+  STORY_FIELDS,
+  LIST_STORIES_PAGE_SIZE,
+  TOOLS,
+  TOOL_DEFINITIONS,
+  parseToolArguments,
+};
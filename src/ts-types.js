@@ -0,0 +1,182 @@
+/**
+ * Shared helpers for reading TypeScript types and JSDoc from Babel ASTs
+ */
+
+const TS_KEYWORDS = {
+  TSStringKeyword: 'string',
+  TSNumberKeyword: 'number',
+  TSBooleanKeyword: 'boolean',
+  TSAnyKeyword: 'any',
+  TSUnknownKeyword: 'unknown',
+  TSVoidKeyword: 'void',
+  TSNullKeyword: 'null',
+  TSUndefinedKeyword: 'undefined',
+  TSNeverKeyword: 'never',
+  TSObjectKeyword: 'object',
+  TSBigIntKeyword: 'bigint',
+  TSSymbolKeyword: 'symbol',
+};
+
+/**
+ * Text of the JSDoc block directly preceding a node
+ */
+function getJsDoc(node) {
+  const comments = (node?.leadingComments || []).filter(c => c.type === 'CommentBlock' && c.value.startsWith('*'));
+  if (comments.length === 0) return '';
+  return comments[comments.length - 1].value
+    .replace(/^\*/, '')
+    .replace(/^\s*\*\s?/gm, '')
+    .trim();
+}
+
+/**
+ * Split JSDoc text into its description and block tags (`@fires change - Fired on change`)
+ *
+ * @returns {{ description: string, tags: Array<{ tag: string, name: string, description: string }> }}
+ */
+function parseJsDocTags(text) {
+  const [description, ...blocks] = (text || '').split(/^(?=@\w)/m);
+  const tags = blocks.map((block) => {
+    const match = block.trim().match(/^@(\w+)\s*(?:\{[^}]*\}\s*)?([^\s]*)\s*(?:-\s*)?([\s\S]*)$/);
+    return { tag: match[1], name: match[2] === '-' ? '' : match[2], description: match[3].trim() };
+  });
+  return { description: description.trim(), tags };
+}
+
+/**
+ * Create a resolver for the type declarations (interfaces, type aliases) of a module body
+ *
+ * @param {string} content - Source code the AST was parsed from
+ * @param {Array} body - Top-level statements (`ast.program.body`)
+ */
+function createTypeResolver(content, body) {
+  const source = node => content.slice(node.start, node.end);
+  const typeDeclarations = new Map();
+
+  for (const statement of body) {
+    const declaration = ['ExportNamedDeclaration', 'ExportDefaultDeclaration'].includes(statement.type)
+      ? statement.declaration
+      : statement;
+    if (declaration && (declaration.type === 'TSInterfaceDeclaration' || declaration.type === 'TSTypeAliasDeclaration')) {
+      typeDeclarations.set(declaration.id.name, declaration);
+    }
+  }
+
+  /**
+   * Describe a TS type node in react-docgen's `tsType` shape
+   */
+  function describeType(node) {
+    if (!node) return undefined;
+    if (TS_KEYWORDS[node.type]) return { name: TS_KEYWORDS[node.type] };
+
+    switch (node.type) {
+      case 'TSLiteralType':
+        return { name: 'literal', value: source(node.literal) };
+      case 'TSUnionType':
+        return { name: 'union', raw: source(node), elements: node.types.map(describeType) };
+      case 'TSArrayType':
+        return { name: 'Array', raw: source(node), elements: [describeType(node.elementType)] };
+      case 'TSFunctionType':
+        return { name: 'signature', type: 'function', raw: source(node) };
+      case 'TSTypeLiteral':
+        return { name: 'signature', type: 'object', raw: source(node) };
+      case 'TSParenthesizedType':
+        return describeType(node.typeAnnotation);
+      case 'TSTypeReference': {
+        const name = source(node.typeName);
+        return node.typeParameters
+          ? { name, raw: source(node), elements: node.typeParameters.params.map(describeType) }
+          : { name };
+      }
+      default:
+        return { name: source(node) };
+  }
+  }
+
+  /**
+   * Collect prop signatures from a props type (interfaces, type literals, intersections, extends)
+   */
+  function collectTypeMembers(typeNode, members = new Map(), seen = new Set()) {
+    if (!typeNode) return members;
+    const node = typeNode.type === 'TSTypeAnnotation' ? typeNode.typeAnnotation : typeNode;
+
+    const addMembers = (body) => {
+      for (const member of body) {
+        if (member.type !== 'TSPropertySignature' || member.computed) continue;
+        const name = member.key.type === 'Identifier' ? member.key.name : member.key.value;
+        members.set(name, {
+          required: !member.optional,
+          tsType: describeType(member.typeAnnotation?.typeAnnotation),
+          description: getJsDoc(member),
+        });
+      }
+    };
+
+    switch (node.type) {
+      case 'TSTypeLiteral':
+        addMembers(node.members);
+        break;
+      case 'TSIntersectionType':
+        node.types.forEach(type => collectTypeMembers(type, members, seen));
+        break;
+      case 'TSParenthesizedType':
+        collectTypeMembers(node.typeAnnotation, members, seen);
+        break;
+      case 'TSTypeReference': {
+        const name = source(node.typeName);
+        // Utility types wrapping a local type: Partial<Props>, Readonly<Props>, Omit<Props, 'x'>...
+        if (['Partial', 'Required', 'Readonly', 'Omit', 'Pick', 'PropsWithChildren'].includes(name) && node.typeParameters) {
+          collectTypeMembers(node.typeParameters.params[0], members, seen);
+          if (name === 'PropsWithChildren') {
+            members.set('children', { required: false, tsType: { name: 'ReactNode' }, description: '' });
+          }
+          break;
+        }
+        const declaration = typeDeclarations.get(name);
+        if (!declaration || seen.has(name)) break;
+        seen.add(name);
+        if (declaration.type === 'TSInterfaceDeclaration') {
+          for (const parent of declaration.extends || []) {
+            collectTypeMembers({ type: 'TSTypeReference', typeName: parent.expression, typeParameters: parent.typeParameters }, members, seen);
+          }
+          addMembers(declaration.body.body);
+        } else {
+          collectTypeMembers(declaration.typeAnnotation, members, seen);
+        }
+        break;
+      }
+      default:
+        break;
+  }
+  return members;
+  }
+
+  return { describeType, collectTypeMembers, typeDeclarations };
+}
+
+/**
+ * Whether a default value expression is a static literal
+ */
+function isStaticValue(node) {
+  return ['StringLiteral', 'NumericLiteral', 'BooleanLiteral', 'NullLiteral', 'ObjectExpression', 'ArrayExpression']
+    .includes(node.type) || (node.type === 'TemplateLiteral' && node.expressions.length === 0);
+}
+
+/**
+ * Readable type string for a docgen `tsType` / PropTypes `type`
+ */
+function typeToString(type) {
+  if (!type) return undefined;
+  if (type.raw) return type.raw;
+  if (type.name === 'literal') return type.value;
+  if (type.value !== undefined) return `${type.name}(${type.value})`;
+  return type.name;
+}
+
+module.exports = {
+  getJsDoc,
+  parseJsDocTags,
+  createTypeResolver,
+  isStaticValue,
+  typeToString,
+};
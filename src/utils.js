@@ -94,10 +94,65 @@ function detectFramework(projectDir) {
   }
 }
 
+/**
+ * Encode a list offset as an opaque pagination cursor
+ */
+function encodeCursor(offset) {
+  return Buffer.from(String(offset)).toString('base64url');
+}
+
+/**
+ * Decode a pagination cursor; null when invalid
+ */
+function decodeCursor(cursor) {
+  const offset = Number(Buffer.from(String(cursor), 'base64url').toString());
+  return Number.isInteger(offset) && offset >= 0 ? offset : null;
+}
+
+/**
+ * Parse a page size (0 or absent: no limit); null when it is not a non-negative integer
+ */
+function decodeLimit(limit) {
+  if (limit === undefined || limit === null) return 0;
+  const value = typeof limit === 'number' ? limit : (/^\s*\d+\s*$/.test(String(limit)) ? Number(limit) : NaN);
+  return Number.isInteger(value) && value >= 0 ? value : null;
+}
+
+/**
+ * Normalize a list argument: an array, or a comma-separated string (REST query strings)
+ */
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  return (Array.isArray(value) ? value : String(value).split(','))
+    .map(item => String(item).trim())
+    .filter(Boolean);
+}
+
+/**
+ * Convert a title glob to a RegExp: `*` matches within one path segment, `**` across segments
+ */
+function globToRegExp(glob) {
+  const pattern = glob
+    .split(/(\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === '**') return '.*';
+      if (part === '*') return '[^/]*';
+      if (part === '?') return '[^/]';
+      return part.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    })
+    .join('');
+  return new RegExp(`^${pattern}$`, 'i');
+}
+
 module.exports = {
   detectStorybookVersion,
   findStorybookConfig,
   detectFramework,
+  encodeCursor,
+  decodeCursor,
+  decodeLimit,
+  toList,
+  globToRegExp,
 };
 
 
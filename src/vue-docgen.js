@@ -0,0 +1,455 @@
+/**
+ * Vue single-file component documentation
+ *
+ * Reads props, emits, models and slots from `<script setup>` macros
+ * (defineProps / withDefaults / defineEmits / defineModel / defineSlots)
+ * and from Options API components (`export default { props, emits }`).
+ */
+
+const path = require('path');
+const { parseSource, unwrap } = require('./csf');
+const { getJsDoc, createTypeResolver, typeToString } = require('./ts-types');
+
+// Runtime prop constructors and the type they stand for
+const RUNTIME_TYPES = {
+  String: 'string',
+  Number: 'number',
+  Boolean: 'boolean',
+  Array: 'array',
+  Object: 'object',
+  Function: 'function',
+  Date: 'Date',
+  Symbol: 'symbol',
+};
+
+/**
+ * Split an SFC into its script and template blocks
+ */
+function parseSfcBlocks(content) {
+  const blocks = { script: null, scriptSetup: null, template: null };
+
+  const scriptRegex = /<script\b([^>]*)>([\s\S]*?)<\/script>/g;
+  let match;
+  while ((match = scriptRegex.exec(content)) !== null) {
+    const attrs = match[1];
+    const lang = attrs.match(/\blang\s*=\s*["']([^"']+)["']/)?.[1] || 'js';
+    const block = { lang, content: match[2] };
+    if (/\bsetup\b/.test(attrs)) {
+      blocks.scriptSetup = block;
+    } else {
+      blocks.script = block;
+    }
+  }
+
+  // Templates nest (`<template #header>`), so take the outermost block
+  const templateStart = content.match(/<template\b[^>]*>/);
+  const templateEnd = content.lastIndexOf('</template>');
+  if (templateStart && templateEnd > templateStart.index) {
+    blocks.template = content.slice(templateStart.index + templateStart[0].length, templateEnd).trim();
+  }
+
+  return blocks;
+}
+
+function parseScript(block) {
+  const ext = { ts: '.ts', tsx: '.tsx', jsx: '.jsx' }[block.lang] || '.js';
+  return parseSource(block.content, `component${ext}`).program.body;
+}
+
+function getCalleeName(node) {
+  return node?.type === 'CallExpression' && node.callee.type === 'Identifier' ? node.callee.name : null;
+}
+
+function getKeyName(node) {
+  if (node.computed) return null;
+  return node.key.type === 'Identifier' ? node.key.name : node.key.value;
+}
+
+/**
+ * Lowercase-first type name for runtime prop types: `String` -> `string`, `[String, Number]` -> `string | number`
+ */
+function runtimeTypeToString(node, source) {
+  if (!node) return undefined;
+  const inner = unwrap(node);
+  // `Array as PropType<Item[]>` carries the real type in the assertion
+  if (node.type === 'TSAsExpression' && node.typeAnnotation.type === 'TSTypeReference'
+    && source(node.typeAnnotation.typeName) === 'PropType' && node.typeAnnotation.typeParameters) {
+    return source(node.typeAnnotation.typeParameters.params[0]);
+  }
+  if (inner.type === 'Identifier') return RUNTIME_TYPES[inner.name] || inner.name;
+  if (inner.type === 'ArrayExpression') {
+    return inner.elements.map(element => runtimeTypeToString(element, source)).join(' | ');
+  }
+  if (inner.type === 'NullLiteral') return 'any';
+  return source(inner);
+}
+
+/**
+ * Default value source; factory functions (`() => []`) are reported by what they return
+ */
+function defaultToString(node, source) {
+  const inner = unwrap(node);
+  if (inner.type === 'ArrowFunctionExpression' && inner.body.type !== 'BlockStatement') {
+    return source(unwrap(inner.body));
+  }
+  return source(inner);
+}
+
+/**
+ * Create an extractor for the scripts of one SFC
+ */
+function createVueDocgen(body, content) {
+  const source = node => content.slice(node.start, node.end);
+  const { collectTypeMembers } = createTypeResolver(content, body);
+
+  const properties = {};
+  const events = [];
+  const slots = [];
+  let displayName = null;
+  let description = '';
+
+  const addEvent = (event) => {
+    if (!events.some(existing => existing.name === event.name)) events.push(event);
+  };
+
+  /**
+   * Runtime props: `['label']` or `{ label: String, size: { type: String, default: 'md' } }`
+   */
+  function collectRuntimeProps(node) {
+    node = unwrap(node);
+    if (node?.type === 'ArrayExpression') {
+      for (const element of node.elements) {
+        if (element?.type === 'StringLiteral') {
+          properties[element.value] = { description: getJsDoc(element), required: false };
+        }
+      }
+      return;
+    }
+    if (node?.type !== 'ObjectExpression') return;
+
+    for (const prop of node.properties) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const name = getKeyName(prop);
+      if (!name) continue;
+
+      const property = { description: getJsDoc(prop), required: false };
+      const value = unwrap(prop.value);
+      if (value.type === 'ObjectExpression') {
+        for (const option of value.properties) {
+          if (option.type !== 'ObjectProperty') continue;
+          const optionName = getKeyName(option);
+          if (optionName === 'type') property.tsType = runtimeTypeToString(option.value, source);
+          if (optionName === 'required') property.required = option.value.type === 'BooleanLiteral' && option.value.value;
+          if (optionName === 'default') property.defaultValue = defaultToString(option.value, source);
+        }
+      } else {
+        property.tsType = runtimeTypeToString(prop.value, source);
+      }
+      properties[name] = property;
+    }
+  }
+
+  /**
+   * Type-only props: `defineProps<Props>()`
+   */
+  function collectTypeProps(typeNode) {
+    for (const [name, member] of collectTypeMembers(typeNode)) {
+      properties[name] = {
+        description: member.description,
+        tsType: typeToString(member.tsType),
+        required: member.required,
+      };
+    }
+  }
+
+  /**
+   * Defaults from `withDefaults(..., { size: 'md' })` or a destructured `const { size = 'md' } = defineProps()`
+   */
+  function applyDefaults(node) {
+    node = unwrap(node);
+    if (node?.type === 'ObjectExpression') {
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || !properties[getKeyName(prop)]) continue;
+        properties[getKeyName(prop)].defaultValue = defaultToString(prop.value, source);
+      }
+    } else if (node?.type === 'ObjectPattern') {
+      for (const prop of node.properties) {
+        if (prop.type !== 'ObjectProperty' || prop.value.type !== 'AssignmentPattern') continue;
+        const property = properties[getKeyName(prop)];
+        if (property) property.defaultValue = source(prop.value.right);
+      }
+    }
+  }
+
+  function collectDefineProps(call) {
+    const typeParam = call.typeParameters?.params[0];
+    if (typeParam) {
+      collectTypeProps(typeParam);
+    } else if (call.arguments[0]) {
+      collectRuntimeProps(call.arguments[0]);
+    }
+  }
+
+  /**
+   * Emits from `defineEmits<{ (e: 'change', id: number): void }>()`,
+   * `defineEmits<{ change: [id: number] }>()`, `defineEmits(['change'])` or an `emits` option
+   */
+  function collectEmits(call) {
+    const typeParam = call.typeParameters?.params[0];
+    if (typeParam?.type === 'TSTypeLiteral') {
+      for (const member of typeParam.members) {
+        if (member.type === 'TSCallSignatureDeclaration') {
+          const [eventParam, ...payloadParams] = member.parameters;
+          const literal = eventParam?.typeAnnotation?.typeAnnotation;
+          const names = literal?.type === 'TSUnionType' ? literal.types : [literal];
+          for (const nameNode of names) {
+            if (nameNode?.type !== 'TSLiteralType') continue;
+            addEvent({
+              name: nameNode.literal.value,
+              description: getJsDoc(member),
+              payload: payloadParams.map(param => ({
+                name: param.name,
+                tsType: param.typeAnnotation ? source(param.typeAnnotation.typeAnnotation) : undefined,
+              })),
+            });
+          }
+        } else if (member.type === 'TSPropertySignature') {
+          const tuple = member.typeAnnotation?.typeAnnotation;
+          addEvent({
+            name: getKeyName(member),
+            description: getJsDoc(member),
+            payload: tuple?.type === 'TSTupleType'
+              ? tuple.elementTypes.map((element, index) => element.type === 'TSNamedTupleMember'
+                ? { name: element.label.name, tsType: source(element.elementType) }
+                : { name: `arg${index}`, tsType: source(element) })
+              : [],
+          });
+        }
+      }
+      return;
+    }
+    collectRuntimeEmits(call.arguments[0]);
+  }
+
+  function collectRuntimeEmits(node) {
+    const runtime = unwrap(node);
+    if (runtime?.type === 'ArrayExpression') {
+      for (const element of runtime.elements) {
+        if (element?.type === 'StringLiteral') {
+          addEvent({ name: element.value, description: getJsDoc(element), payload: [] });
+        }
+      }
+    } else if (runtime?.type === 'ObjectExpression') {
+      for (const prop of runtime.properties) {
+        const name = prop.type === 'ObjectProperty' || prop.type === 'ObjectMethod' ? getKeyName(prop) : null;
+        if (!name) continue;
+        const validator = prop.type === 'ObjectMethod' ? prop : unwrap(prop.value);
+        addEvent({
+          name,
+          description: getJsDoc(prop),
+          payload: (validator?.params || []).map(param => ({
+            name: source(param.type === 'AssignmentPattern' ? param.left : param).replace(/:.*$/, ''),
+            tsType: param.typeAnnotation ? source(param.typeAnnotation.typeAnnotation) : undefined,
+          })),
+        });
+      }
+    }
+  }
+
+  /**
+   * `defineModel()`, `defineModel<T>('name', { default })` -> a prop plus an `update:name` event
+   */
+  function collectDefineModel(call, docNode) {
+    const [first, second] = call.arguments;
+    const name = first?.type === 'StringLiteral' ? first.value : 'modelValue';
+    const options = unwrap(first?.type === 'StringLiteral' ? second : first);
+    const typeParam = call.typeParameters?.params[0];
+
+    const property = {
+      description: getJsDoc(docNode),
+      tsType: typeParam ? source(typeParam) : undefined,
+      required: false,
+    };
+    if (options?.type === 'ObjectExpression') {
+      for (const option of options.properties) {
+        if (option.type !== 'ObjectProperty') continue;
+        const optionName = getKeyName(option);
+        if (optionName === 'type' && !property.tsType) property.tsType = runtimeTypeToString(option.value, source);
+        if (optionName === 'required') property.required = option.value.type === 'BooleanLiteral' && option.value.value;
+        if (optionName === 'default') property.defaultValue = defaultToString(option.value, source);
+      }
+    }
+
+    properties[name] = property;
+    addEvent({
+      name: `update:${name}`,
+      description: '',
+      payload: [{ name: 'value', tsType: property.tsType }],
+    });
+  }
+
+  /**
+   * `defineSlots<{ default(props: { item: Item }): any }>()`
+   */
+  function collectDefineSlots(call) {
+    const typeParam = call.typeParameters?.params[0];
+    if (typeParam?.type !== 'TSTypeLiteral') return;
+    for (const member of typeParam.members) {
+      const name = member.key ? getKeyName(member) : null;
+      if (!name) continue;
+      const fn = member.type === 'TSMethodSignature' ? member : member.typeAnnotation?.typeAnnotation;
+      const propsParam = (fn?.parameters || [])[0];
+      slots.push({
+        name,
+        description: getJsDoc(member),
+        bindings: propsParam?.typeAnnotation ? source(propsParam.typeAnnotation.typeAnnotation) : undefined,
+      });
+    }
+  }
+
+  /**
+   * Options API object: `{ name, props, emits }`
+   */
+  function collectOptions(node) {
+    node = unwrap(node);
+    if (getCalleeName(node) === 'defineComponent') node = unwrap(node.arguments[0]);
+    if (node?.type !== 'ObjectExpression') return;
+
+    for (const prop of node.properties) {
+      if (prop.type !== 'ObjectProperty') continue;
+      const name = getKeyName(prop);
+      if (name === 'name' && prop.value.type === 'StringLiteral') displayName = prop.value.value;
+      if (name === 'props') collectRuntimeProps(prop.value);
+      if (name === 'emits') collectRuntimeEmits(prop.value);
+    }
+  }
+
+  /**
+   * Handle one macro call found at the top level of `<script setup>`
+   */
+  function collectMacro(call, { id, docNode }) {
+    switch (getCalleeName(call)) {
+      case 'defineProps':
+        collectDefineProps(call);
+        if (id) applyDefaults(id);
+        break;
+      case 'withDefaults':
+        if (getCalleeName(call.arguments[0]) === 'defineProps') {
+          collectDefineProps(call.arguments[0]);
+          applyDefaults(call.arguments[1]);
+        }
+        break;
+      case 'defineEmits':
+        collectEmits(call);
+        break;
+      case 'defineModel':
+        collectDefineModel(call, docNode);
+        break;
+      case 'defineSlots':
+        collectDefineSlots(call);
+        break;
+      case 'defineOptions':
+        collectOptions(call.arguments[0]);
+        if (!description) description = getJsDoc(docNode);
+        break;
+      default:
+        break;
+    }
+  }
+
+  function collectScript(statements, isSetup) {
+    for (const statement of statements) {
+      if (statement.type === 'ExportDefaultDeclaration') {
+        collectOptions(statement.declaration);
+        description = getJsDoc(statement) || description;
+        continue;
+      }
+      if (!isSetup) continue;
+
+      if (statement.type === 'ExpressionStatement') {
+        collectMacro(unwrap(statement.expression), { docNode: statement });
+      } else if (statement.type === 'VariableDeclaration') {
+        for (const declaration of statement.declarations) {
+          if (declaration.init) {
+            collectMacro(unwrap(declaration.init), { id: declaration.id, docNode: statement });
+          }
+        }
+      }
+    }
+
+    // A doc comment heading <script setup> describes the component
+    if (isSetup && !description && statements[0]?.type === 'ImportDeclaration') {
+      description = getJsDoc(statements[0]);
+    }
+  }
+
+  return {
+    collectScript,
+    result: () => ({ displayName, description, properties, events, slots }),
+  };
+}
+
+/**
+ * Slots declared in the template: `<slot name="header" :title="title" />`
+ */
+function collectTemplateSlots(template, slots) {
+  const slotRegex = /<slot\b([^>]*?)\/?>/g;
+  let match;
+  while ((match = slotRegex.exec(template)) !== null) {
+    const attrs = match[1];
+    const name = attrs.match(/(?:^|\s)name\s*=\s*["']([^"']+)["']/)?.[1] || 'default';
+    const bindings = [...attrs.matchAll(/(?:^|\s)(?::|v-bind:)([\w-]+)\s*=/g)].map(m => m[1]);
+
+    const existing = slots.find(slot => slot.name === name);
+    if (existing) {
+      if (!existing.bindings && bindings.length > 0) existing.bindings = bindings.join(', ');
+    } else {
+      slots.push({ name, description: '', bindings: bindings.length > 0 ? bindings.join(', ') : undefined });
+    }
+  }
+}
+
+/**
+ * Extract documentation from a Vue SFC
+ *
+ * @param {string} content - `.vue` file content
+ * @param {string} filePath - Used for the fallback component name
+ * @returns {Object} { displayName, description, properties, events, slots, models, script, template }
+ */
+function extractVueDocs(content, filePath) {
+  const blocks = parseSfcBlocks(content);
+  const scripts = [blocks.script, blocks.scriptSetup].filter(Boolean);
+
+  // Both blocks share one extractor so types declared in <script> resolve in <script setup>
+  const combined = scripts.map(block => block.content).join('\n');
+  const lang = scripts.some(block => block.lang === 'tsx') ? 'tsx' : scripts.some(block => block.lang === 'ts') ? 'ts' : 'js';
+  const body = parseScript({ lang, content: combined });
+  const docgen = createVueDocgen(body, combined);
+
+  const setupStart = blocks.script && blocks.scriptSetup ? blocks.script.content.length + 1 : 0;
+  const plainStatements = blocks.script ? body.filter(statement => statement.start < (setupStart || Infinity)) : [];
+  const setupStatements = blocks.scriptSetup ? body.filter(statement => statement.start >= setupStart) : [];
+  docgen.collectScript(plainStatements, false);
+  docgen.collectScript(setupStatements, true);
+
+  const docs = docgen.result();
+  if (blocks.template) collectTemplateSlots(blocks.template, docs.slots);
+
+  // A prop paired with an `update:<prop>` event is a v-model binding
+  const models = Object.entries(docs.properties)
+    .filter(([name]) => docs.events.some(event => event.name === `update:${name}`))
+    .map(([name, property]) => ({ name, tsType: property.tsType }));
+
+  return {
+    ...docs,
+    models,
+    displayName: docs.displayName || path.basename(filePath, '.vue'),
+    script: scripts.map(block => block.content.trim()).join('\n\n'),
+    template: blocks.template,
+  };
+}
+
+module.exports = {
+  parseSfcBlocks,
+  extractVueDocs,
+};
@@ -123,6 +123,1111 @@ async function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+// Temporary static dirs, removed on exit
+const tempDirs = [];
+process.on('exit', () => tempDirs.forEach(dir => fs.rmSync(dir, { recursive: true, force: true })));
+
+/**
+ * Create tool handlers for an example project, backed by a generated static index.json
+ */
+function createExampleConfig(exampleName) {
+  const os = require('os');
+  const projectDir = path.join(EXAMPLES_DIR, exampleName);
+  const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-test-'));
+  tempDirs.push(staticDir);
+
+  const entry = (title, name, type, importPath, tags = []) => {
+    const id = `${title.toLowerCase().replace(/[/ ]/g, '-')}--${name.toLowerCase().replace(/ /g, '-')}`;
+    return [id, { id, title, name, type, importPath, tags }];
+  };
+  const entries = Object.fromEntries([
+    entry('Configure your project', 'Docs', 'docs', './src/stories/Configure.mdx', ['unattached-mdx']),
+    entry('Example/Button', 'Docs', 'docs', './src/stories/button.stories.ts', ['autodocs']),
+    entry('Example/Button', 'Primary', 'story', './src/stories/button.stories.ts', ['autodocs']),
+    entry('Example/Button', 'Small', 'story', './src/stories/button.stories.ts', ['autodocs']),
+    entry('Example/Header', 'Logged In', 'story', './src/stories/header.stories.ts', ['autodocs']),
+    entry('Example/Page', 'Logged Out', 'story', './src/stories/page.stories.ts'),
+  ]);
+  fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({ v: 5, entries }));
+
+  return { storybookUrl: 'unused', projectDir, staticDir };
+}
+
+function createExampleHandlers(exampleName) {
+  const { createToolHandlers } = require('../src/server');
+  return createToolHandlers(createExampleConfig(exampleName));
+}
+
+// ============================================
+// Parser Tests
+// ============================================
+
+const parserTests = [
+  test('Compodoc documentation.json is used for Angular component docs', async () => {
+    const { parseStoryFile } = require('../src/parsers');
+    const exampleDir = path.join(EXAMPLES_DIR, 'test-sb10');
+    const storyFile = path.join(exampleDir, 'src', 'stories', 'button.stories.ts');
+    const parsed = parseStoryFile(storyFile, 'example-button--primary', exampleDir);
+    assertEqual(parsed.componentDocs.source, 'compodoc', 'Should use Compodoc as docs source');
+    const { label, size, onClick } = parsed.componentDocs.properties;
+    assertEqual(label.required, true, 'label should be required (@required tag)');
+    assertEqual(label.defaultValue, "'Button'", 'label should have default value');
+    assertEqual(size.tsType, '"small" | "medium" | "large"', 'size should have union type');
+    assertEqual(onClick.type, 'output', 'onClick should be an output');
+    assert(Array.isArray(parsed.componentDocs.methods), 'Should list methods');
+  }),
+
+  test('Component docs fall back to source parsing without Compodoc', async () => {
+    const { extractComponentDocs } = require('../src/parsers');
+    const componentFile = path.join(EXAMPLES_DIR, 'test-sb10', 'src', 'stories', 'button.component.ts');
+    const docs = extractComponentDocs(componentFile);
+    assert(!docs.source, 'Should not report Compodoc as source');
+    assertEqual(docs.selector, 'storybook-button', 'Should extract selector');
+    assertEqual(docs.properties.label.type, 'input', 'Should extract @Input from source');
+  }),
+
+  test('CSF parser extracts nested args, spreads and satisfies meta', async () => {
+    const { parseCsf } = require('../src/csf');
+    const csf = parseCsf([
+      "import { fn } from '@storybook/test';",
+      "import { Button } from './Button';",
+      "const meta = { title: 'Example/Button', component: Button, args: { onClick: fn() } } satisfies Meta<typeof Button>;",
+      'export default meta;',
+      "export const Primary = { args: { label: `Hi`, style: { color: 'red' }, items: [1, -2], primary: true } };",
+      'export const LoggedIn = { args: { ...Primary.args, primary: false } };',
+    ].join('\n'), 'Button.stories.ts');
+    assertEqual(csf.meta.component, 'Button', 'Should read meta.component');
+    assertEqual(csf.meta.args.onClick.$code, 'fn()', 'Should keep non-static args as code');
+    assertEqual(csf.stories.Primary.args.style.color, 'red', 'Should parse nested objects');
+    assertEqual(csf.stories.Primary.args.items[1], -2, 'Should parse arrays');
+    assertEqual(csf.stories.LoggedIn.args.label, 'Hi', 'Should resolve spread story args');
+    assertEqual(csf.stories.LoggedIn.args.primary, false, 'Should override spread args');
+    assertEqual(csf.stories.LoggedIn.id, 'example-button--logged-in', 'Should compute story ID');
+  }),
+
+  test('CSF parser supports CSF2 bound templates and CSF1 function stories', async () => {
+    const { parseCsf } = require('../src/csf');
+    const csf = parseCsf([
+      "export default { title: 'Legacy/Button', component: Button };",
+      'const Template = (args) => <Button {...args} />;',
+      'export const Primary = Template.bind({});',
+      "Primary.args = { primary: true, label: 'Button' };",
+      "Primary.storyName = 'Main';",
+      'export const Secondary = Template.bind({});',
+      'Secondary.args = { ...Primary.args, primary: false };',
+      'export const Basic = () => <Button />;',
+    ].join('\n'), 'Button.stories.jsx');
+    const { Primary, Secondary, Basic } = csf.stories;
+    assertEqual(Primary.format, 'csf2', 'Primary should be a CSF2 story');
+    assertEqual(Primary.name, 'Main', 'Should apply storyName assignment');
+    assertEqual(Primary.render, '(args) => <Button {...args} />', 'Should use template as render');
+    assert(Primary.code.includes('Primary.args ='), 'Code should include post-hoc assignments');
+    assertEqual(Secondary.args.label, 'Button', 'Should resolve args spread from another CSF2 story');
+    assertEqual(Secondary.args.primary, false, 'Should override spread args');
+    assertEqual(Basic.format, 'csf1', 'Basic should be a CSF1 story');
+    assertEqual(Basic.id, 'legacy-button--basic', 'Should compute CSF1 story ID');
+  }),
+
+  test('React docgen extracts props from types, defaults, forwardRef and PropTypes', async () => {
+    const { extractReactDocgen, docgenToProperties } = require('../src/react-docgen');
+    const docgen = extractReactDocgen([
+      "import React, { forwardRef, memo } from 'react';",
+      'type ButtonProps = {',
+      '  /** Is this the principal call to action? */',
+      '  primary?: boolean;',
+      "  size?: 'small' | 'large';",
+      '  label: string;',
+      '};',
+      '/** Primary UI component */',
+      'export const Button = memo(forwardRef<HTMLButtonElement, ButtonProps>(',
+      "  ({ primary = false, size = 'small', label }, ref) => <button ref={ref}>{label}</button>",
+      '));',
+      'export function Legacy({ color }) { return <span />; }',
+      'Legacy.propTypes = { color: PropTypes.string.isRequired };',
+    ].join('\n'), 'Button.tsx', 'Button');
+    assertEqual(docgen.displayName, 'Button', 'Should pick the requested component');
+    assertEqual(docgen.description, 'Primary UI component', 'Should read component description');
+    assertEqual(docgen.props.label.required, true, 'label should be required');
+    assertEqual(docgen.props.primary.defaultValue.value, 'false', 'Should read destructured default');
+    assertEqual(docgen.props.size.tsType.name, 'union', 'Should describe union types');
+    assertEqual(docgenToProperties(docgen).size.tsType, "'small' | 'large'", 'Should flatten types');
+
+    const legacy = extractReactDocgen("export function Legacy({ color }) { return null; }\nLegacy.propTypes = { color: PropTypes.string.isRequired };", 'Legacy.jsx');
+    assertEqual(legacy.props.color.type.name, 'string', 'Should read PropTypes');
+    assertEqual(legacy.props.color.required, true, 'Should read isRequired');
+  }),
+
+  test('Vue SFC docs extract props, emits, models and slots', async () => {
+    const { extractVueDocs } = require('../src/vue-docgen');
+    const docs = extractVueDocs([
+      '<script setup lang="ts">',
+      '/** Primary UI component */',
+      "import { computed } from 'vue';",
+      'interface Props {',
+      '  /** Button contents */',
+      '  label: string;',
+      "  size?: 'small' | 'large';",
+      '}',
+      "withDefaults(defineProps<Props>(), { size: 'small' });",
+      'defineEmits<{ (e: \'click\', id: number): void }>();',
+      "const checked = defineModel<boolean>('checked', { default: false });",
+      '</script>',
+      '<template><button><slot name="icon" :size="size" /></button></template>',
+    ].join('\n'), 'MyButton.vue');
+    assertEqual(docs.description, 'Primary UI component', 'Should read component description');
+    assertEqual(docs.properties.label.required, true, 'label should be required');
+    assertEqual(docs.properties.size.defaultValue, "'small'", 'Should read withDefaults');
+    assertEqual(docs.events[0].payload[0].tsType, 'number', 'Should read emit payload types');
+    assertEqual(docs.models[0].name, 'checked', 'Should read defineModel');
+    assertEqual(docs.slots[0].bindings, 'size', 'Should read slot bindings from the template');
+
+    const options = extractVueDocs([
+      '<script>',
+      "export default { name: 'Card', props: { title: { type: String, required: true } }, emits: ['close'] };",
+      '</script>',
+    ].join('\n'), 'Card.vue');
+    assertEqual(options.displayName, 'Card', 'Should read Options API name');
+    assertEqual(options.properties.title.tsType, 'string', 'Should map runtime prop types');
+    assertEqual(options.events[0].name, 'close', 'Should read emits option');
+  }),
+
+  test('generateUsageExample emits Vue template syntax', async () => {
+    const { generateUsageExample } = require('../src/parsers');
+    const usage = generateUsageExample('MyButton', {
+      label: 'Click',
+      count: 3,
+      onClick: { $code: 'fn()' },
+      checked: true,
+    }, 'Primary', 'vue', { models: [{ name: 'checked' }] });
+    assert(usage.includes('label="Click"'), 'Should bind strings as attributes');
+    assert(usage.includes(':count="3"'), 'Should bind expressions with :prop');
+    assert(usage.includes('@click="onClick"'), 'Should bind listeners with @event');
+    assert(usage.includes('v-model:checked="checked"'), 'Should bind models with v-model');
+  }),
+
+  test('Svelte docs extract export let props, runes and events', async () => {
+    const { extractSvelteDocs } = require('../src/svelte-docgen');
+    const legacy = extractSvelteDocs([
+      '<!-- @component Primary UI button -->',
+      '<script lang="ts">',
+      "  import { createEventDispatcher } from 'svelte';",
+      '  /** Button contents */',
+      '  export let label: string;',
+      "  export let size = 'small';",
+      '  const dispatch = createEventDispatcher<{ select: number }>();',
+      '</script>',
+      '<button on:click><slot name="icon" {size} /></button>',
+    ].join('\n'), 'Button.svelte');
+    assertEqual(legacy.description, 'Primary UI button', 'Should read @component description');
+    assertEqual(legacy.properties.label.required, true, 'Props without a default are required');
+    assertEqual(legacy.properties.size.tsType, 'string', 'Should infer types from defaults');
+    assert(legacy.events.some(e => e.name === 'select') && legacy.events.some(e => e.name === 'click'), 'Should read dispatched and forwarded events');
+    assertEqual(legacy.slots[0].bindings, 'size', 'Should read slot props');
+
+    const runes = extractSvelteDocs([
+      '<script lang="ts">',
+      '  interface Props { label: string; value?: string }',
+      "  let { label, value = $bindable('') }: Props = $props();",
+      '</script>',
+    ].join('\n'), 'Field.svelte');
+    assertEqual(runes.properties.label.required, true, 'Should read $props() types');
+    assertEqual(runes.properties.value.defaultValue, "''", 'Should read $bindable defaults');
+    assertEqual(runes.models[0].name, 'value', 'Bindable props are models');
+  }),
+
+  test('Web component docs come from Lit source or custom-elements.json', async () => {
+    const { extractLitDocs } = require('../src/lit-docgen');
+    const lit = extractLitDocs([
+      '/**',
+      ' * Primary UI button',
+      ' * @fires toggle - Fired when toggled',
+      ' * @slot icon - Leading icon',
+      ' */',
+      "@customElement('my-button')",
+      'export class MyButton extends LitElement {',
+      "  @property({ attribute: 'background-color' }) backgroundColor?: string;",
+      '  @property({ type: Boolean }) primary = false;',
+      '  @state() open = false;',
+      '}',
+    ].join('\n'), 'my-button.ts');
+    assertEqual(lit.tagName, 'my-button', 'Should read the tag name');
+    assertEqual(lit.properties.backgroundColor.attribute, 'background-color', 'Should read attribute names');
+    assertEqual(lit.properties.primary.defaultValue, 'false', 'Should read defaults');
+    assert(!lit.properties.open, 'Should skip @state fields');
+    assertEqual(lit.events[0].name, 'toggle', 'Should read @fires tags');
+
+    const { findCustomElementDeclaration, customElementToDocs } = require('../src/custom-elements');
+    const manifest = {
+      modules: [{
+        path: 'src/my-button.ts',
+        declarations: [{
+          kind: 'class', name: 'MyButton', tagName: 'my-button', customElement: true,
+          members: [{ kind: 'field', name: 'label', type: { text: 'string' }, default: "'Button'" }],
+          attributes: [{ name: 'label', fieldName: 'label' }],
+          events: [{ name: 'toggle' }],
+        }],
+      }],
+    };
+    const docs = customElementToDocs(findCustomElementDeclaration(manifest, { name: 'my-button' }));
+    assertEqual(docs.selector, 'my-button', 'Should use the manifest tag name');
+    assertEqual(docs.properties.label.defaultValue, "'Button'", 'Should read manifest members');
+  }),
+
+  test('generateUsageExample emits Svelte and lit-html syntax', async () => {
+    const { generateUsageExample } = require('../src/parsers');
+    const svelte = generateUsageExample('Field', { label: 'Name', value: 'x', onSelect: { $code: 'fn()' } }, 'Basic', 'svelte', {
+      events: [{ name: 'select' }],
+      models: [{ name: 'value' }],
+    });
+    assert(svelte.includes('bind:value={value}'), 'Should bind models with bind:');
+    assert(svelte.includes('on:select={onSelect}'), 'Should bind dispatched events with on:');
+
+    const lit = generateUsageExample('my-button', { backgroundColor: 'red', primary: true, items: [1], onToggle: { $code: 'fn()' } }, 'Primary', 'web-components', {
+      properties: { backgroundColor: { attribute: 'background-color' }, primary: { attribute: 'primary' } },
+    });
+    assert(lit.includes('background-color="red"'), 'Should use attribute names');
+    assert(lit.includes('?primary=${true}'), 'Should use boolean attribute bindings');
+    assert(lit.includes('.items=${[1]}'), 'Should use property bindings for objects');
+    assert(lit.includes('@toggle=${onToggle}'), 'Should bind listeners with @event');
+  }),
+
+  test('parseStoryFile matches story IDs to exports', async () => {
+    const { parseStoryFile } = require('../src/parsers');
+    const exampleDir = path.join(EXAMPLES_DIR, 'test-sb8');
+    const storyFile = path.join(exampleDir, 'src', 'stories', 'header.stories.ts');
+    const parsed = parseStoryFile(storyFile, 'example-header--logged-in', exampleDir);
+    assertEqual(parsed.exportName, 'LoggedIn', 'Should find the LoggedIn export');
+    assertEqual(parsed.args.user.name, 'Jane Doe', 'Should parse object-valued args');
+    assertContains(parsed.initialArgs, 'onLogin', 'Should compose meta args');
+  }),
+];
+
+// ============================================
+// Tool Handler Tests
+// ============================================
+
+const handlerTests = [
+  test('searchStories ranks matching components first', async () => {
+    const handlers = createExampleHandlers('test-sb10');
+    const result = await handlers.searchStories({ query: 'header' });
+    assert(result.success, 'Search should succeed');
+    assertEqual(result.results[0].title, 'Example/Header', 'Header should rank first');
+    assertEqual(result.results[0].component, 'HeaderComponent', 'Should report component name');
+  }),
+
+  test('searchStories matches prop names and tolerates typos', async () => {
+    const handlers = createExampleHandlers('test-sb10');
+    const byProp = await handlers.searchStories({ query: 'backgroundColor' });
+    assertEqual(byProp.results[0].title, 'Example/Button', 'Should match Button by prop name');
+    assert(byProp.results[0].matches.includes('props'), 'Should report props match');
+
+    const typo = await handlers.searchStories({ query: 'buton' });
+    assert(typo.results.some(r => r.title === 'Example/Button'), 'Should find Button despite typo');
+  }),
+
+  test('getStoryDocs uses docgen embedded in a static build without sources', async () => {
+    const os = require('os');
+    const { createToolHandlers } = require('../src/server');
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-static-'));
+    tempDirs.push(staticDir);
+
+    fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({
+      v: 5,
+      entries: {
+        'example-button--primary': {
+          id: 'example-button--primary', title: 'Example/Button', name: 'Primary', type: 'story',
+          importPath: './src/Button.stories.tsx', componentPath: './src/Button.tsx',
+        },
+      },
+    }));
+    fs.mkdirSync(path.join(staticDir, 'assets'));
+    fs.writeFileSync(path.join(staticDir, 'assets', 'Button-abc123.js'),
+      'const n=({label:e})=>e;n.__docgenInfo={description:"Primary UI component",methods:[],displayName:"Button",'
+      + 'props:{label:{required:!0,tsType:{name:"string"},description:"Button contents"},'
+      + 'primary:{required:!1,tsType:{name:"boolean"},description:"",defaultValue:{value:"false",computed:!1}}}};export{n as B};');
+
+    const handlers = createToolHandlers({ storybookUrl: 'unused', projectDir: staticDir, staticDir });
+    const result = await handlers.getStoryDocs({ storyId: 'example-button--primary' });
+    assert(result.success, 'getStoryDocs should succeed');
+    assertEqual(result.docs.component, 'Button', 'Should match the component by componentPath');
+    assertEqual(result.docs.docsSource, 'static-build', 'Should report the build as docs source');
+    assertEqual(result.docs.properties.label.required, true, 'Should decode minified booleans');
+    assertEqual(result.docs.properties.primary.defaultValue, 'false', 'Should read default values');
+  }),
+
+  test('Watching indexer reports edited stories and new kinds to MCP clients', async () => {
+    const os = require('os');
+    const { createMCPHandler } = require('../src/server');
+    const { createIndexer } = require('../src/indexer');
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-watch-'));
+    const indexer = createIndexer({ projectDir: staticDir, staticDir });
+    tempDirs.push(staticDir);
+
+    const entry = (id, title) => ({ id, title, name: 'Primary', type: 'story', importPath: './Button.stories.js' });
+    const writeIndex = entries => fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({ v: 5, entries }));
+    const nextEvent = (emitter, event) => new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`No ${event} event`)), 3000);
+      emitter.once(event, (payload) => {
+        clearTimeout(timer);
+        resolve(payload);
+      });
+    });
+
+    writeIndex({ 'example-button--primary': entry('example-button--primary', 'Example/Button') });
+    fs.writeFileSync(path.join(staticDir, 'Button.stories.js'), "export default { title: 'Example/Button' };\nexport const Primary = {};\n");
+
+    try {
+      const mcpHandler = createMCPHandler({ projectDir: staticDir, staticDir, indexer });
+      indexer.start();
+      await sleep(100);
+
+      const init = await mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+      assertEqual(init.result.capabilities.tools.listChanged, true, 'Should advertise tools listChanged');
+      assertEqual(init.result.capabilities.resources.listChanged, true, 'Should advertise resources listChanged');
+
+      const edited = nextEvent(indexer, 'change');
+      fs.appendFileSync(path.join(staticDir, 'Button.stories.js'), 'export const Secondary = {};\n');
+      assertEqual((await edited).changed[0], 'example-button--primary', 'Should report the edited story');
+
+      const notified = [];
+      mcpHandler.notifications.on('notification', notification => notified.push(notification.method));
+      const reindexed = nextEvent(indexer, 'change');
+      writeIndex({
+        'example-button--primary': entry('example-button--primary', 'Example/Button'),
+        'example-card--primary': entry('example-card--primary', 'Example/Card'),
+      });
+      assertEqual((await reindexed).added[0], 'example-card--primary', 'Should report the added story');
+      assert(notified.includes('notifications/resources/list_changed'), 'Should notify resources/list_changed');
+      assert(notified.includes('notifications/tools/list_changed'), 'Should notify tools/list_changed');
+      assert(mcpHandler.tools[0].inputSchema.properties.kind.enum.includes('Example/Card'), 'Should offer the new kind');
+    } finally {
+      indexer.close();
+    }
+  }),
+
+  test('Source-only mode indexes stories from the .storybook/main globs with Storybook IDs', async () => {
+    const os = require('os');
+    const { createIndexer } = require('../src/indexer');
+    const { createToolHandlers } = require('../src/server');
+
+    const example = await createIndexer({ projectDir: path.join(EXAMPLES_DIR, 'test-sb10'), sourceOnly: true }).getIndex();
+    const expected = Object.keys(JSON.parse(fs.readFileSync(path.join(createExampleConfig('test-sb10').staticDir, 'index.json'), 'utf8')).entries);
+    expected.forEach(id => assert(example.entries[id], `Should index ${id}`));
+    assertEqual(example.entries['example-button--primary'].componentPath, './src/stories/button.component.ts', 'Should resolve componentPath');
+    assertEqual(example.entries['example-button--docs'].type, 'docs', 'Should add autodocs pages');
+
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-source-'));
+    tempDirs.push(projectDir);
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, file), content);
+    };
+    write('package.json', '{"devDependencies":{"react":"18"}}');
+    write('.storybook/main.js', "module.exports = { stories: ['../src/**/*.mdx', { directory: '../src/forms', titlePrefix: 'Forms' }, '../src/**/*.stories.tsx'] };");
+    write('.storybook/preview.js', "export default { tags: ['autodocs'] };");
+    write('src/forms/DatePicker/DatePicker.stories.tsx', "export default { tags: ['beta'] };\nexport const Basic = {};\nexport const WithRange = { tags: ['!beta'] };");
+    write('src/components/Card/index.stories.tsx', "export default { id: 'ui-card' };\nexport const Default = { name: 'Plain card' };");
+    write('src/components/Card/Card.mdx', "import { Meta } from '@storybook/blocks';\nimport * as CardStories from './index.stories';\n\n<Meta of={CardStories} />\n\n# Card");
+    write('src/Intro.mdx', "import { Meta } from '@storybook/blocks';\n\n<Meta title=\"Welcome/Intro\" />\n\n# Hello");
+
+    const { entries } = await createIndexer({ projectDir, sourceOnly: true }).getIndex();
+    assertEqual(entries['forms-datepicker--basic'].title, 'Forms/DatePicker', 'Should auto-title with the prefix and without duplicate file names');
+    assertEqual(entries['forms-datepicker--with-range'].tags.join(','), 'dev,test,autodocs', 'Should combine and remove tags');
+    assertEqual(entries['forms-datepicker--basic'].tags.join(','), 'dev,test,autodocs,beta', 'Should inherit meta tags');
+    assertEqual(entries['ui-card--default'].name, 'Plain card', 'Should use meta.id and story names');
+    assertEqual(entries['ui-card--docs'].importPath, './src/components/Card/Card.mdx', 'Attached MDX should replace the autodocs page');
+    assertEqual(entries['ui-card--docs'].storiesImports[0], './src/components/Card/index.stories.tsx', 'Should record the attached stories');
+    assertEqual(entries['ui-card--default'].title, 'components/Card', 'Should drop index from auto-titles');
+    assertEqual(entries['welcome-intro--docs'].tags.includes('unattached-mdx'), true, 'Should index unattached MDX by its title');
+
+    const handlers = createToolHandlers({ projectDir, sourceOnly: true });
+    const stories = await handlers.listStories({ type: 'story' });
+    assertEqual(stories.total, 3, 'Tools should work without Storybook');
+  }),
+
+  test('Several Storybooks are served together with namespaced story IDs', async () => {
+    const os = require('os');
+    const { createSources, createMCPHandler, createApp } = require('../src/server');
+    const { loadConfig } = require('../src/config');
+
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-sources-'));
+    tempDirs.push(rootDir);
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(rootDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(rootDir, file), content);
+    };
+    const example = createExampleConfig('test-sb10');
+    write('storybook-mcp.config.json', JSON.stringify({
+      sources: [
+        { id: 'example', title: 'Example', static: example.staticDir, dir: example.projectDir },
+        { id: 'forms', title: 'Forms', dir: './packages/forms' },
+      ],
+    }));
+    write('packages/forms/package.json', '{"devDependencies":{"react":"18"}}');
+    write('packages/forms/.storybook/main.js', "module.exports = { stories: ['../src/**/*.@(mdx|stories.tsx)'], "
+      + "refs: { 'Design System': { title: 'Design System', url: 'http://localhost:1/' } } };");
+    write('packages/forms/src/DatePicker.stories.tsx', "export default { title: 'Forms/DatePicker' };\nexport const Basic = {};");
+    write('packages/forms/src/Intro.mdx', "import { Meta } from '@storybook/blocks';\n\n<Meta title=\"Forms/Intro\" />\n\n# Forms");
+
+    const { sources } = loadConfig(rootDir);
+    assertEqual(sources.map(source => `${source.id}:${source.type}`).join(','), 'example:static,forms:source,design-system:url',
+      'Should load the listed sources and their composition refs');
+
+    const { indexer, handlers } = createSources(sources);
+    const list = await handlers.listStories({});
+    const ids = list.stories.map(story => story.id);
+    assert(ids.includes('example_example-button--primary') && ids.includes('forms_forms-datepicker--basic'), 'Should namespace story IDs');
+    assertEqual(list.unavailable[0].source, 'design-system', 'Should report sources that cannot be loaded');
+    const forms = await handlers.listStories({ source: 'forms' });
+    assert(forms.total === 2 && forms.stories.every(story => story.source === 'forms'), 'Should filter by source');
+    assert((await handlers.listStories({ source: 'nope' })).error.startsWith('Unknown source'), 'Should reject unknown sources');
+
+    const story = await handlers.getStory({ storyId: 'example_example-button--primary' });
+    assertEqual(story.story.id, 'example_example-button--primary', 'Should resolve namespaced IDs');
+    assertEqual(story.story.component, 'ButtonComponent', 'Should read the source project');
+    const search = await handlers.searchStories({ query: 'date picker' });
+    assertEqual(search.results[0].id, 'forms_forms-datepicker--basic', 'Should search across sources');
+    assertEqual((await handlers.searchStories({ query: 'date', limit: '-1' })).error, 'Invalid limit', 'Should reject invalid limits');
+    const component = await handlers.getComponent({ name: 'ButtonComponent' });
+    assert(component.component.source === 'example' && component.component.stories[0].id.startsWith('example_'),
+      'Should find components in any source');
+
+    const mcpHandler = createMCPHandler({ projectDir: rootDir, indexer, handlers });
+    const call = (method, params) => mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+    const tools = await call('tools/list');
+    const listTool = tools.result.tools.find(tool => tool.name === 'list_stories');
+    assertEqual(listTool.inputSchema.properties.source.enum.join(','), 'example,forms,design-system', 'Should offer the sources');
+    const docsTool = tools.result.tools.find(tool => tool.name === 'get_story_docs');
+    const markdownDocs = await call('tools/call', {
+      name: 'get_story_docs', arguments: { storyId: 'example_example-button--primary', format: 'markdown' },
+    });
+    const { structuredContent } = markdownDocs.result;
+    assertEqual(structuredContent.source, 'example', 'Markdown docs should name their source');
+    const undeclared = Object.keys(structuredContent).filter(key => !(key in docsTool.outputSchema.properties));
+    assert(docsTool.outputSchema.additionalProperties === false && undeclared.length === 0,
+      `Markdown docs should match the published output schema (undeclared: ${undeclared.join(', ')})`);
+    const mdx = await call('resources/read', { uri: 'storybook://mdx/forms/src/Intro.mdx' });
+    assert(mdx.result.contents[0].text.includes('# Forms'), 'Should read MDX pages by source');
+    const single = await createMCPHandler(createExampleConfig('test-sb10')).handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' });
+    assert(!single.result.tools[0].inputSchema.properties.source, 'A single Storybook should not publish the source argument');
+
+    const server = createApp({ projectDir: rootDir, indexer, handlers }).listen(0);
+    const baseUrl = `http://localhost:${server.address().port}`;
+    try {
+      const perSource = await request({ baseUrl, path: '/api/forms/stories' });
+      assert(perSource.body.stories.every(entry => entry.source === 'forms'), 'Should serve per-source routes');
+      const byId = await request({ baseUrl, path: '/api/stories/forms_forms-datepicker--basic' });
+      assertEqual(byId.status, 200, 'Should serve namespaced stories');
+      const listed = await request({ baseUrl, path: '/api/sources' });
+      assertEqual(listed.body.sources[1].stories, 2, 'Should list the sources');
+    } finally {
+      server.close();
+    }
+  }),
+
+  test('Config file in .storybook/ sets parsers, excluded stories and auth', async () => {
+    const os = require('os');
+    const { createApp } = require('../src/server');
+    const { loadConfig } = require('../src/config');
+
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-config-'));
+    tempDirs.push(projectDir);
+    const write = (file, content) => {
+      fs.mkdirSync(path.dirname(path.join(projectDir, file)), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, file), content);
+    };
+    write('index.json', JSON.stringify({
+      v: 5,
+      entries: {
+        'ui-badge--default': { id: 'ui-badge--default', title: 'UI/Badge', name: 'Default', type: 'story', importPath: './Badge.stories.js' },
+        'internal-grid--default': { id: 'internal-grid--default', title: 'Internal/Grid', name: 'Default', type: 'story', importPath: './Grid.stories.js' },
+      },
+    }));
+    write('Badge.stories.js', "import { Badge } from './Badge.widget';\nexport default { title: 'UI/Badge', component: Badge };\nexport const Default = {};\n");
+    write('Badge.widget', 'prop tone: string\nprop count: number\n');
+    write('.storybook/storybook-mcp.config.js', `module.exports = {
+      static: '..',
+      exclude: ['Internal/**'],
+      auth: { token: 'secret' },
+      parsers: [{
+        name: 'widget',
+        test: /\\.widget$/,
+        parse: content => ({ properties: Object.fromEntries([...content.matchAll(/prop (\\w+): (\\w+)/g)].map(([, name, type]) => [name, { type }])) }),
+      }],
+    };`);
+
+    const config = loadConfig(projectDir);
+    assertEqual(config.configFile, path.join(projectDir, '.storybook', 'storybook-mcp.config.js'), 'Should find the config in .storybook/');
+    assertEqual(config.staticDir, projectDir, 'Should resolve paths against the config file');
+
+    write('bad/storybook-mcp.config.json', JSON.stringify({ port: 'abc', exclude: 'x' }));
+    let error = null;
+    try { loadConfig(projectDir, path.join(projectDir, 'bad/storybook-mcp.config.json')); } catch (e) { error = e; }
+    assert(error && error.message.includes('port:') && error.message.includes('exclude:'), 'Should report invalid settings');
+    write('bad/reserved.json', JSON.stringify({ sources: [{ id: 'stories', dir: '.' }] }));
+    error = null;
+    try { loadConfig(projectDir, path.join(projectDir, 'bad/reserved.json')); } catch (e) { error = e; }
+    assert(error && error.message.includes('sources.0.id: Reserved'), 'Should reject source IDs that clash with REST routes');
+
+    const server = createApp({ ...config, storybookUrl: 'unused' }).listen(0);
+    const baseUrl = `http://localhost:${server.address().port}`;
+    const headers = { Authorization: 'Bearer secret' };
+    try {
+      assertEqual((await request({ baseUrl, path: '/api/stories' })).status, 401, 'Should require the token');
+      assertEqual((await request({ baseUrl, path: '/api/stories', headers: { Authorization: 'Bearer nope' } })).status, 401, 'Should reject other tokens');
+      const list = await request({ baseUrl, path: '/api/stories', headers });
+      assertEqual(list.body.stories.map(story => story.id).join(','), 'ui-badge--default', 'Should leave out excluded stories');
+      const story = await request({ baseUrl, path: '/api/stories/ui-badge--default', headers });
+      assertEqual(story.body.story.docs.source, 'widget', 'Should use the project parser');
+      assertEqual(story.body.story.docs.properties.count.type, 'number', 'Should read props with the project parser');
+    } finally {
+      server.close();
+    }
+  }),
+
+  test('Storybook starts without touching angular.json and is restarted when it crashes', async () => {
+    const os = require('os');
+    const { getStorybookCommand, startStorybookProcess, superviseStorybook } = require('../src/storybook-process');
+
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-process-'));
+    tempDirs.push(projectDir);
+    const angularJson = JSON.stringify({
+      projects: { shop: { architect: { 'storybook-dev': { builder: '@storybook/angular:start-storybook', options: { compodoc: true } } } } },
+    });
+    fs.writeFileSync(path.join(projectDir, 'angular.json'), angularJson);
+
+    const angular = { projectDir, storybookPort: 6010, version: 8, framework: 'angular' };
+    assertEqual(getStorybookCommand(angular).args.join(' '), 'ng run shop:storybook-dev --port=6010 --compodoc=false --open=false',
+      'Should pass the port and Compodoc as builder overrides');
+    assert(getStorybookCommand({ ...angular, compodoc: true }).args.includes('--compodoc=true'), 'Should run Compodoc when opted in');
+    assertEqual(fs.readFileSync(path.join(projectDir, 'angular.json'), 'utf8'), angularJson, 'Should leave angular.json untouched');
+    assertEqual(getStorybookCommand({ projectDir, storybookPort: 6010, framework: 'react' }).args[0], 'storybook', 'Should use the Storybook CLI otherwise');
+
+    // Crashes on the first run, then prints the Storybook banner and keeps running
+    const script = "const fs = require('fs'); if (!fs.existsSync('crashed')) { fs.writeFileSync('crashed', ''); process.exit(1); }"
+      + " console.log('Local:  http://localhost:6010/'); setInterval(() => {}, 1000);";
+    const storybook = superviseStorybook({
+      projectDir, storybookPort: 6010, restartDelay: 10, stdio: true,
+      command: { cmd: process.execPath, args: ['-e', JSON.stringify(script)] },
+    });
+    const restarts = [];
+    storybook.on('restart', event => restarts.push(event));
+    try {
+      assertEqual(await storybook.waitUntilReady(5000), true, 'Should detect readiness from the output');
+      assertEqual(restarts.length, 1, 'Should restart after a crash');
+    } finally {
+      await storybook.stop(2000);
+    }
+    assertEqual(storybook.ready, false, 'Should stop the child');
+    assertEqual(storybook.child, null, 'Should leave no child running');
+
+    // The one-shot spawn still hands back the ChildProcess
+    const child = startStorybookProcess({
+      projectDir, storybookPort: 6010, stdio: true, command: { cmd: process.execPath, args: ['-e', '"setInterval(() => {}, 1000)"'] },
+    });
+    assert(child.pid && child.stdout, 'Should return the child process');
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    child.kill();
+    await exited;
+  }),
+
+  test('Resource subscribers are notified when a component file changes', async () => {
+    const os = require('os');
+    const { createMCPHandler } = require('../src/server');
+    const { createIndexer } = require('../src/indexer');
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-subscribe-'));
+    const indexer = createIndexer({ projectDir: staticDir, staticDir });
+    tempDirs.push(staticDir);
+
+    fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({
+      v: 5,
+      entries: {
+        'example-button--primary': {
+          id: 'example-button--primary', title: 'Example/Button', name: 'Primary', type: 'story', importPath: './Button.stories.js',
+        },
+      },
+    }));
+    fs.writeFileSync(path.join(staticDir, 'Button.stories.js'),
+      "import { Button } from './Button';\nexport default { title: 'Example/Button', component: Button };\nexport const Primary = {};\n");
+    fs.writeFileSync(path.join(staticDir, 'Button.js'), 'export const Button = ({ label }) => label;\n');
+
+    try {
+      const mcpHandler = createMCPHandler({ projectDir: staticDir, staticDir, indexer });
+      indexer.start();
+      await sleep(100);
+      const call = (method, params, sessionId) => mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method, params }, { sessionId });
+
+      const anonymous = await call('resources/subscribe', { uri: 'storybook://component/Button' });
+      assert(anonymous.error, 'Subscribing should require a session');
+      const missing = await call('resources/subscribe', { uri: 'storybook://story/nope' }, 'session-1');
+      assertEqual(missing.error.code, -32002, 'Unknown resources cannot be subscribed');
+
+      await call('resources/subscribe', { uri: 'storybook://component/Button' }, 'session-1');
+      await call('resources/subscribe', { uri: 'storybook://story/example-button--primary' }, 'session-2');
+      await call('resources/unsubscribe', { uri: 'storybook://story/example-button--primary' }, 'session-2');
+
+      const updates = [];
+      mcpHandler.notifications.on('notification', (notification, sessionIds) => {
+        if (notification.method === 'notifications/resources/updated') updates.push({ uri: notification.params.uri, sessionIds });
+      });
+      fs.appendFileSync(path.join(staticDir, 'Button.js'), 'export const size = 1;\n');
+      await sleep(500);
+
+      assertEqual(updates.length, 1, 'Only subscribed resources should be announced');
+      assertEqual(updates[0].uri, 'storybook://component/Button', 'Should announce the component resource');
+      assertEqual(updates[0].sessionIds.join(), 'session-1', 'Should address the subscribed session only');
+    } finally {
+      indexer.close();
+    }
+  }),
+
+  test('REST responses carry ETags and revalidate with 304 until files change', async () => {
+    const os = require('os');
+    const { createApp } = require('../src/server');
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-etag-'));
+    tempDirs.push(staticDir);
+
+    const storyFile = path.join(staticDir, 'Button.stories.js');
+    fs.writeFileSync(storyFile, "export default { title: 'Example/Button' };\nexport const Primary = { args: { label: 'One' } };\n");
+    fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({
+      v: 5,
+      entries: {
+        'example-button--primary': {
+          id: 'example-button--primary', title: 'Example/Button', name: 'Primary', type: 'story', importPath: './Button.stories.js',
+        },
+      },
+    }));
+
+    const server = createApp({ storybookUrl: 'unused', projectDir: staticDir, staticDir }).listen(0);
+    const baseUrl = `http://localhost:${server.address().port}`;
+    try {
+      const first = await request({ baseUrl, path: '/api/docs/example-button--primary' });
+      assertEqual(first.status, 200, 'Status should be 200');
+      assertEqual(first.headers['cache-control'], 'no-cache', 'Should require revalidation');
+      assert(first.headers.etag, 'Should send an ETag');
+
+      const cached = await request({ baseUrl, path: '/api/docs/example-button--primary', headers: { 'If-None-Match': first.headers.etag } });
+      assertEqual(cached.status, 304, 'Unchanged docs should be a 304');
+
+      fs.writeFileSync(storyFile, "export default { title: 'Example/Button' };\nexport const Primary = { args: { label: 'Two' } };\n");
+      fs.utimesSync(storyFile, new Date(), new Date(Date.now() + 1000));
+      const edited = await request({ baseUrl, path: '/api/docs/example-button--primary', headers: { 'If-None-Match': first.headers.etag } });
+      assertEqual(edited.status, 200, 'Edited story file should invalidate the cache');
+      assert(edited.headers.etag !== first.headers.etag, 'Should send a new ETag');
+      assertEqual(edited.body.docs.storyExamples.Primary.args.label, 'Two', 'Should return the edited args');
+    } finally {
+      server.close();
+    }
+  }),
+
+  test('MCP resources cover stories, docs, components and MDX pages', async () => {
+    const { createMCPHandler } = require('../src/server');
+    const mcpHandler = createMCPHandler(createExampleConfig('test-sb10'));
+    const call = (method, params) => mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+
+    const templates = await call('resources/templates/list');
+    assert(templates.result.resourceTemplates.some(t => t.uriTemplate === 'storybook://component/{name}'), 'Should list the component template');
+
+    const list = await call('resources/list', {});
+    const uris = list.result.resources.map(r => r.uri);
+    assert(uris.includes('storybook://story/example-button--primary'), 'Should list stories');
+    assert(uris.includes('storybook://docs/example-button--docs'), 'Should list docs pages');
+    assert(uris.includes('storybook://component/ButtonComponent'), 'Should list components');
+    assert(uris.includes('storybook://mdx/src/stories/Configure.mdx'), 'Should list MDX files');
+
+    const component = await call('resources/read', { uri: 'storybook://component/ButtonComponent' });
+    const docs = JSON.parse(component.result.contents[0].text);
+    assertContains(docs.properties, 'label', 'Component resource should carry props');
+    assert(docs.stories.some(story => story.id === 'example-button--small'), 'Component resource should list its stories');
+
+    const mdx = await call('resources/read', { uri: 'storybook://mdx/src/stories/Configure.mdx' });
+    assertEqual(mdx.result.contents[0].mimeType, 'text/markdown', 'MDX should be markdown');
+
+    const outside = await call('resources/read', { uri: 'storybook://mdx/package.json' });
+    assertEqual(outside.error.code, -32002, 'Files outside the index should not be readable');
+    const malformed = await call('resources/read', { uri: 'storybook://story/%E0%A4%A' });
+    assertEqual(malformed.error.code, -32002, 'Malformed URIs should be not found');
+  }),
+
+  test('The stdio transport answers newline-delimited JSON-RPC', async () => {
+    const { PassThrough } = require('stream');
+    const { createMCPHandler, createStdioTransport } = require('../src/server');
+    const mcpHandler = createMCPHandler(createExampleConfig('test-sb10'));
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const transport = createStdioTransport(mcpHandler, { input, output });
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.write('not json\n');
+    input.end(`${JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/call', params: { name: 'get_story', arguments: { storyId: 'example-button--primary' } } })}\n`);
+    await transport.closed;
+    mcpHandler.notifications.emit('notification', { jsonrpc: '2.0', method: 'notifications/tools/list_changed' });
+
+    const messages = output.read().toString().trim().split('\n').map(line => JSON.parse(line));
+    assertEqual(messages.length, 3, 'Should answer requests only, once each, and nothing after closing');
+    assert(messages.find(message => message.id === 1).result, 'Should answer ping');
+    assertEqual(messages.find(message => message.id === null).error.code, -32700, 'Should report parse errors');
+    assertEqual(messages.find(message => message.id === 2).result.structuredContent.story.id, 'example-button--primary', 'Should call tools');
+  }),
+
+  test('The CLI rejects an invalid --max-tokens', async () => {
+    const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'cli.js'), '--stdio', '--max-tokens', 'abc'],
+      { stdio: 'pipe', env: { ...process.env, FORCE_COLOR: '0' } });
+    let stderr = '';
+    child.stderr.on('data', data => stderr += data);
+    const timer = setTimeout(() => child.kill(), 10000);
+    const code = await new Promise(resolve => child.on('exit', resolve));
+    clearTimeout(timer);
+    assertEqual(code, 1, 'Should exit with an error');
+    assert(stderr.includes('Invalid --max-tokens: abc'), 'Should name the invalid value');
+  }),
+
+  test('The CLI keeps stdout for JSON-RPC with --stdio', async () => {
+    const { projectDir } = createExampleConfig('test-sb10');
+    const child = spawn(process.execPath, [
+      path.join(__dirname, '..', 'src', 'cli.js'), '--stdio', '--no-watch', '--storybook-url', 'http://localhost:1', '--dir', projectDir,
+    ], { stdio: 'pipe', env: { ...process.env, FORCE_COLOR: '0' } });
+    let stdout = '';
+    let stderr = '';
+    child.stdout.on('data', data => stdout += data);
+    child.stderr.on('data', data => stderr += data);
+    const exited = new Promise(resolve => child.on('exit', resolve));
+    child.stdin.end(JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'ping' }) + '\n');
+    const timer = setTimeout(() => child.kill(), 10000);
+    await exited;
+    clearTimeout(timer);
+
+    const lines = stdout.split('\n').filter(Boolean);
+    assertEqual(lines.length, 1, `stdout should carry only the response (got: ${stdout.slice(0, 200)})`);
+    assertEqual(JSON.parse(lines[0]).id, 1, 'Should answer the request');
+    assert(stderr.includes('Storybook MCP API Server'), 'The banner should go to stderr');
+  }),
+
+  test('Prompts are pre-filled with component docs and extendable by config', async () => {
+    const os = require('os');
+    const { createMCPHandler } = require('../src/server');
+    const config = createExampleConfig('test-sb10');
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-prompts-'));
+    tempDirs.push(projectDir);
+    fs.cpSync(path.join(config.projectDir, 'src'), path.join(projectDir, 'src'), { recursive: true });
+    fs.writeFileSync(path.join(projectDir, 'storybook-mcp.config.json'), JSON.stringify({
+      prompts: [{
+        name: 'add-tracking',
+        description: 'Add analytics to a component',
+        arguments: [{ name: 'component', required: true }],
+        template: 'Add tracking to {{component}}.\n\n{{componentDocs}}',
+      }],
+    }));
+
+    const { createToolHandlers } = require('../src/server');
+    const toolHandlers = createToolHandlers({ ...config, projectDir });
+    let componentLookups = 0;
+    const handlers = { ...toolHandlers, getComponent: args => (componentLookups++, toolHandlers.getComponent(args)) };
+    const mcpHandler = createMCPHandler({ ...config, projectDir, handlers });
+    const call = (method, params) => mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method, params });
+
+    const list = await call('prompts/list');
+    const names = list.result.prompts.map(prompt => prompt.name);
+    ['implement-ui', 'write-story', 'review-markup', 'migrate-deprecated', 'add-tracking']
+      .forEach(name => assert(names.includes(name), `Should list ${name}`));
+
+    const story = await call('prompts/get', { name: 'write-story', arguments: { component: 'ButtonComponent' } });
+    const storyText = story.result.messages[0].content.text;
+    assert(storyText.includes('| label'), 'Should include the props table');
+    assert(storyText.includes('export const Primary'), 'Should include existing stories');
+
+    const review = await call('prompts/get', { name: 'review-markup', arguments: { markup: '<storybook-button label="Hi"></storybook-button>' } });
+    assert(review.result.messages[0].content.text.includes('## ButtonComponent'), 'Should document components found by selector');
+    componentLookups = 0;
+    const byName = await call('prompts/get', { name: 'review-markup', arguments: { markup: '<HeaderComponent></HeaderComponent>' } });
+    assert(byName.result.messages[0].content.text.includes('## HeaderComponent'), 'Should document components found by name');
+    assertEqual(componentLookups, 1, 'Should only fetch docs of the components in the markup');
+
+    const custom = await call('prompts/get', { name: 'add-tracking', arguments: { component: 'ButtonComponent' } });
+    assert(custom.result.messages[0].content.text.startsWith('Add tracking to ButtonComponent.'), 'Should fill template arguments');
+    assert(custom.result.messages[0].content.text.includes('## ButtonComponent'), 'Should fill {{componentDocs}}');
+
+    const missing = await call('prompts/get', { name: 'write-story', arguments: {} });
+    assertEqual(missing.error.code, -32602, 'Missing required arguments should be invalid params');
+
+    // Saving an invalid config keeps the last valid prompts
+    const configPath = path.join(projectDir, 'storybook-mcp.config.json');
+    fs.writeFileSync(configPath, JSON.stringify({ prompts: 'oops' }));
+    fs.utimesSync(configPath, new Date(), new Date(Date.now() + 5000));
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+      const stillListed = await call('prompts/list');
+      assert(stillListed.result.prompts.some(prompt => prompt.name === 'add-tracking'), 'Should keep the previous prompts');
+    } finally {
+      console.error = originalError;
+    }
+  }),
+
+  test('resources/list pages with cursors', async () => {
+    const os = require('os');
+    const { createMCPHandler } = require('../src/server');
+    const staticDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-pages-'));
+    tempDirs.push(staticDir);
+    const entries = {};
+    for (let i = 0; i < 150; i++) {
+      entries[`story-${i}`] = { id: `story-${i}`, title: 'Stories', name: `Story ${i}`, type: 'story', importPath: './missing.stories.js' };
+    }
+    fs.writeFileSync(path.join(staticDir, 'index.json'), JSON.stringify({ v: 5, entries }));
+
+    const mcpHandler = createMCPHandler({ projectDir: staticDir, staticDir });
+    const first = await mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method: 'resources/list' });
+    assertEqual(first.result.resources.length, 100, 'First page should be full');
+    const second = await mcpHandler.handleRequest({ jsonrpc: '2.0', id: 2, method: 'resources/list', params: { cursor: first.result.nextCursor } });
+    assertEqual(second.result.resources.length, 51, 'Second page should hold the rest');
+    assert(!second.result.nextCursor, 'Last page should have no cursor');
+
+    const invalid = await mcpHandler.handleRequest({ jsonrpc: '2.0', id: 3, method: 'resources/list', params: { cursor: 'nope' } });
+    assertEqual(invalid.error.code, -32602, 'Invalid cursors should be rejected');
+  }),
+
+  test('listStories filters by tags, type and title and pages with cursors', async () => {
+    const handlers = createExampleHandlers('test-sb10');
+    const withoutAutodocs = await handlers.listStories({ tags: '!autodocs,!unattached-mdx' });
+    assertEqual(withoutAutodocs.stories.map(s => s.id).join(), 'example-page--logged-out', 'Should exclude tags');
+
+    const docs = await handlers.listStories({ type: 'docs', tags: ['autodocs'] });
+    assertEqual(docs.stories.map(s => s.id).join(), 'example-button--docs', 'Should combine type and tag filters');
+
+    const glob = await handlers.listStories({ title: 'example/*', fields: 'title' });
+    assertEqual(glob.total, 5, 'Should match title globs case-insensitively');
+    assertEqual(Object.keys(glob.stories[0]).join(), 'id,title', 'Should select fields');
+    const prefix = await handlers.listStories({ title: 'Example/B' });
+    assertEqual(prefix.total, 3, 'Should match title prefixes');
+
+    const first = await handlers.listStories({ limit: 4 });
+    assertEqual(first.count, 4, 'Should return one page');
+    assertEqual(first.total, 6, 'Should report the total');
+    const second = await handlers.listStories({ limit: 4, cursor: first.nextCursor });
+    assertEqual(second.count, 2, 'Should continue from the cursor');
+    assert(!second.nextCursor, 'Last page should have no cursor');
+
+    const badFields = await handlers.listStories({ fields: 'id,colour' });
+    assertEqual(badFields.success, false, 'Unknown fields should fail');
+  }),
+
+  test('Component tools group stories and docs pages by component', async () => {
+    const handlers = createExampleHandlers('test-sb10');
+    const list = await handlers.listComponents();
+    const button = list.components.find(component => component.name === 'ButtonComponent');
+    assert(button, 'Should list ButtonComponent');
+    assertEqual(button.stories.join(), 'example-button--primary,example-button--small', 'Should group the stories');
+    assertEqual(button.docs.join(), 'example-button--docs', 'Should attach the autodocs page');
+
+    const { component } = await handlers.getComponent({ name: 'buttoncomponent' });
+    assertEqual(component.name, 'ButtonComponent', 'Should match names case-insensitively');
+    assertEqual(component.sourcePath, './src/stories/button.component.ts', 'Should report the source path');
+    assertContains(component.properties, 'label', 'Should merge component props');
+    assert(component.stories[0].usage.includes('<storybook-button'), 'Should include usage per story');
+
+    const usage = await handlers.getComponentUsage({ name: 'ButtonComponent', storyId: 'example-button--small' });
+    assertEqual(usage.examples.length, 1, 'Should filter by story');
+    assert(usage.examples[0].storyCode.includes('export const Small'), 'Should include the story code');
+    assert(usage.requiredProps.includes('label'), 'Should list required props');
+    const snippet = usage.examples[0].usage;
+    assert(snippet.includes('(onClick)="onClick($event)"'), `Outputs should bind as events: ${snippet}`);
+    assert(!snippet.includes('[onClick]'), 'Outputs should not bind as properties');
+    assert(snippet.includes('[primary]') || snippet.includes('size="small"'), `Inputs should stay property bindings: ${snippet}`);
+
+    const missing = await handlers.getComponent({ name: 'Nope' });
+    assertEqual(missing.success, false, 'Unknown components should fail');
+  }),
+
+  test('tools/call shapes results to the detail level and token budget', async () => {
+    const { createMCPHandler } = require('../src/server');
+    const mcpHandler = createMCPHandler(createExampleConfig('test-sb10'));
+    const call = args => mcpHandler.handleRequest({
+      jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_story_docs', arguments: { storyId: 'example-button--primary', ...args } },
+    });
+
+    const standard = (await call({})).result.content[0].text;
+    assert(!standard.trimStart().startsWith('{'), 'Should return compact text rather than JSON');
+    assert(standard.includes('docs.componentCode (omitted at standard detail)'), 'Should report omitted source');
+    const full = (await call({ detail: 'full', maxTokens: 0 })).result.content[0].text;
+    assert(!full.includes('elided:'), 'Full detail without a budget should elide nothing');
+    assert(full.length > standard.length, 'Full detail should include component source');
+
+    const budget = (await call({ detail: 'full', maxTokens: 300 })).result.content[0].text;
+    assert(budget.includes('truncated to'), 'Should truncate to fit the budget');
+    const summary = (await call({ detail: 'summary' })).result.content[0].text;
+    assert(summary.length < standard.length, 'Summary should be shorter than standard');
+
+    const invalid = await call({ detail: 'everything' });
+    assertEqual(invalid.result.isError, true, 'Unknown detail levels should be rejected');
+  }),
+
+  test('tools/call validates arguments and returns structured content matching the output schema', async () => {
+    const { createMCPHandler } = require('../src/server');
+    const { TOOLS } = require('../src/tool-schemas');
+    const mcpHandler = createMCPHandler(createExampleConfig('test-sb10'));
+    const call = (name, args) => mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } });
+
+    const { tools } = (await mcpHandler.handleRequest({ jsonrpc: '2.0', id: 1, method: 'tools/list' })).result;
+    assert(tools.every(tool => tool.inputSchema.type === 'object' && tool.outputSchema.type === 'object'), 'Every tool should declare schemas');
+
+    const calls = {
+      list_stories: { tags: ['autodocs'] },
+      get_story: { storyId: 'example-button--primary' },
+      get_story_docs: { storyId: 'example-button--primary' },
+      search_stories: { query: 'button' },
+      get_stories_by_kind: { kind: 'Example/Button' },
+      list_components: {},
+      get_component: { name: 'ButtonComponent' },
+      get_component_usage: { name: 'ButtonComponent', detail: 'summary' },
+    };
+    for (const tool of TOOLS) {
+      const { result } = await call(tool.name, calls[tool.name]);
+      assert(!result.isError, `${tool.name} should succeed: ${result.content[0].text}`);
+      const parsed = tool.output.safeParse(result.structuredContent);
+      assert(parsed.success, `${tool.name} structured content should match its schema: ${parsed.error?.message}`);
+    }
+
+    const missing = (await call('get_story', {})).result;
+    assertEqual(missing.isError, true, 'Missing arguments should be a tool error');
+    for (const limit of [-1, 0, 'abc']) {
+      const badLimit = (await call('search_stories', { query: 'button', limit })).result;
+      assertEqual(badLimit.isError, true, `search_stories limit ${limit} should be a tool error`);
+    }
+    assert(missing.content[0].text.includes('storyId'), 'Should name the missing argument');
+    const notFound = (await call('get_story', { storyId: 'nope' })).result;
+    assertEqual(notFound.isError, true, 'Unknown stories should be a tool error');
+    assert(!notFound.structuredContent, 'Errors should carry no structured content');
+  }),
+
+  test('MDX pages are parsed into headings, prose, code and doc blocks', async () => {
+    const { parseMdx } = require('../src/mdx');
+    const mdx = parseMdx([
+      "import { Meta, Canvas, ArgTypes, Source } from '@storybook/blocks';",
+      "import * as ButtonStories from './Button.stories';",
+      "import Intro from './intro.md';",
+      '',
+      '<Meta of={ButtonStories} />',
+      '',
+      '<div className="intro">',
+      '  # Button',
+      '',
+      '  Buttons trigger <strong>actions</strong>. See <a href="https://example.com">the guide</a>.',
+      '</div>',
+      '',
+      '<Intro />',
+      '',
+      '<Canvas of={ButtonStories.Primary} />',
+      '',
+      '<ArgTypes />',
+      '',
+      '<Source code={`<button>Inline</button>`} language="html" />',
+      '',
+      '```html',
+      '<button class="kept">Code stays as it is</button>',
+      '```',
+    ].join('\n'));
+    assertEqual(mdx.meta.of, 'ButtonStories', 'Should read <Meta of>');
+    assertEqual(mdx.imports.find(item => item.local === 'ButtonStories').imported, '*', 'Should parse imports');
+    assertEqual(mdx.blocks.map(block => block.type).join(','), 'heading,prose,include,story,props,code,code', 'Should keep blocks in order');
+    assertEqual(mdx.blocks[0].text, 'Button', 'Should unindent JSX-wrapped headings');
+    assertEqual(mdx.blocks[1].text, 'Buttons trigger **actions**. See [the guide](https://example.com).', 'Should convert inline HTML');
+    assertEqual(mdx.blocks[3].of, 'ButtonStories.Primary', 'Should keep story references');
+    assertEqual(mdx.blocks[5].code, '<button>Inline</button>', 'Should inline literal Source code');
+    assert(mdx.blocks[6].code.includes('<button class="kept">'), 'Should keep code blocks verbatim');
+  }),
+
+  test('MDX pages resolve their blocks and attach to the component in <Meta of>', async () => {
+    const os = require('os');
+    const { createToolHandlers } = require('../src/server');
+    const exampleDir = path.join(EXAMPLES_DIR, 'test-sb10');
+    const projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sb-mcp-mdx-'));
+    tempDirs.push(projectDir);
+    fs.cpSync(path.join(exampleDir, 'src'), path.join(projectDir, 'src'), { recursive: true });
+    fs.copyFileSync(path.join(exampleDir, 'package.json'), path.join(projectDir, 'package.json'));
+    fs.writeFileSync(path.join(projectDir, 'src/stories/intro.md'), '## Included\n\nShared introduction.\n');
+    fs.writeFileSync(path.join(projectDir, 'src/stories/snippet.ts'), 'export const snippet = true;\n');
+    fs.writeFileSync(path.join(projectDir, 'src/stories/Guide.mdx'), [
+      "import { Meta, Canvas, ArgTypes, Source } from '@storybook/addon-docs/blocks';",
+      "import * as ButtonStories from './button.stories';",
+      "import Intro from './intro.md';",
+      "import snippet from './snippet.ts?raw';",
+      '',
+      '<Meta of={ButtonStories} />',
+      '',
+      '# Button guide',
+      '',
+      '<Intro />',
+      '',
+      '<Canvas of={ButtonStories.Primary} />',
+      '',
+      '<ArgTypes />',
+      '',
+      '<Source code={snippet} />',
+    ].join('\n'));
+    const entries = {
+      'guides-button--docs': { id: 'guides-button--docs', title: 'Guides/Button', name: 'Docs', type: 'docs', importPath: './src/stories/Guide.mdx' },
+      'example-button--primary': { id: 'example-button--primary', title: 'Example/Button', name: 'Primary', type: 'story', importPath: './src/stories/button.stories.ts' },
+    };
+    fs.writeFileSync(path.join(projectDir, 'index.json'), JSON.stringify({ v: 5, entries }));
+    const handlers = createToolHandlers({ storybookUrl: 'unused', projectDir, staticDir: projectDir });
+
+    const { docs } = await handlers.getStoryDocs({ storyId: 'guides-button--docs' });
+    assertEqual(docs.of, './src/stories/button.stories.ts', 'Should resolve <Meta of> to the stories file');
+    assertEqual(docs.component, 'ButtonComponent', 'Should name the documented component');
+    const blocks = Object.fromEntries(docs.blocks.map(block => [block.type, block]));
+    assertEqual(blocks.story.storyId, 'example-button--primary', 'Should resolve Canvas to the story');
+    assert(blocks.story.usage.includes('<storybook-button'), 'Should include the story usage');
+    assert(blocks.props.properties.label, 'Should resolve ArgTypes to the component props');
+    assert(docs.blocks.some(block => block.text === 'Shared introduction.'), 'Should inline imported markdown');
+    assert(docs.blocks.some(block => block.code === 'export const snippet = true;\n'), 'Should read ?raw Source snippets');
+
+    const { component } = await handlers.getComponent({ name: 'ButtonComponent' });
+    const page = component.docsPages.find(item => item.id === 'guides-button--docs');
+    assert(page, 'Should attach the MDX page to its component despite a different title');
+    assert(page.content.includes('| label (required) |'), 'Should render the page as markdown');
+  }),
+
+  test('Docs render as markdown pages and an llms.txt index', async () => {
+    const { createApp } = require('../src/server');
+    const handlers = createExampleHandlers('test-sb10');
+    const page = await handlers.getStoryDocs({ storyId: 'example-button--primary', format: 'markdown' });
+    assert(page.markdown.startsWith('# ButtonComponent'), 'Should title the page with the component');
+    assert(page.markdown.includes("import { ButtonComponent } from './button.component';"), 'Should include the import');
+    assert(page.markdown.includes('| label (required) | string |'), 'Should include the props table');
+    assert(page.markdown.includes('### Small\n\n```html\n<!-- Small Example -->'), 'Should include usage per story');
+    const mdx = await handlers.getStoryDocs({ storyId: 'configure-your-project--docs', format: 'markdown' });
+    assert(mdx.markdown.startsWith('# Configure your project') && !mdx.markdown.includes('<div'), 'Should convert MDX pages');
+    const invalid = await handlers.getStoryDocs({ storyId: 'example-button--primary', format: 'pdf' });
+    assertEqual(invalid.success, false, 'Unknown formats should fail');
+
+    const llms = await handlers.getLlmsTxt({});
+    assert(llms.text.startsWith('# test-sb10\n'), 'Should title llms.txt with the package name');
+    assert(llms.text.includes('- [ButtonComponent](/api/docs/example-button--docs?format=markdown)'), 'Should link one page per component');
+    assert(llms.text.includes('[Configure your project]'), 'Should list MDX docs pages');
+    const full = await handlers.getLlmsTxt({ full: true });
+    assert(full.text.includes('| label (required) |') && full.text.includes('# Configure your project'), 'Should inline every page');
+
+    const server = createApp(createExampleConfig('test-sb10')).listen(0);
+    try {
+      const { port } = server.address();
+      const res = await request({ path: '/api/docs/example-button--primary?format=markdown', baseUrl: `http://localhost:${port}` });
+      assertEqual(res.status, 200, 'Should serve markdown');
+      assert(res.headers['content-type'].startsWith('text/markdown'), 'Should use the markdown content type');
+      const txt = await request({ path: '/llms.txt', baseUrl: `http://localhost:${port}` });
+      assert(txt.raw.includes(`http://localhost:${port}/api/docs/`), 'Should link absolute URLs');
+    } finally {
+      server.close();
+    }
+  }),
+
+  test('searchStories requires a query', async () => {
+    const handlers = createExampleHandlers('test-sb10');
+    const result = await handlers.searchStories({});
+    assertEqual(result.success, false, 'Should fail without query');
+  }),
+];
+
 // ============================================
 // REST API Tests
 // ============================================
@@ -144,6 +1249,14 @@ const restTests = [
     assertContains(res.body, 'success', 'Should have success field');
   }),
 
+  test('GET /api/stories rejects an invalid limit', async () => {
+    for (const limit of ['abc', '-1', '2.5']) {
+      const res = await request({ path: `/api/stories?limit=${limit}` });
+      assertEqual(res.status, 400, `limit=${limit} should be a bad request`);
+      assertEqual(res.body.error, 'Invalid limit', 'Should name the invalid limit');
+    }
+  }),
+
   test('GET /api/stories/:storyId handles missing story', async () => {
     const res = await request({ path: '/api/stories/non-existent-story' });
     assert(res.status === 404 || res.status === 503, 'Status should be 404 or 503');
@@ -153,12 +1266,30 @@ const restTests = [
     const res = await request({ path: '/api/docs/non-existent-story' });
     assert(res.status === 404 || res.status === 503, 'Status should be 404 or 503');
   }),
+
+  test('GET /api/search requires a query', async () => {
+    const res = await request({ path: '/api/search' });
+    assertEqual(res.status, 400, 'Status should be 400');
+    assertEqual(res.body.success, false, 'Should return success: false');
+  }),
+
+  test('GET /api/search rejects an invalid limit', async () => {
+    for (const limit of ['-1', '0', 'abc']) {
+      const res = await request({ path: `/api/search?q=button&limit=${limit}` });
+      assertEqual(res.status, 400, `limit=${limit} should be a bad request`);
+      assertEqual(res.body.error, 'Invalid limit', 'Should name the invalid limit');
+    }
+  }),
 ];
 
 // ============================================
 // MCP Protocol Tests
 // ============================================
 
+// Session from the first initialize; once sessions are issued every other request must name one
+let mcpSessionId = null;
+const mcpHeaders = (headers = {}) => ({ 'Mcp-Session-Id': mcpSessionId, ...headers });
+
 const mcpTests = [
   test('GET /mcp returns server info', async () => {
     const res = await request({ path: '/mcp' });
@@ -166,6 +1297,7 @@ const mcpTests = [
     assertEqual(res.body.name, 'storybook-mcp-api', 'Should return correct name');
     assertContains(res.body, 'protocolVersion', 'Should have protocol version');
     assertContains(res.body, 'tools', 'Should have tools list');
+    assertContains(res.body.tools[0], 'outputSchema', 'Should publish tool schemas');
     assertEqual(res.body.transport, 'streamable-http', 'Should indicate streamable-http transport');
   }),
 
@@ -190,12 +1322,14 @@ const mcpTests = [
     assertContains(res.body, 'result', 'Should have result');
     assertContains(res.body.result, 'capabilities', 'Should have capabilities');
     assertContains(res.body.result, 'serverInfo', 'Should have serverInfo');
+    mcpSessionId = res.headers['mcp-session-id'];
   }),
 
   test('POST /mcp tools/list request', async () => {
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 2,
@@ -212,12 +1346,16 @@ const mcpTests = [
     assert(toolNames.includes('list_stories'), 'Should have list_stories tool');
     assert(toolNames.includes('get_story'), 'Should have get_story tool');
     assert(toolNames.includes('get_story_docs'), 'Should have get_story_docs tool');
+    assert(toolNames.includes('search_stories'), 'Should have search_stories tool');
+    ['get_stories_by_kind', 'list_components', 'get_component', 'get_component_usage']
+      .forEach(name => assert(toolNames.includes(name), `Should have ${name} tool`));
   }),
 
   test('POST /mcp tools/call list_stories', async () => {
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 3,
@@ -239,6 +1377,7 @@ const mcpTests = [
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 4,
@@ -255,6 +1394,7 @@ const mcpTests = [
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 5,
@@ -269,6 +1409,7 @@ const mcpTests = [
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 6,
@@ -284,6 +1425,7 @@ const mcpTests = [
     const res = await request({
       path: '/mcp',
       method: 'POST',
+      headers: mcpHeaders(),
       body: {
         jsonrpc: '2.0',
         id: 7,
@@ -297,6 +1439,98 @@ const mcpTests = [
     assertEqual(res.status, 200, 'Status should be 200');
     assertContains(res.body, 'error', 'Should have error');
   }),
+
+  test('POST /mcp initialize negotiates the protocol version and starts a session', async () => {
+    const init = (protocolVersion) => request({
+      path: '/mcp',
+      method: 'POST',
+      headers: { Accept: 'application/json, text/event-stream' },
+      body: { jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion, capabilities: {} } },
+    });
+    const current = await init('2025-06-18');
+    assertEqual(current.body.result.protocolVersion, '2025-06-18', 'Should accept a supported version');
+    assert(current.headers['mcp-session-id'], 'Should return Mcp-Session-Id');
+
+    const future = await init('2099-01-01');
+    assertEqual(future.body.result.protocolVersion, '2025-11-25', 'Should offer its latest version');
+
+    const headers = { 'Mcp-Session-Id': current.headers['mcp-session-id'], 'MCP-Protocol-Version': '2025-06-18' };
+    const notification = await request({ path: '/mcp', method: 'POST', headers, body: { jsonrpc: '2.0', method: 'notifications/initialized' } });
+    assertEqual(notification.status, 202, 'Notifications should be accepted without a body');
+
+    const badVersion = await request({ path: '/mcp', method: 'POST', headers: mcpHeaders({ 'MCP-Protocol-Version': '1999-01-01' }), body: { jsonrpc: '2.0', id: 2, method: 'ping' } });
+    assertEqual(badVersion.status, 400, 'Unsupported MCP-Protocol-Version should be rejected');
+
+    const deleted = await request({ path: '/mcp', method: 'DELETE', headers });
+    assertEqual(deleted.status, 204, 'DELETE should end the session');
+    const expired = await request({ path: '/mcp', method: 'POST', headers, body: { jsonrpc: '2.0', id: 3, method: 'ping' } });
+    assertEqual(expired.status, 404, 'Ended sessions should be unknown');
+  }),
+
+  test('POST /mcp requires the session and its negotiated protocol version', async () => {
+    const withoutSession = await request({ path: '/mcp', method: 'POST', body: { jsonrpc: '2.0', id: 1, method: 'ping' } });
+    assertEqual(withoutSession.status, 400, 'Requests without Mcp-Session-Id should be rejected once sessions exist');
+
+    const mismatch = await request({
+      path: '/mcp',
+      method: 'POST',
+      headers: mcpHeaders({ 'MCP-Protocol-Version': '2025-06-18' }),
+      body: { jsonrpc: '2.0', id: 2, method: 'ping' },
+    });
+    assertEqual(mismatch.status, 400, 'A version other than the negotiated one should be rejected');
+
+    const matching = await request({
+      path: '/mcp',
+      method: 'POST',
+      headers: mcpHeaders({ 'MCP-Protocol-Version': '2024-11-05' }),
+      body: { jsonrpc: '2.0', id: 3, method: 'ping' },
+    });
+    assertEqual(matching.status, 200, 'The negotiated version should be accepted');
+  }),
+
+  test('POST /mcp answers batches and streams responses over SSE', async () => {
+    const batch = await request({
+      path: '/mcp',
+      method: 'POST',
+      headers: mcpHeaders(),
+      body: [
+        { jsonrpc: '2.0', id: 1, method: 'ping' },
+        { jsonrpc: '2.0', method: 'notifications/initialized' },
+        { jsonrpc: '2.0', id: 2, method: 'tools/list' },
+      ],
+    });
+    assert(Array.isArray(batch.body), 'Batch should be answered with an array');
+    assertEqual(batch.body.length, 2, 'Notifications should get no response');
+    assertEqual(batch.body[1].id, 2, 'Responses should keep their IDs');
+
+    const streamed = await request({
+      path: '/mcp',
+      method: 'POST',
+      headers: mcpHeaders({ Accept: 'text/event-stream' }),
+      body: { jsonrpc: '2.0', id: 4, method: 'ping' },
+    });
+    assert(streamed.headers['content-type'].startsWith('text/event-stream'), 'Should answer as an event stream');
+    assert(streamed.raw.includes('"id":4'), 'Stream should carry the response');
+  }),
+
+  test('GET /mcp with Accept: text/event-stream opens a notification stream', async () => {
+    return new Promise((resolve, reject) => {
+      const req = http.get(new URL('/mcp', BASE_URL), { headers: mcpHeaders({ Accept: 'text/event-stream' }) }, (res) => {
+        try {
+          assertEqual(res.statusCode, 200, 'Status should be 200');
+          assertEqual(res.headers['content-type'], 'text/event-stream', 'Should be event-stream');
+          resolve();
+        } catch (error) {
+          reject(error);
+        } finally {
+          req.destroy();
+        }
+      });
+      req.on('error', (err) => {
+        if (err.code !== 'ECONNRESET') reject(err);
+      });
+    });
+  }),
 ];
 
 // ============================================
@@ -513,6 +1747,16 @@ async function runUnitTests() {
   console.log('\n🧪 Storybook MCP API - Unit Tests\n');
   console.log('='.repeat(50));
 
+  console.log('\n🔍 Parser Tests\n');
+  for (const testFn of parserTests) {
+    await testFn();
+  }
+
+  console.log('\n🛠️  Tool Handler Tests\n');
+  for (const testFn of handlerTests) {
+    await testFn();
+  }
+
   // Start the server for unit tests
   console.log('\n📦 Starting test server...\n');
   